@@ -0,0 +1,384 @@
+import fetch from "node-fetch";
+import { MEDIA_STATUS, createMediaStatus, USER_AGENT, normalizeUrl, collectChecks } from "./status.js";
+import { getDetails } from "../tmdb.js";
+import { createLogger } from "../logger.js";
+
+const log = createLogger('ARR');
+const statusLog = createLogger('STATUS');
+
+// ─── Direct Radarr / Sonarr Backend ───────────────────
+// For setups without a request manager: movies are added to Radarr, series to
+// Sonarr, with the configured quality profile and root folder (or the first one
+// each app reports when none is configured). Requested seasons are monitored and
+// searched; everything else is left unmonitored.
+
+function createService(name, url, apiKey, profileId, rootFolder) {
+    if (!url || !apiKey) return null;
+    return {
+        name: name,
+        url: normalizeUrl(url),
+        apiKey: apiKey,
+        profileId: parseInt(profileId) || null,
+        rootFolder: rootFolder || null,
+        log: createLogger(name.toUpperCase())
+    };
+}
+
+async function arrFetch(service, path, options = {}) {
+    const response = await fetch(`${service.url}/api/v3${path}`, {
+        method: options.method || 'GET',
+        headers: {
+            'X-Api-Key': service.apiKey,
+            'Content-Type': 'application/json',
+            'User-Agent': USER_AGENT
+        },
+        body: options.body ? JSON.stringify(options.body) : undefined
+    });
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        const error = new Error(`${service.name} HTTP ${response.status}: ${errorText}`);
+        error.status = response.status;
+        error.statusText = response.statusText;
+        error.body = errorText;
+        throw error;
+    }
+
+    return response.status === 204 ? null : response.json();
+}
+
+// Fill in quality profile / root folder defaults from the app itself
+async function resolveAddOptions(service) {
+    let profileId = service.profileId;
+    let rootFolder = service.rootFolder;
+
+    if (!profileId) {
+        const profiles = await arrFetch(service, '/qualityprofile');
+        profileId = profiles[0]?.id;
+    }
+    if (!rootFolder) {
+        const folders = await arrFetch(service, '/rootfolder');
+        rootFolder = folders[0]?.path;
+    }
+
+    if (!profileId || !rootFolder) {
+        throw new Error(`${service.name} has no quality profile or root folder configured`);
+    }
+    return { profileId, rootFolder };
+}
+
+// ─── Diagnostic Checks ───────────────────
+async function checkProfile(service) {
+    const check = 'Quality profile';
+    const profiles = await arrFetch(service, '/qualityprofile');
+    if (!profiles.length) {
+        return [{ check, status: 'error', message: `${service.name} has no quality profiles`, hint: `Add one under Settings → Profiles in ${service.name}` }];
+    }
+    if (!service.profileId) {
+        return [{ check, status: 'success', message: `None set - "${profiles[0].name}" is used` }];
+    }
+
+    const profile = profiles.find(p => p.id === service.profileId);
+    if (!profile) {
+        return [{ check, status: 'error', message: `Profile ${service.profileId} doesn't exist in ${service.name}`, hint: `Use one of: ${profiles.map(p => `${p.name} (${p.id})`).join(', ')}` }];
+    }
+    return [{ check, status: 'success', message: `${profile.name} (${profile.id})` }];
+}
+
+async function checkRootFolder(service) {
+    const check = 'Root folder';
+    const folders = await arrFetch(service, '/rootfolder');
+    if (!folders.length) {
+        return [{ check, status: 'error', message: `${service.name} has no root folders`, hint: `Add one under Settings → Media Management in ${service.name}` }];
+    }
+
+    const folder = service.rootFolder ? folders.find(f => f.path === service.rootFolder) : folders[0];
+    if (!folder) {
+        return [{ check, status: 'error', message: `${service.rootFolder} isn't a root folder in ${service.name}`, hint: `Use one of: ${folders.map(f => f.path).join(', ')}` }];
+    }
+    if (folder.accessible === false) {
+        return [{ check, status: 'error', message: `${folder.path} isn't accessible to ${service.name}`, hint: `Check that the folder is mounted and writable for ${service.name}` }];
+    }
+
+    const freeSpace = folder.freeSpace ? ` - ${Math.round(folder.freeSpace / 1e9)} GB free` : '';
+    return [{ check, status: 'success', message: `${folder.path}${service.rootFolder ? '' : ' (none set, the first one is used)'}${freeSpace}` }];
+}
+
+// Problems Radarr/Sonarr report themselves (indexers, download clients...). Warnings
+// only: they hold up downloads, not the requests this addon makes.
+async function checkHealth(service) {
+    const issues = (await arrFetch(service, '/health')).filter(issue => issue.type === 'error' || issue.type === 'warning');
+    if (!issues.length) {
+        return [{ check: 'Health', status: 'success', message: 'No issues reported' }];
+    }
+    return issues.map(issue => ({
+        check: 'Health',
+        status: 'warning',
+        message: issue.message,
+        hint: issue.wikiUrl ? `See ${issue.wikiUrl}` : `See System → Status in ${service.name}`
+    }));
+}
+
+function toFailure(error, mediaName, service) {
+    if (error.status) {
+        service.log.error(`❌ FAILED: "${mediaName}" - Status: ${error.status}, Error: ${error.body}`);
+        return {
+            success: false,
+            error: error.body || error.message,
+            status: error.status,
+            statusText: error.statusText,
+            message: `Request failed: ${error.status} ${error.statusText}`
+        };
+    }
+
+    service.log.error(`❌ NETWORK ERROR: "${mediaName}" - ${error.message}`);
+    return {
+        success: false,
+        error: error.message,
+        code: error.code,
+        message: `Network error: ${error.message}`
+    };
+}
+
+// Season status from Sonarr's per-season statistics
+function getSonarrSeasonStatus(season) {
+    const stats = season.statistics || {};
+    if (stats.episodeFileCount > 0 && stats.percentOfEpisodes >= 100) return MEDIA_STATUS.AVAILABLE;
+    if (stats.episodeFileCount > 0) return MEDIA_STATUS.PARTIALLY_AVAILABLE;
+    if (season.monitored) return MEDIA_STATUS.PROCESSING;
+    return MEDIA_STATUS.UNKNOWN;
+}
+
+export function createArrBackend(userConfig) {
+    const radarr = createService('Radarr', userConfig.radarrUrl, userConfig.radarrApi, userConfig.radarrProfileId, userConfig.radarrRootFolder);
+    const sonarr = createService('Sonarr', userConfig.sonarrUrl, userConfig.sonarrApi, userConfig.sonarrProfileId, userConfig.sonarrRootFolder);
+
+    // Sonarr is keyed by TVDB id, TMDB knows the mapping
+    async function getTvdbId(tmdbId) {
+        const details = await getDetails(userConfig.tmdbKey, 'tv', tmdbId);
+        const data = details.external_ids || {};
+        if (!data.tvdb_id) {
+            throw new Error(`No TVDB id known for TMDB TV ${tmdbId}`);
+        }
+        return data.tvdb_id;
+    }
+
+    async function findExistingSeries(tvdbId) {
+        const series = await arrFetch(sonarr, `/series?tvdbId=${tvdbId}`);
+        return series.find(s => s.tvdbId === tvdbId) || null;
+    }
+
+    async function requestMovie(tmdbId, mediaName) {
+        const existing = (await arrFetch(radarr, `/movie?tmdbId=${tmdbId}`)).find(m => m.tmdbId === parseInt(tmdbId));
+
+        if (existing) {
+            if (existing.monitored) {
+                return {
+                    success: false,
+                    error: `"${mediaName}" is already in Radarr`,
+                    status: 409,
+                    statusText: 'Conflict',
+                    message: 'Request failed: 409 Conflict'
+                };
+            }
+
+            await arrFetch(radarr, `/movie/${existing.id}`, { method: 'PUT', body: { ...existing, monitored: true } });
+            await arrFetch(radarr, '/command', { method: 'POST', body: { name: 'MoviesSearch', movieIds: [existing.id] } });
+            radarr.log.info(`✅ SUCCESS: "${mediaName}" - now monitored (ID: ${existing.id})`);
+            return { success: true, approved: true, requestId: existing.id, data: existing, message: `Movie monitored and searched (ID: ${existing.id})` };
+        }
+
+        const lookup = await arrFetch(radarr, `/movie/lookup/tmdb?tmdbId=${tmdbId}`);
+        const { profileId, rootFolder } = await resolveAddOptions(radarr);
+
+        const data = await arrFetch(radarr, '/movie', {
+            method: 'POST',
+            body: {
+                ...lookup,
+                qualityProfileId: profileId,
+                rootFolderPath: rootFolder,
+                monitored: true,
+                minimumAvailability: 'released',
+                addOptions: { searchForMovie: true }
+            }
+        });
+
+        radarr.log.info(`✅ SUCCESS: "${mediaName}" - Movie ID: ${data.id}`);
+        return { success: true, approved: true, requestId: data.id, data: data, message: `Movie added to Radarr (ID: ${data.id})` };
+    }
+
+    // seasons === null means every regular season; specials are only included when listed
+    async function requestSeries(tmdbId, mediaName, seasons) {
+        const tvdbId = await getTvdbId(tmdbId);
+        const existing = await findExistingSeries(tvdbId);
+        const wanted = (seasonNumber) => seasons === null ? seasonNumber > 0 : seasons.includes(seasonNumber);
+
+        if (existing) {
+            const newlyMonitored = existing.seasons.filter(s => wanted(s.seasonNumber) && !s.monitored);
+            if (!newlyMonitored.length) {
+                return {
+                    success: false,
+                    error: `Requested seasons of "${mediaName}" are already monitored in Sonarr`,
+                    status: 409,
+                    statusText: 'Conflict',
+                    message: 'Request failed: 409 Conflict'
+                };
+            }
+
+            const updated = {
+                ...existing,
+                monitored: true,
+                seasons: existing.seasons.map(s => ({ ...s, monitored: s.monitored || wanted(s.seasonNumber) }))
+            };
+            await arrFetch(sonarr, `/series/${existing.id}`, { method: 'PUT', body: updated });
+            for (const season of newlyMonitored) {
+                await arrFetch(sonarr, '/command', {
+                    method: 'POST',
+                    body: { name: 'SeasonSearch', seriesId: existing.id, seasonNumber: season.seasonNumber }
+                });
+            }
+
+            sonarr.log.info(`✅ SUCCESS: "${mediaName}" - monitoring seasons [${newlyMonitored.map(s => s.seasonNumber).join(',')}]`);
+            return { success: true, approved: true, requestId: existing.id, data: updated, message: `Seasons added to Sonarr (ID: ${existing.id})` };
+        }
+
+        const lookup = (await arrFetch(sonarr, `/series/lookup?term=tvdb:${tvdbId}`))[0];
+        if (!lookup) {
+            throw new Error(`Sonarr could not find TVDB ${tvdbId}`);
+        }
+        const { profileId, rootFolder } = await resolveAddOptions(sonarr);
+
+        const body = {
+            ...lookup,
+            qualityProfileId: profileId,
+            rootFolderPath: rootFolder,
+            monitored: true,
+            seasonFolder: true,
+            seasons: (lookup.seasons || []).map(s => ({ seasonNumber: s.seasonNumber, monitored: wanted(s.seasonNumber) })),
+            addOptions: { searchForMissingEpisodes: true }
+        };
+
+        // Sonarr v3 still needs a language profile; v4 removed the endpoint
+        try {
+            const languageProfiles = await arrFetch(sonarr, '/languageprofile');
+            body.languageProfileId = languageProfiles[0]?.id;
+        } catch (error) {
+            // Sonarr v4
+        }
+
+        const data = await arrFetch(sonarr, '/series', { method: 'POST', body: body });
+        sonarr.log.info(`✅ SUCCESS: "${mediaName}" - Series ID: ${data.id}`);
+        return { success: true, approved: true, requestId: data.id, data: data, message: `Series added to Sonarr (ID: ${data.id})` };
+    }
+
+    return {
+        id: 'arr',
+        name: 'Radarr/Sonarr',
+        key: `${radarr?.url || ''}-${radarr?.apiKey || ''}-${sonarr?.url || ''}-${sonarr?.apiKey || ''}`,
+        services: [radarr, sonarr].filter(Boolean).map(s => ({ name: s.name, url: s.url })),
+
+        getWebUrl(type) {
+            const service = type === 'movie' ? radarr : sonarr;
+            return service ? service.url : '';
+        },
+
+        // ─── Make Request ────────────
+        async request(tmdbId, type, mediaName, seasonNumber = null, requestType = 'season', options = {}) {
+            const service = type === 'movie' ? radarr : sonarr;
+            if (!service) {
+                log.error(`No ${type === 'movie' ? 'Radarr' : 'Sonarr'} configured for "${mediaName}"`);
+                return { success: false, error: `${type === 'movie' ? 'Radarr' : 'Sonarr'} is not configured` };
+            }
+
+            service.log.info(`Making ${requestType} request for ${type} TMDB ID: ${tmdbId} - "${mediaName}"`);
+
+            try {
+                if (type === 'movie') {
+                    return await requestMovie(tmdbId, mediaName);
+                }
+                let seasons = null;
+                if (Array.isArray(options.seasons)) {
+                    seasons = options.seasons;
+                } else if (requestType === 'season' && seasonNumber !== null) {
+                    seasons = [seasonNumber];
+                }
+                return await requestSeries(tmdbId, mediaName, seasons);
+            } catch (error) {
+                return toFailure(error, mediaName, service);
+            }
+        },
+
+        // ─── Media Status ────────────
+        async getMediaStatus(tmdbId, type) {
+            const service = type === 'movie' ? radarr : sonarr;
+            if (!service) return null;
+
+            try {
+                if (type === 'movie') {
+                    const movie = (await arrFetch(radarr, `/movie?tmdbId=${tmdbId}`)).find(m => m.tmdbId === parseInt(tmdbId));
+                    if (!movie) return createMediaStatus();
+                    if (movie.hasFile) return createMediaStatus(MEDIA_STATUS.AVAILABLE);
+                    return createMediaStatus(movie.monitored ? MEDIA_STATUS.PROCESSING : MEDIA_STATUS.UNKNOWN);
+                }
+
+                const series = await findExistingSeries(await getTvdbId(tmdbId));
+                if (!series) return createMediaStatus();
+
+                const status = createMediaStatus();
+                const regularSeasons = series.seasons.filter(s => s.seasonNumber > 0);
+                status.seasonNumbers = regularSeasons.map(s => s.seasonNumber).sort((a, b) => a - b);
+                for (const season of series.seasons) {
+                    status.seasons[season.seasonNumber] = getSonarrSeasonStatus(season);
+                }
+                status.hasSpecials = series.seasons.some(s => s.seasonNumber === 0);
+
+                const seasonStatuses = status.seasonNumbers.map(n => status.seasons[n]);
+                if (seasonStatuses.length && seasonStatuses.every(s => s === MEDIA_STATUS.AVAILABLE)) {
+                    status.status = MEDIA_STATUS.AVAILABLE;
+                } else if (seasonStatuses.some(s => s === MEDIA_STATUS.AVAILABLE || s === MEDIA_STATUS.PARTIALLY_AVAILABLE)) {
+                    status.status = MEDIA_STATUS.PARTIALLY_AVAILABLE;
+                } else if (seasonStatuses.some(s => s === MEDIA_STATUS.PROCESSING)) {
+                    status.status = MEDIA_STATUS.PROCESSING;
+                }
+                return status;
+            } catch (error) {
+                statusLog.warn(`${service.name} lookup error for ${type} ${tmdbId}: ${error.message}`);
+                return null;
+            }
+        },
+
+        // ─── Connection Test ────────────
+        // Also lists profiles and root folders so users know which values to enter
+        async testService(serviceName) {
+            const service = [radarr, sonarr].find(s => s && s.name === serviceName);
+            try {
+                const systemStatus = await arrFetch(service, '/system/status');
+                const profiles = await arrFetch(service, '/qualityprofile');
+                const folders = await arrFetch(service, '/rootfolder');
+
+                const profileList = profiles.map(p => `${p.name} (${p.id})`).join(', ') || 'none';
+                const folderList = folders.map(f => f.path).join(', ') || 'none';
+                return {
+                    service: service.name,
+                    status: 'success',
+                    message: `Connected to ${service.name} v${systemStatus.version}. Quality profiles: ${profileList}. Root folders: ${folderList}`
+                };
+            } catch (error) {
+                const message = error.status ? `Connection failed (HTTP ${error.status})` : `Connection failed: ${error.message}`;
+                return { service: service.name, status: 'error', message: message };
+            }
+        },
+
+        // ─── Diagnostics ────────────
+        // Checklist for the config page: the profile and root folder requests use, and the
+        // app's own health checks
+        async diagnose(serviceName) {
+            const service = [radarr, sonarr].find(s => s && s.name === serviceName);
+            return collectChecks([
+                ['Quality profile', () => checkProfile(service)],
+                ['Root folder', () => checkRootFolder(service)],
+                ['Health', () => checkHealth(service)]
+            ]);
+        }
+    };
+}
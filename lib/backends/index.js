@@ -0,0 +1,63 @@
+import { createOverseerrBackend } from "./overseerr.js";
+import { createArrBackend } from "./arr.js";
+
+export { MEDIA_STATUS } from "./status.js";
+
+// ─── Backend Registry ───────────────────
+// A backend implements:
+//   request(tmdbId, type, title, seasonNumber, requestType, { seasons? }) → { success, requestId?, approved?, error?, status?, message }
+//     (options.seasons, when given, is the exact list of seasons to request)
+//   getMediaStatus(tmdbId, type) → { status, seasons, seasonNumbers, hasSpecials } | null
+//   testService(serviceName) → { service, status, message }
+// plus `services` (name/url pairs to test), `key` (cooldown identity) and getWebUrl().
+// Backends that can act on behalf of other users also implement listUsers(); those with
+// separate 4K servers set `supports4k`, accept request(..., { is4k }) and implement listServers().
+// diagnose(serviceName) → [{ check, status, message, hint? }] adds a checklist to the
+// configuration test (see collectChecks in status.js).
+export const BACKENDS = {
+    overseerr: {
+        label: 'Overseerr',
+        validate: (config) => config.overseerrUrl && config.overseerrApi ? null : 'Missing Overseerr URL or API key',
+        create: (config) => createOverseerrBackend(config)
+    },
+    jellyseerr: {
+        label: 'Jellyseerr',
+        validate: (config) => config.overseerrUrl && config.overseerrApi ? null : 'Missing Jellyseerr URL or API key',
+        create: (config) => createOverseerrBackend(config, { id: 'jellyseerr', name: 'Jellyseerr' })
+    },
+    arr: {
+        label: 'Radarr / Sonarr (direct)',
+        validate: (config) => (config.radarrUrl && config.radarrApi) || (config.sonarrUrl && config.sonarrApi)
+            ? null
+            : 'Configure at least Radarr or Sonarr (URL and API key)',
+        create: (config) => createArrBackend(config)
+    }
+};
+
+// Configs created before backends existed have no `backend` field and are Overseerr
+export function getBackendId(config) {
+    return config?.backend || 'overseerr';
+}
+
+// Returns an error message, or null when the config has everything its backend needs
+export function validateBackendConfig(config) {
+    const definition = BACKENDS[getBackendId(config)];
+    if (!definition) {
+        return `Unknown backend "${config.backend}"`;
+    }
+    return definition.validate(config);
+}
+
+export function createBackend(config) {
+    const definition = BACKENDS[getBackendId(config)];
+    if (!definition) {
+        throw new Error(`Unknown backend "${config.backend}"`);
+    }
+    return definition.create(config);
+}
+
+// Only Overseerr-compatible backends have a request list, discover and search API
+export function supportsOverseerrApi(config) {
+    const backendId = getBackendId(config);
+    return backendId === 'overseerr' || backendId === 'jellyseerr';
+}
@@ -0,0 +1,475 @@
+import fetch from "node-fetch";
+import { MEDIA_STATUS, createMediaStatus, USER_AGENT, normalizeUrl, collectChecks } from "./status.js";
+import { getDetails } from "../tmdb.js";
+import { createLogger } from "../logger.js";
+
+const statusLog = createLogger('STATUS');
+
+// ─── Overseerr / Jellyseerr Backend ───────────────────
+// Jellyseerr is a fork of Overseerr with the same /api/v1 surface, so both share
+// this adapter. Jellyseerr adds BLACKLISTED (6) and DELETED (7) media statuses.
+
+// Overseerr MediaRequestStatus enum (mediaInfo.requests[].status)
+const REQUEST_STATUS = {
+    PENDING: 1,
+    APPROVED: 2,
+    DECLINED: 3
+};
+
+const JELLYSEERR_DELETED = 7;
+
+// Overseerr Permission flags (user.permissions bitmask), the same in Jellyseerr
+const PERMISSION = {
+    ADMIN: 2,
+    MANAGE_REQUESTS: 16,
+    REQUEST: 32,
+    AUTO_APPROVE: 128,
+    AUTO_APPROVE_MOVIE: 256,
+    AUTO_APPROVE_TV: 512,
+    REQUEST_4K: 1024,
+    REQUEST_4K_MOVIE: 2048,
+    REQUEST_4K_TV: 4096,
+    REQUEST_MOVIE: 262144,
+    REQUEST_TV: 524288
+};
+
+// Admins have every permission; otherwise any one of the flags is enough
+function hasAnyPermission(permissions, flags) {
+    return [PERMISSION.ADMIN, ...flags].some(flag => (permissions & flag) !== 0);
+}
+
+// One checklist entry for a permission that exists per media type. texts: { all, only(types),
+// none, hint, noneStatus } where `types` is "movies" or "series".
+function checkPermission(check, permissions, movieFlags, seriesFlags, texts) {
+    const movies = hasAnyPermission(permissions, movieFlags);
+    const series = hasAnyPermission(permissions, seriesFlags);
+    if (movies && series) {
+        return { check, status: 'success', message: texts.all };
+    }
+    if (movies || series) {
+        return { check, status: 'warning', message: texts.only(movies ? 'movies' : 'series'), hint: texts.hint };
+    }
+    return { check, status: texts.noneStatus || 'error', message: texts.none, hint: texts.hint };
+}
+
+// Overseerr treats API-key calls as coming from the user in X-Api-User (the key owner
+// otherwise), so quotas, auto-approval and request history apply to that user.
+export function getOverseerrHeaders(userConfig, extraHeaders = {}) {
+    const headers = {
+        'X-Api-Key': userConfig.overseerrApi,
+        'User-Agent': USER_AGENT,
+        ...extraHeaders
+    };
+
+    const userId = parseInt(userConfig.overseerrUserId);
+    if (userId) {
+        headers['X-Api-User'] = String(userId);
+    }
+    return headers;
+}
+
+export function createOverseerrBackend(userConfig, options = {}) {
+    const name = options.name || 'Overseerr';
+    const log = createLogger(name.toUpperCase());
+    const baseUrl = normalizeUrl(userConfig.overseerrUrl);
+    const apiKey = userConfig.overseerrApi;
+    const userId = parseInt(userConfig.overseerrUserId) || null;
+
+    function normalizeStatus(status) {
+        // A deleted item can be requested again, treat it as never requested
+        if (!status || status === JELLYSEERR_DELETED) return MEDIA_STATUS.UNKNOWN;
+        return status;
+    }
+
+    function buildStatus(data, mediaType, is4k) {
+        const mediaInfo = data.mediaInfo || {};
+        const statusField = is4k ? 'status4k' : 'status';
+        const activeRequests = (mediaInfo.requests || []).filter(r => r.status !== REQUEST_STATUS.DECLINED && !!r.is4k === is4k);
+
+        const status = createMediaStatus(normalizeStatus(mediaInfo[statusField]));
+
+        if (mediaType === 'tv') {
+            status.seasonNumbers = (data.seasons || [])
+                .map(s => Number(s.seasonNumber))
+                .filter(n => Number.isFinite(n) && n > 0)
+                .sort((a, b) => a - b);
+            status.hasSpecials = (data.seasons || []).some(s => Number(s.seasonNumber) === 0);
+
+            for (const season of mediaInfo.seasons || []) {
+                status.seasons[season.seasonNumber] = normalizeStatus(season[statusField]);
+            }
+
+            // Seasons that are only requested don't always carry a media status yet,
+            // so derive it from the open requests that include them.
+            for (const request of activeRequests) {
+                const requestedStatus = request.status === REQUEST_STATUS.APPROVED ? MEDIA_STATUS.PROCESSING : MEDIA_STATUS.PENDING;
+                for (const season of request.seasons || []) {
+                    const current = status.seasons[season.seasonNumber] || MEDIA_STATUS.UNKNOWN;
+                    if (current < requestedStatus) {
+                        status.seasons[season.seasonNumber] = requestedStatus;
+                    }
+                }
+            }
+        } else if (status.status === MEDIA_STATUS.UNKNOWN && activeRequests.length) {
+            status.status = activeRequests.some(r => r.status === REQUEST_STATUS.APPROVED) ? MEDIA_STATUS.PROCESSING : MEDIA_STATUS.PENDING;
+        }
+        return status;
+    }
+
+    // Default server/profile/root folder chosen on the config page, per request kind
+    function getServerDefaults(type, is4k) {
+        const kind = `${type === 'movie' ? 'movie' : 'tv'}${is4k ? '4k' : ''}`;
+        const defaults = userConfig.overseerrServers?.[kind] || {};
+        const options = {};
+
+        if (defaults.serverId !== undefined && defaults.serverId !== '') options.serverId = parseInt(defaults.serverId);
+        if (defaults.profileId) options.profileId = parseInt(defaults.profileId);
+        if (defaults.rootFolder) options.rootFolder = defaults.rootFolder;
+        return options;
+    }
+
+    async function fetchJson(path) {
+        const response = await fetch(`${baseUrl}/api/v1${path}`, { headers: getOverseerrHeaders(userConfig) });
+        if (!response.ok) {
+            const error = new Error(`HTTP ${response.status} for ${path}`);
+            error.status = response.status;
+            throw error;
+        }
+        return response.json();
+    }
+
+    // ─── Diagnostic Checks ────────────
+    async function checkVersion() {
+        const status = await fetchJson('/status');
+        const checks = [];
+        if (status.updateAvailable) {
+            const behind = status.commitsBehind ? ` (${status.commitsBehind} commits behind)` : '';
+            checks.push({ check: 'Version', status: 'warning', message: `${name} v${status.version} - an update is available${behind}`, hint: `Update ${name} to get the latest fixes` });
+        } else {
+            checks.push({ check: 'Version', status: 'success', message: `${name} v${status.version}` });
+        }
+        if (status.restartRequired) {
+            checks.push({ check: 'Restart', status: 'warning', message: `${name} has settings changes waiting for a restart`, hint: `Restart ${name}` });
+        }
+        return checks;
+    }
+
+    // What the requesting user (X-Api-User, or the API key owner) may do
+    function checkPermissions(user, label) {
+        const permissions = Number(user.permissions) || 0;
+        const hint = `In ${name}: Users → ${label} → Edit → Permissions`;
+        const checks = [
+            checkPermission('Request permission', permissions,
+                [PERMISSION.REQUEST, PERMISSION.REQUEST_MOVIE], [PERMISSION.REQUEST, PERMISSION.REQUEST_TV], {
+                    all: `${label} can request movies and series`,
+                    only: types => `${label} can only request ${types}`,
+                    none: `${label} isn't allowed to request anything - every request will be refused`,
+                    hint: `${hint}, enable "Request"`
+                })
+        ];
+
+        if (userConfig.request4k) {
+            checks.push(checkPermission('4K permission', permissions,
+                [PERMISSION.REQUEST_4K, PERMISSION.REQUEST_4K_MOVIE], [PERMISSION.REQUEST_4K, PERMISSION.REQUEST_4K_TV], {
+                    all: `${label} can request movies and series in 4K`,
+                    only: types => `${label} can only request ${types} in 4K`,
+                    none: `${label} isn't allowed to request 4K - the 4K streams will be refused`,
+                    hint: `${hint}, enable "Request 4K" or turn off the 4K streams`
+                }));
+        }
+
+        checks.push(checkPermission('Auto-approve', permissions,
+            [PERMISSION.AUTO_APPROVE, PERMISSION.AUTO_APPROVE_MOVIE, PERMISSION.MANAGE_REQUESTS],
+            [PERMISSION.AUTO_APPROVE, PERMISSION.AUTO_APPROVE_TV, PERMISSION.MANAGE_REQUESTS], {
+                all: `Requests from ${label} are approved automatically`,
+                only: types => `Only requests for ${types} from ${label} are approved automatically, the others wait for approval`,
+                none: `Requests from ${label} wait for approval in ${name}`,
+                hint: `Fine if you approve requests yourself; otherwise enable "Auto-Approve" (${hint})`,
+                noneStatus: 'warning'
+            }));
+        return checks;
+    }
+
+    async function checkQuota(user, label) {
+        const quota = await fetchJson(`/user/${user.id}/quota`);
+        const limited = [['movie', 'Movie', 'movie'], ['tv', 'Series', 'season']].filter(([type]) => quota[type]?.limit);
+        if (!limited.length) {
+            return [{ check: 'Quota', status: 'success', message: `${label} has no request quota` }];
+        }
+
+        return limited.map(([type, kind, unit]) => {
+            const { limit, used, remaining, days, restricted } = quota[type];
+            const check = `${kind} quota`;
+            if (restricted) {
+                return {
+                    check,
+                    status: 'error',
+                    message: `Used up: ${used} of ${limit} ${unit} requests in the last ${days} days`,
+                    hint: `Raise the quota in ${name} (Users → ${label} → Edit), or wait until older requests leave the ${days}-day window`
+                };
+            }
+            return { check, status: 'success', message: `${remaining} of ${limit} ${unit} requests left (per ${days} days)` };
+        });
+    }
+
+    // Where Overseerr sends approved requests
+    async function checkServers() {
+        const checks = [];
+        for (const [serviceType, app, kind, media] of [['radarr', 'Radarr', 'movie', 'movie'], ['sonarr', 'Sonarr', 'tv', 'series']]) {
+            const servers = await fetchJson(`/service/${serviceType}`);
+            const standard = servers.filter(server => !server.is4k);
+            const chosen = userConfig.overseerrServers?.[kind]?.serverId;
+            const check = `${app} servers`;
+
+            if (!standard.length) {
+                checks.push({ check, status: 'warning', message: `No ${app} server in ${name} - approved ${media} requests aren't sent anywhere`, hint: `Add ${app} under Settings → Services in ${name}` });
+            } else if (!standard.some(server => server.isDefault) && (chosen === undefined || chosen === '')) {
+                checks.push({ check, status: 'warning', message: `No default ${app} server - ${media} requests aren't sent anywhere`, hint: `Mark one as "Default Server" under Settings → Services in ${name}, or pick a server on this page` });
+            } else {
+                checks.push({ check, status: 'success', message: standard.map(server => `${server.name}${server.isDefault ? ' (default)' : ''}`).join(', ') });
+            }
+
+            if (userConfig.request4k && !servers.some(server => server.is4k)) {
+                checks.push({ check: `${app} 4K servers`, status: 'warning', message: `No 4K ${app} server - 4K ${media} requests aren't sent anywhere`, hint: `Add a 4K ${app} server in ${name}, or turn off the 4K streams` });
+            }
+        }
+        return checks;
+    }
+
+    // Full-series request: fetch season numbers from TMDB so Overseerr
+    // receives an explicit seasons array (avoids Overseerr server-side 500).
+    async function resolveAllSeasons(tmdbId, mediaName) {
+        try {
+            const tmdbKey = userConfig.tmdbKey || process.env.TMDB_API_KEY || process.env.TMDB_KEY;
+            if (!tmdbKey) {
+                // No TMDB key available in config or env: send empty seasons array
+                log.warn(`No TMDB API key available; sending empty seasons array for full-series request`);
+                return [];
+            }
+
+            // Same cached lookup the stream route already made for this series
+            const tmdbDetails = await getDetails(tmdbKey, 'tv', tmdbId);
+            // Collect numeric season numbers, exclude season_number === 0 (specials)
+            const seasons = (tmdbDetails.seasons || [])
+                .map(s => Number(s.season_number))
+                .filter(n => Number.isFinite(n) && n > 0);
+            log.info(`TMDB seasons resolved for ${mediaName}: [${seasons.join(',')}]`);
+            return seasons;
+        } catch (err) {
+            log.warn(`TMDB lookup failed for TV ID ${tmdbId} - sending empty seasons array: ${err && err.message ? err.message : err}`);
+            return [];
+        }
+    }
+
+    return {
+        id: options.id || 'overseerr',
+        name: name,
+        // Identifies the target instance (and requesting user) in cooldown, history and
+        // limit scopes; the normalized URL keeps "https://host/" and "https://host" together
+        key: `${baseUrl}-${apiKey}${userId ? `-user${userId}` : ''}`,
+        services: [{ name: name, url: baseUrl }],
+        supports4k: true,
+
+        getWebUrl(type, tmdbId) {
+            return `${baseUrl}/${type === 'movie' ? 'movie' : 'tv'}/${tmdbId}`;
+        },
+
+        // ─── Make Request ────────────
+        async request(tmdbId, type, mediaName, seasonNumber = null, requestType = 'season', options = {}) {
+            try {
+                const is4k = !!options.is4k;
+                log.info(`Making ${is4k ? '4K ' : ''}${requestType} request for ${type} TMDB ID: ${tmdbId} - "${mediaName}"`);
+
+                const requestBody = {
+                    mediaId: parseInt(tmdbId),
+                    mediaType: type === 'movie' ? 'movie' : 'tv',
+                    ...(is4k ? { is4k: true } : {}),
+                    ...getServerDefaults(type, is4k)
+                };
+
+                // Series handling: explicit season lists (missing seasons, ranges, specials),
+                // single-season requests and full-series requests
+                if (type === 'series') {
+                    if (Array.isArray(options.seasons)) {
+                        requestBody.seasons = options.seasons;
+                    } else if (requestType === 'season' && seasonNumber !== null) {
+                        requestBody.seasons = [seasonNumber];
+                    } else if (requestType !== 'season') {
+                        // No resolved season list (series, missing, from): fall back to every season
+                        requestBody.seasons = await resolveAllSeasons(tmdbId, mediaName);
+                    }
+                }
+
+                if (!baseUrl || !apiKey) {
+                    log.error(`Missing ${name} configuration`);
+                    return { success: false, error: `Missing ${name} configuration` };
+                }
+
+                log.info(`Sending to: ${baseUrl}/api/v1/request${userId ? ` as user ${userId}` : ''}`);
+                log.debug(`Request body: ${JSON.stringify(requestBody)}`);
+
+                const response = await fetch(
+                    `${baseUrl}/api/v1/request`,
+                    {
+                        method: 'POST',
+                        headers: getOverseerrHeaders(userConfig, { 'Content-Type': 'application/json' }),
+                        body: JSON.stringify(requestBody)
+                    }
+                );
+
+                log.info(`Response status: ${response.status} ${response.statusText}`);
+
+                if (response.ok) {
+                    const data = await response.json();
+                    log.info(`✅ SUCCESS: "${mediaName}" - Request ID: ${data.id}`);
+                    return {
+                        success: true,
+                        requestId: data.id,
+                        // Auto-approved (admins, or users with auto-approve) or waiting for approval
+                        approved: data.status === REQUEST_STATUS.APPROVED,
+                        data: data,
+                        message: `Request submitted successfully (ID: ${data.id})`
+                    };
+                } else {
+                    const errorText = await response.text();
+                    log.error(`❌ FAILED: "${mediaName}" - Status: ${response.status}, Error: ${errorText}`);
+                    return {
+                        success: false,
+                        error: errorText,
+                        status: response.status,
+                        statusText: response.statusText,
+                        message: `Request failed: ${response.status} ${response.statusText}`
+                    };
+                }
+            } catch (error) {
+                log.error(`❌ NETWORK ERROR: "${mediaName}" - ${error.message}`);
+                return {
+                    success: false,
+                    error: error.message,
+                    code: error.code,
+                    message: `Network error: ${error.message}`
+                };
+            }
+        },
+
+        // ─── Media Status ────────────
+        // Returns null when the lookup fails so callers can fall back to plain request streams.
+        async getMediaStatus(tmdbId, type) {
+            if (!baseUrl || !apiKey) {
+                return null;
+            }
+
+            const mediaType = type === 'movie' ? 'movie' : 'tv';
+
+            try {
+                const response = await fetch(`${baseUrl}/api/v1/${mediaType}/${encodeURIComponent(tmdbId)}`, {
+                    headers: getOverseerrHeaders(userConfig)
+                });
+
+                if (!response.ok) {
+                    statusLog.warn(`${name} lookup failed (HTTP ${response.status}) for ${mediaType} ${tmdbId}`);
+                    return null;
+                }
+
+                const data = await response.json();
+                const status = buildStatus(data, mediaType, false);
+                // 4K is tracked separately (status4k, is4k requests) by Overseerr
+                status.fourK = buildStatus(data, mediaType, true);
+
+                statusLog.info(`${mediaType} ${tmdbId}: status=${status.status}${mediaType === 'tv' ? `, seasons=${JSON.stringify(status.seasons)}` : ''}`);
+                return status;
+            } catch (error) {
+                statusLog.warn(`${name} lookup error for ${mediaType} ${tmdbId}: ${error.message}`);
+                return null;
+            }
+        },
+
+        // ─── Connection Test ────────────
+        async testService() {
+            const response = await fetch(`${baseUrl}/api/v1/user`, {
+                headers: { 'X-Api-Key': apiKey }
+            });
+
+            if (!response.ok) {
+                return { service: name, status: 'error', message: `Connection failed (HTTP ${response.status})` };
+            }
+
+            if (!userId) {
+                return { service: name, status: 'success', message: 'URL and API key are valid' };
+            }
+
+            const userResponse = await fetch(`${baseUrl}/api/v1/user/${userId}`, {
+                headers: { 'X-Api-Key': apiKey }
+            });
+            if (!userResponse.ok) {
+                return { service: name, status: 'error', message: `URL and API key are valid, but user ${userId} was not found (HTTP ${userResponse.status})` };
+            }
+
+            const user = await userResponse.json();
+            return { service: name, status: 'success', message: `URL and API key are valid - requests will be made as ${user.displayName || user.email}` };
+        },
+
+        // ─── Diagnostics ────────────
+        // Checklist for the config page: version, the requesting user's permissions and
+        // quotas, and the Radarr/Sonarr servers approved requests go to
+        async diagnose() {
+            let user = null;
+            let label = null;
+            return collectChecks([
+                ['Version', checkVersion],
+                ['Permissions', async () => {
+                    user = await fetchJson('/auth/me');
+                    label = user.displayName || user.username || user.email || `User ${user.id}`;
+                    return checkPermissions(user, label);
+                }],
+                ['Quota', async () => (user ? checkQuota(user, label) : [])],
+                ['Radarr/Sonarr servers', checkServers]
+            ]);
+        },
+
+        // Radarr/Sonarr servers configured in Overseerr, with their profiles and root folders
+        async listServers() {
+            const servers = {};
+            for (const serviceType of ['radarr', 'sonarr']) {
+                const response = await fetch(`${baseUrl}/api/v1/service/${serviceType}`, {
+                    headers: getOverseerrHeaders(userConfig)
+                });
+                if (!response.ok) {
+                    throw new Error(`${name} HTTP ${response.status} listing ${serviceType} servers`);
+                }
+
+                servers[serviceType] = await Promise.all((await response.json()).map(async (server) => {
+                    const detailsResponse = await fetch(`${baseUrl}/api/v1/service/${serviceType}/${server.id}`, {
+                        headers: getOverseerrHeaders(userConfig)
+                    });
+                    const details = detailsResponse.ok ? await detailsResponse.json() : {};
+                    return {
+                        id: server.id,
+                        name: server.name,
+                        is4k: !!server.is4k,
+                        isDefault: !!server.isDefault,
+                        profiles: (details.profiles || []).map(p => ({ id: p.id, name: p.name })),
+                        rootFolders: (details.rootFolders || []).map(f => f.path)
+                    };
+                }));
+            }
+            return servers;
+        },
+
+        // Users that requests can be made on behalf of (needs an admin API key)
+        async listUsers() {
+            const response = await fetch(`${baseUrl}/api/v1/user?take=100&sort=displayname`, {
+                headers: { 'X-Api-Key': apiKey, 'User-Agent': USER_AGENT }
+            });
+            if (!response.ok) {
+                throw new Error(`${name} HTTP ${response.status} listing users`);
+            }
+
+            const data = await response.json();
+            return (data.results || []).map(user => ({
+                id: user.id,
+                name: user.displayName || user.username || user.email
+            }));
+        }
+    };
+}
@@ -0,0 +1,47 @@
+// ─── Shared Media Status ───────────────────
+// Every backend reports status with Overseerr's MediaStatus numbers so the stream
+// builder doesn't need to know which backend it is talking to.
+export const MEDIA_STATUS = {
+    UNKNOWN: 1,
+    PENDING: 2,
+    PROCESSING: 3,
+    PARTIALLY_AVAILABLE: 4,
+    AVAILABLE: 5,
+    BLACKLISTED: 6
+};
+
+// seasonNumbers lists regular seasons only; specials (season 0) are flagged separately
+// and their status lives in seasons[0]
+export function createMediaStatus(status = MEDIA_STATUS.UNKNOWN) {
+    return {
+        status: status,
+        seasons: {},
+        seasonNumbers: [],
+        hasSpecials: false
+    };
+}
+
+export const USER_AGENT = 'Stremio-Overseerr-Addon/1.0.0';
+
+// Normalize URL - remove trailing slashes
+export function normalizeUrl(url) {
+    return (url || '').replace(/\/+$/, '');
+}
+
+// ─── Diagnostics ───────────────────
+// Backends report diagnostics as a checklist of { check, status, message, hint? } with
+// status 'success', 'warning' or 'error'; hint says how to fix what isn't right.
+// Runs [name, run] steps in order; a step that throws becomes a warning, so one
+// unreachable endpoint doesn't hide the other checks.
+export async function collectChecks(steps) {
+    const checks = [];
+    for (const [check, run] of steps) {
+        try {
+            checks.push(...await run());
+        } catch (error) {
+            const reason = error.status ? `HTTP ${error.status}` : error.message;
+            checks.push({ check, status: 'warning', message: `Could not be checked (${reason})` });
+        }
+    }
+    return checks;
+}
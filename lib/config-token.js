@@ -0,0 +1,129 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { createLogger } from "./logger.js";
+
+const log = createLogger('CONFIG');
+
+// ─── Encrypted Configuration Tokens ───────────────────
+// Addon URLs carry the user's config. New tokens are AES-256-GCM encrypted with a
+// server-side secret so API keys aren't readable from shared URLs or proxy logs:
+//
+//   v1.<keyId>.<iv>.<ciphertext>.<authTag>   (all parts base64url)
+//
+// keyId tells which secret encrypted the token, so secrets can be rotated:
+// CONFIG_SECRET encrypts new tokens, CONFIG_SECRETS_PREVIOUS (comma separated)
+// still decrypts old ones. Tokens without the "v1." prefix are the original
+// plain base64 JSON and keep working.
+
+const TOKEN_VERSION = 'v1';
+const SECRET_FILE = 'config-secret.key';
+
+function deriveKey(secret) {
+    return {
+        id: crypto.createHash('sha256').update(secret).digest('hex').slice(0, 8),
+        key: Buffer.from(crypto.hkdfSync('sha256', secret, 'stremio-overseerr-config', TOKEN_VERSION, 32))
+    };
+}
+
+// Without CONFIG_SECRET, generate one and keep it next to the other data files.
+// That isn't possible on Vercel, which then falls back to plain base64 tokens.
+function loadGeneratedSecret() {
+    if (process.env.VERCEL) return null;
+
+    const secretPath = path.join(process.env.STORE_DIR || './data', SECRET_FILE);
+    try {
+        return fs.readFileSync(secretPath, 'utf8').trim();
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            log.warn(`Could not read ${secretPath}: ${error.message}`);
+            return null;
+        }
+    }
+
+    try {
+        const secret = crypto.randomBytes(32).toString('base64url');
+        fs.mkdirSync(path.dirname(secretPath), { recursive: true });
+        fs.writeFileSync(secretPath, secret, { mode: 0o600 });
+        log.info(`Generated a new config secret in ${secretPath} - set CONFIG_SECRET to manage it yourself`);
+        return secret;
+    } catch (error) {
+        log.warn(`Could not store a generated config secret: ${error.message}`);
+        return null;
+    }
+}
+
+let keys = null;
+
+function getKeys() {
+    if (keys) return keys;
+
+    const current = process.env.CONFIG_SECRET || loadGeneratedSecret();
+    const previous = (process.env.CONFIG_SECRETS_PREVIOUS || '').split(',').map(s => s.trim()).filter(Boolean);
+
+    keys = {
+        current: current ? deriveKey(current) : null,
+        all: [current, ...previous].filter(Boolean).map(deriveKey)
+    };
+    if (!keys.current) {
+        log.warn('No config secret available - addon URLs will use unencrypted base64 tokens');
+    }
+    return keys;
+}
+
+export function isEncryptionEnabled() {
+    return !!getKeys().current;
+}
+
+export function encodeConfigToken(config) {
+    const json = JSON.stringify(config);
+    const { current } = getKeys();
+
+    if (!current) {
+        return Buffer.from(json, 'utf8').toString('base64');
+    }
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', current.key, iv);
+    const ciphertext = Buffer.concat([cipher.update(json, 'utf8'), cipher.final()]);
+
+    return [
+        TOKEN_VERSION,
+        current.id,
+        iv.toString('base64url'),
+        ciphertext.toString('base64url'),
+        cipher.getAuthTag().toString('base64url')
+    ].join('.');
+}
+
+// Returns the parsed config object; throws on tampered, unknown-key or malformed tokens
+export function decodeConfigToken(token) {
+    if (!token.startsWith(`${TOKEN_VERSION}.`)) {
+        // Legacy token: add padding if needed for base64
+        let paddedConfig = token;
+        while (paddedConfig.length % 4 !== 0) {
+            paddedConfig += '=';
+        }
+        return JSON.parse(Buffer.from(paddedConfig, 'base64').toString('utf8'));
+    }
+
+    const parts = token.split('.');
+    if (parts.length !== 5) {
+        throw new Error('Malformed config token');
+    }
+
+    const [, keyId, iv, ciphertext, authTag] = parts;
+    const key = getKeys().all.find(k => k.id === keyId);
+    if (!key) {
+        throw new Error(`Config token was encrypted with an unknown key (${keyId})`);
+    }
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key.key, Buffer.from(iv, 'base64url'));
+    decipher.setAuthTag(Buffer.from(authTag, 'base64url'));
+    const json = Buffer.concat([
+        decipher.update(Buffer.from(ciphertext, 'base64url')),
+        decipher.final()
+    ]).toString('utf8');
+
+    return JSON.parse(json);
+}
@@ -0,0 +1,57 @@
+import crypto from "crypto";
+import { createStore } from "./store.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger('HISTORY');
+
+// ─── Request History ───────────────────
+// Every request sent through a configured addon URL is recorded with its outcome.
+// History is scoped to the backend identity of the config (instance, API key and
+// requesting user), hashed so the store never holds API keys, and only readable
+// through that config's own URL.
+
+const HISTORY_LIMIT = parseInt(process.env.HISTORY_LIMIT) || 200;
+const HISTORY_RETENTION_MS = (parseFloat(process.env.HISTORY_RETENTION_DAYS) || 90) * 24 * 60 * 60 * 1000;
+
+const store = createStore('history');
+
+// Appends to the same scope run one after another so concurrent requests aren't lost
+const pendingWrites = new Map();
+
+export function getHistoryScope(backendKey) {
+    return crypto.createHash('sha256').update(String(backendKey)).digest('hex').slice(0, 32);
+}
+
+// Newest first
+export async function getHistory(scope) {
+    return (await store.get(scope)) || [];
+}
+
+export function addHistoryEntry(scope, entry) {
+    const previous = pendingWrites.get(scope) || Promise.resolve();
+
+    const write = previous.then(async () => {
+        const record = { id: crypto.randomUUID(), at: Date.now(), ...entry };
+        const entries = [record, ...await getHistory(scope)].slice(0, HISTORY_LIMIT);
+        // Each write extends the retention, so only configs that stop being used expire
+        await store.set(scope, entries, HISTORY_RETENTION_MS);
+        return record;
+    }).catch((error) => {
+        log.error(`Could not record request: ${error.message}`);
+        return null;
+    });
+
+    pendingWrites.set(scope, write);
+    write.then(() => {
+        if (pendingWrites.get(scope) === write) {
+            pendingWrites.delete(scope);
+        }
+    });
+    return write;
+}
+
+// Waits for pending appends and flushes the store (used on shutdown)
+export async function closeHistory() {
+    await Promise.all(pendingWrites.values());
+    await store.close();
+}
@@ -0,0 +1,84 @@
+import en from "./locales/en.js";
+import de from "./locales/de.js";
+import es from "./locales/es.js";
+import fr from "./locales/fr.js";
+import it from "./locales/it.js";
+import pt from "./locales/pt.js";
+
+// ─── Localization ───────────────────
+// Every user-facing string lives in a message catalog under lib/locales, keyed like
+// 'stream.season' with {placeholder} parameters. Missing keys fall back to English.
+// A config's `language` picks the catalog and the language TMDB titles come back in;
+// the configuration page follows ?lang= or the browser's Accept-Language.
+//
+// Plurals use `.one` / `.other` keys, picked by tn().
+
+export const DEFAULT_LOCALE = 'en';
+
+export const LOCALES = {
+    en: { name: 'English', tmdbLanguage: 'en-US', messages: en },
+    de: { name: 'Deutsch', tmdbLanguage: 'de-DE', messages: de },
+    es: { name: 'Español', tmdbLanguage: 'es-ES', messages: es },
+    fr: { name: 'Français', tmdbLanguage: 'fr-FR', messages: fr },
+    it: { name: 'Italiano', tmdbLanguage: 'it-IT', messages: it },
+    pt: { name: 'Português', tmdbLanguage: 'pt-BR', messages: pt }
+};
+
+// Own keys only: 'constructor' or '__proto__' must not match Object.prototype
+function isSupportedLanguage(language) {
+    return Object.hasOwn(LOCALES, language);
+}
+
+// 'de-AT' → 'de'; unknown languages → English
+export function resolveLocale(code) {
+    const language = String(code || '').toLowerCase().split(/[-_]/)[0];
+    return isSupportedLanguage(language) ? language : DEFAULT_LOCALE;
+}
+
+export function getConfigLocale(userConfig) {
+    return resolveLocale(userConfig?.language);
+}
+
+// TMDB `language` parameter for a config, or null to keep TMDB's default (English)
+export function getTmdbLanguage(userConfig) {
+    const language = userConfig?.language ? resolveLocale(userConfig.language) : null;
+    return language ? LOCALES[language].tmdbLanguage : null;
+}
+
+// ?lang= wins, then the best supported Accept-Language entry
+export function getRequestLocale(req) {
+    if (req.query?.lang) {
+        return resolveLocale(req.query.lang);
+    }
+
+    const accepted = String(req.headers['accept-language'] || '')
+        .split(',')
+        .map(part => {
+            const [code, quality] = part.trim().split(';q=');
+            return { code, quality: quality === undefined ? 1 : parseFloat(quality) || 0 };
+        })
+        .sort((a, b) => b.quality - a.quality);
+
+    const match = accepted.find(({ code }) => isSupportedLanguage(String(code).toLowerCase().split(/[-_]/)[0]));
+    return match ? resolveLocale(match.code) : DEFAULT_LOCALE;
+}
+
+export function t(locale, key, params = {}) {
+    const message = LOCALES[locale]?.messages?.[key] ?? en[key] ?? key;
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => params[name] ?? placeholder);
+}
+
+export function tn(locale, key, count, params = {}) {
+    return t(locale, `${key}.${count === 1 ? 'one' : 'other'}`, { count, ...params });
+}
+
+// All messages under a prefix (with English fallbacks), for the config page's script
+export function getMessages(locale, prefix) {
+    const messages = {};
+    for (const key of Object.keys(en)) {
+        if (key.startsWith(prefix)) {
+            messages[key.slice(prefix.length)] = t(locale, key);
+        }
+    }
+    return messages;
+}
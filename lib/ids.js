@@ -0,0 +1,327 @@
+import fs from "fs";
+import path from "path";
+import fetch from "node-fetch";
+import { tmdbGet, findByImdbId, getDetails } from "./tmdb.js";
+import { USER_AGENT } from "./backends/status.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger('IDS');
+const parserLog = createLogger('PARSER');
+
+// ─── Stremio ID Resolution ───────────────────
+// Turns the ids Stremio sends into a TMDB id plus season/episode:
+//
+//   tt0944947[:S:E]                 IMDb (Cinemeta)
+//   tmdb:tv:1399[:S:E], tmdb:1399   TMDB, with or without the media type
+//   tvdb:121361[:S:E]               TheTVDB
+//   kitsu:7442[:E], mal:16498[:E], anidb:9541[:E]
+//
+// Anime ids go through the Fribb anime-lists mapping (Kitsu/MAL/AniDB → TVDB/TMDB/IMDb),
+// cached in STORE_DIR. Anime addons number episodes per entry, often absolutely, so the
+// episode is mapped onto TMDB's seasons to find the season to request.
+
+export const ID_PREFIXES = ['tt', 'tmdb:', 'tvdb:', 'kitsu:', 'mal:', 'anidb:'];
+
+const ANIME_SOURCES = ['kitsu', 'mal', 'anidb'];
+const ANIME_LIST_URL = process.env.ANIME_LIST_URL || 'https://raw.githubusercontent.com/Fribb/anime-lists/master/anime-list-full.json';
+const ANIME_LIST_MAX_AGE_MS = (parseFloat(process.env.ANIME_LIST_REFRESH_DAYS) || 7) * 24 * 60 * 60 * 1000;
+const ANIME_LIST_FILE = 'anime-list.json';
+
+function toNumber(value) {
+    const number = parseInt(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+export function parseStremioId(id, type) {
+    parserLog.info(`Parsing ID: ${id} for type: ${type}`);
+
+    if (type === 'movie' && id.startsWith('tt')) {
+        return { imdbId: id, season: null, episode: null };
+    }
+
+    if (type === 'series' && id.startsWith('tt')) {
+        if (id.includes(':')) {
+            const parts = id.split(':');
+            if (parts.length === 3) {
+                return {
+                    imdbId: parts[0],
+                    season: parseInt(parts[1]),
+                    episode: parseInt(parts[2])
+                };
+            }
+        } else {
+            return { imdbId: id, season: null, episode: null };
+        }
+    }
+
+    // tmdb:movie:123, tmdb:tv:456 and tmdb:tv:456:1:2 (from our own search/discover catalogs),
+    // plus tmdb:456[:1:2] as used by other addons
+    const tmdbMatch = id.match(/^tmdb:(?:(movie|tv):)?(\d+)(?::(\d+):(\d+))?$/);
+    if (tmdbMatch) {
+        return {
+            tmdbId: parseInt(tmdbMatch[2]),
+            mediaType: tmdbMatch[1] || null,
+            season: tmdbMatch[3] !== undefined ? parseInt(tmdbMatch[3]) : null,
+            episode: tmdbMatch[4] !== undefined ? parseInt(tmdbMatch[4]) : null
+        };
+    }
+
+    const tvdbMatch = id.match(/^tvdb:(\d+)(?::(\d+):(\d+))?$/);
+    if (tvdbMatch) {
+        return {
+            tvdbId: parseInt(tvdbMatch[1]),
+            season: tvdbMatch[2] !== undefined ? parseInt(tvdbMatch[2]) : null,
+            episode: tvdbMatch[3] !== undefined ? parseInt(tvdbMatch[3]) : null
+        };
+    }
+
+    const animeMatch = id.match(/^(kitsu|mal|anidb):(\d+)(?::(\d+))?$/);
+    if (animeMatch) {
+        return {
+            anime: { source: animeMatch[1], id: parseInt(animeMatch[2]) },
+            season: null,
+            episode: animeMatch[3] !== undefined ? parseInt(animeMatch[3]) : null
+        };
+    }
+
+    if (/^\d+$/.test(id)) {
+        return { tmdbId: parseInt(id), season: null, episode: null };
+    }
+
+    parserLog.info(`Unsupported ID format: ${id}`);
+    return null;
+}
+
+// ─── Anime Mapping ───────────────────
+// Only the fields we need are kept, indexed by source id.
+
+let animeIndex = null;
+let animeEntryCount = 0;
+let animeIndexLoadedAt = 0;
+let animeIndexLoading = null;
+let animeListFailedAt = 0;
+
+function getAnimeListPath() {
+    return path.join(process.env.STORE_DIR || './data', ANIME_LIST_FILE);
+}
+
+function compactAnimeEntry(entry) {
+    return {
+        kitsu: toNumber(entry.kitsu_id),
+        mal: toNumber(entry.mal_id),
+        anidb: toNumber(entry.anidb_id),
+        tvdb: toNumber(entry.thetvdb_id),
+        tmdb: toNumber(entry.themoviedb_id),
+        imdb: typeof entry.imdb_id === 'string' && entry.imdb_id.startsWith('tt') ? entry.imdb_id : null,
+        movie: entry.type === 'MOVIE',
+        // Season of the TMDB/TVDB show this entry covers, when the list knows it
+        season: toNumber(entry.season?.tmdb ?? entry.season?.tvdb)
+    };
+}
+
+function buildAnimeIndex(entries) {
+    const index = Object.fromEntries(ANIME_SOURCES.map(source => [source, new Map()]));
+    for (const entry of entries) {
+        for (const source of ANIME_SOURCES) {
+            if (entry[source] !== null) {
+                index[source].set(entry[source], entry);
+            }
+        }
+    }
+    return index;
+}
+
+function readCachedAnimeList() {
+    try {
+        const filePath = getAnimeListPath();
+        const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        return { entries: saved.entries, fetchedAt: saved.fetchedAt };
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            log.warn(`Could not read the cached anime list: ${error.message}`);
+        }
+        return null;
+    }
+}
+
+async function downloadAnimeList() {
+    log.info(`Downloading anime id mapping from ${ANIME_LIST_URL}`);
+    const response = await fetch(ANIME_LIST_URL, { headers: { 'User-Agent': USER_AGENT } });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+
+    const entries = (await response.json()).map(compactAnimeEntry);
+    const fetchedAt = Date.now();
+
+    if (!process.env.VERCEL) {
+        try {
+            const filePath = getAnimeListPath();
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(`${filePath}.tmp`, JSON.stringify({ fetchedAt, entries }));
+            await fs.promises.rename(`${filePath}.tmp`, filePath);
+        } catch (error) {
+            log.warn(`Could not cache the anime list: ${error.message}`);
+        }
+    }
+    return { entries, fetchedAt };
+}
+
+// Cached copy if it's fresh, otherwise a new download; a stale copy beats none
+async function loadAnimeIndex() {
+    if (animeIndex && Date.now() - animeIndexLoadedAt < ANIME_LIST_MAX_AGE_MS) {
+        return animeIndex;
+    }
+    if (animeIndexLoading) {
+        return animeIndexLoading;
+    }
+    // Without any copy, don't hammer the download after a failure
+    if (!animeIndex && Date.now() - animeListFailedAt < 60 * 60 * 1000) {
+        return null;
+    }
+
+    animeIndexLoading = (async () => {
+        let list = readCachedAnimeList();
+        if (!list || Date.now() - list.fetchedAt >= ANIME_LIST_MAX_AGE_MS) {
+            try {
+                list = await downloadAnimeList();
+            } catch (error) {
+                log.warn(`Anime list download failed (${error.message})${list ? ' - using the cached copy' : ''}`);
+            }
+        }
+
+        if (list) {
+            animeIndex = buildAnimeIndex(list.entries);
+            animeEntryCount = list.entries.length;
+            // Retry a failed refresh in an hour rather than on every request
+            animeIndexLoadedAt = Math.max(list.fetchedAt, Date.now() - ANIME_LIST_MAX_AGE_MS + 60 * 60 * 1000);
+            log.info(`Anime mapping ready (${list.entries.length} entries)`);
+        } else {
+            animeListFailedAt = Date.now();
+        }
+        return animeIndex;
+    })().finally(() => {
+        animeIndexLoading = null;
+    });
+    return animeIndexLoading;
+}
+
+// ─── TMDB Lookups ───────────────────
+
+async function findByTvdbId(apiKey, tvdbId, type, language = null) {
+    const data = await tmdbGet(apiKey, `/find/${tvdbId}`, { external_source: 'tvdb_id', ...(language && { language }) });
+    return (type === 'movie' ? data.movie_results?.[0] : data.tv_results?.[0]) || null;
+}
+
+// "1999" from a TMDB movie or TV result, null without a date
+function getReleaseYear(result) {
+    const date = result.release_date || result.first_air_date || '';
+    return date.slice(0, 4) || null;
+}
+
+// Absolute episode number → { season, episode } using TMDB's episode counts (specials excluded)
+export function mapAbsoluteEpisode(details, absoluteEpisode) {
+    const seasons = (details.seasons || [])
+        .filter(s => s.season_number > 0 && s.episode_count > 0)
+        .sort((a, b) => a.season_number - b.season_number);
+
+    let remaining = absoluteEpisode;
+    for (const season of seasons) {
+        if (remaining <= season.episode_count) {
+            return { season: season.season_number, episode: remaining };
+        }
+        remaining -= season.episode_count;
+    }
+
+    // Beyond what TMDB lists (e.g. still airing): count it towards the last season
+    const last = seasons[seasons.length - 1];
+    return last ? { season: last.season_number, episode: remaining + last.episode_count } : null;
+}
+
+async function resolveAnimeId(apiKey, anime, episode, type, language) {
+    const index = await loadAnimeIndex();
+    const entry = index?.[anime.source].get(anime.id);
+    if (!entry) {
+        log.info(`No mapping for ${anime.source}:${anime.id}`);
+        return null;
+    }
+
+    const mediaType = entry.movie || type === 'movie' ? 'movie' : 'tv';
+    let result = null;
+
+    if (mediaType === 'movie' && entry.tmdb) {
+        result = { id: entry.tmdb };
+    } else if (mediaType === 'tv' && entry.tvdb) {
+        result = await findByTvdbId(apiKey, entry.tvdb, 'series', language);
+    }
+    if (!result && entry.imdb) {
+        result = await findByImdbId(apiKey, entry.imdb, mediaType === 'movie' ? 'movie' : 'series', language);
+    }
+    if (!result && entry.tmdb) {
+        result = { id: entry.tmdb };
+    }
+    if (!result) {
+        return null;
+    }
+
+    const resolved = {
+        tmdbId: result.id,
+        type: mediaType === 'movie' ? 'movie' : 'series',
+        title: result.title || result.name || null,
+        year: getReleaseYear(result),
+        season: null,
+        episode: null
+    };
+    if (resolved.type === 'movie' || episode === null) {
+        return resolved;
+    }
+
+    if (entry.season !== null) {
+        // The entry covers one season, numbered from 1
+        resolved.season = entry.season;
+        resolved.episode = episode;
+    } else {
+        const details = await getDetails(apiKey, 'tv', resolved.tmdbId);
+        Object.assign(resolved, mapAbsoluteEpisode(details, episode) || { season: 1, episode });
+    }
+    log.info(`${anime.source}:${anime.id} episode ${episode} → TMDB ${resolved.tmdbId} S${resolved.season}E${resolved.episode}`);
+    return resolved;
+}
+
+// Resolves { tmdbId, type, title?, year?, season, episode } or null when the id can't be mapped.
+// `type` can differ from the requested one for anime (a "series" entry that is a film).
+// `language` is the TMDB language the title should come back in.
+export async function resolveStremioId(apiKey, id, type, language = null) {
+    const parsed = parseStremioId(id, type);
+    if (!parsed) return null;
+
+    const resolved = { tmdbId: null, type, title: null, year: null, season: parsed.season, episode: parsed.episode };
+
+    if (parsed.imdbId) {
+        const result = await findByImdbId(apiKey, parsed.imdbId, type, language);
+        if (!result) return null;
+        return { ...resolved, tmdbId: result.id, title: result.title || result.name, year: getReleaseYear(result) };
+    }
+
+    if (parsed.tvdbId) {
+        const result = await findByTvdbId(apiKey, parsed.tvdbId, type, language);
+        if (!result) return null;
+        return { ...resolved, tmdbId: result.id, title: result.title || result.name, year: getReleaseYear(result) };
+    }
+
+    if (parsed.anime) {
+        return resolveAnimeId(apiKey, parsed.anime, parsed.episode, type, language);
+    }
+
+    if (parsed.mediaType) {
+        resolved.type = parsed.mediaType === 'movie' ? 'movie' : 'series';
+    }
+    return { ...resolved, tmdbId: parsed.tmdbId };
+}
+
+export function getIdMappingStats() {
+    return {
+        anime_entries: animeEntryCount,
+        anime_list_loaded_at: animeIndexLoadedAt ? new Date(animeIndexLoadedAt).toISOString() : null
+    };
+}
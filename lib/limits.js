@@ -0,0 +1,195 @@
+import crypto from "crypto";
+import { createStore, isPersistentStore } from "./store.js";
+import { isEncryptionEnabled } from "./config-token.js";
+import { createBackend } from "./backends/index.js";
+
+// ─── Request Limits & Parental Controls ───────────────────
+// Everything here is scoped to the account a config requests as (backend instance, API
+// key and Overseerr user, like the request history) plus a profile id stored in the
+// token. A kid's addon URL has its own quota even when it shares the Overseerr API key,
+// and editing a config or setting a new PIN keeps its counters:
+//
+//   profileId: random id given to new tokens by /api/encode-config, kept when editing
+//   quota:     { movies, seasons, period: 'day' | 'week' }   successful requests per period
+//   restrict:  'movies' | 'all'                               what needs a PIN (or is blocked without one)
+//   pinHash:   scrypt hash of the PIN, set by /api/encode-config
+//
+// A server-wide rate limit (RATE_LIMIT_PER_HOUR) also caps attempts per config, so a
+// leaked URL can't flood an Overseerr instance even without a quota.
+//
+// None of this holds when addon URLs are plain base64 (anyone can decode one, drop the
+// limits and encode it again) or the counters only live in one serverless instance, so
+// canEnforceLimits() decides whether the config page may save them at all.
+
+const RATE_LIMIT_PER_HOUR = parseInt(process.env.RATE_LIMIT_PER_HOUR) || 20;
+const PIN_MAX_FAILURES = 5;
+const PIN_LOCKOUT_MS = 15 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+const quotaUsage = createStore('quotas');
+const rateLimits = createStore('rate-limits');
+
+export function createProfileId() {
+    return crypto.randomBytes(12).toString('base64url');
+}
+
+export function getConfigScope(userConfig) {
+    const identity = `${createBackend(userConfig).key}:${userConfig.profileId || ''}`;
+    return crypto.createHash('sha256').update(identity).digest('hex').slice(0, 32);
+}
+
+export function canEnforceLimits() {
+    return isEncryptionEnabled() && isPersistentStore(quotaUsage) && isPersistentStore(rateLimits);
+}
+
+// Whether the config sets a quota, a restriction or a PIN
+export function hasLimits(userConfig) {
+    return !!(getQuotaSettings(userConfig) || userConfig?.restrict || userConfig?.pin !== undefined || userConfig?.pinHash);
+}
+
+// ─── Quotas ───────────────────
+
+export function getQuotaSettings(userConfig) {
+    const quota = userConfig?.quota;
+    if (!quota) return null;
+
+    const movies = parseInt(quota.movies) || 0;
+    const seasons = parseInt(quota.seasons) || 0;
+    if (!movies && !seasons) return null;
+
+    return { movies, seasons, period: quota.period === 'day' ? 'day' : 'week' };
+}
+
+// Quota periods are calendar based (UTC): days start at midnight, weeks on Monday
+function getPeriodBounds(period, now = new Date()) {
+    const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    if (period === 'week') {
+        start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+    }
+    const end = new Date(start);
+    end.setUTCDate(end.getUTCDate() + (period === 'week' ? 7 : 1));
+    return { start, end };
+}
+
+// One counter per media type and period, so it can be incremented atomically
+function getUsageKey(userConfig, settings, field) {
+    const { start } = getPeriodBounds(settings.period);
+    return `${getConfigScope(userConfig)}:${settings.period}:${start.toISOString().slice(0, 10)}:${field}`;
+}
+
+function getQuotaField(type) {
+    return type === 'movie' ? 'movies' : 'seasons';
+}
+
+function toQuotaStatus(settings, field, used) {
+    const limit = settings[field];
+    return {
+        limit: limit,
+        used: used,
+        left: Math.max(limit - used, 0),
+        field: field,
+        period: settings.period,
+        resetsAt: getPeriodBounds(settings.period).end
+    };
+}
+
+// Movies count once; series count every season requested
+export function getQuotaUnits(type, seasons) {
+    return type === 'movie' ? 1 : Math.max(seasons?.length || 1, 1);
+}
+
+// { limit, used, left, field, period, resetsAt } for the media type, or null when unlimited.
+// `field` ('movies' / 'seasons') and `period` ('day' / 'week') are message keys for the labels.
+export async function getQuotaStatus(userConfig, type) {
+    const settings = getQuotaSettings(userConfig);
+    const field = getQuotaField(type);
+    if (!settings || !settings[field]) return null;
+
+    const used = (await quotaUsage.get(getUsageKey(userConfig, settings, field))) || 0;
+    return toQuotaStatus(settings, field, used);
+}
+
+// Takes the units before the request is sent, so concurrent requests can't both pass
+// the check. Returns { reserved, quota }: quota is the status before this request (null
+// when unlimited), and a request that doesn't fit is not reserved. Hand a reservation
+// back with releaseQuota when the request doesn't go through.
+export async function reserveQuota(userConfig, type, units) {
+    const settings = getQuotaSettings(userConfig);
+    const field = getQuotaField(type);
+    if (!settings || !settings[field]) return { reserved: false, quota: null };
+
+    const key = getUsageKey(userConfig, settings, field);
+    const used = await quotaUsage.increment(key, units, getPeriodBounds(settings.period).end - Date.now());
+    const quota = toQuotaStatus(settings, field, used - units);
+    if (used > settings[field]) {
+        await quotaUsage.increment(key, -units);
+        return { reserved: false, quota };
+    }
+    return { reserved: true, quota };
+}
+
+export async function releaseQuota(userConfig, type, units) {
+    const settings = getQuotaSettings(userConfig);
+    const field = getQuotaField(type);
+    if (!settings || !settings[field]) return;
+
+    await quotaUsage.increment(getUsageKey(userConfig, settings, field), -units);
+}
+
+// ─── Rate Limit ───────────────────
+
+// Counts an attempt; { allowed, retryInMs } using fixed one-hour windows
+export async function takeRateLimit(userConfig) {
+    const windowStart = Math.floor(Date.now() / HOUR_MS) * HOUR_MS;
+    const key = `${getConfigScope(userConfig)}:requests:${windowStart}`;
+    const count = await rateLimits.increment(key, 1, HOUR_MS);
+
+    if (count > RATE_LIMIT_PER_HOUR) {
+        return { allowed: false, retryInMs: windowStart + HOUR_MS - Date.now() };
+    }
+    return { allowed: true, retryInMs: 0 };
+}
+
+// ─── Restrictions & PIN ───────────────────
+
+// 'pin' when the request needs the PIN, 'blocked' when it can't be made at all, null when allowed
+export function getRestriction(userConfig, type) {
+    const restrict = userConfig?.restrict;
+    const restricted = restrict === 'all' || (restrict === 'movies' && type !== 'movie');
+    if (!restricted) return null;
+    return userConfig.pinHash ? 'pin' : 'blocked';
+}
+
+export function hashPin(pin) {
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(String(pin), salt, 32);
+    return `${salt.toString('base64url')}:${hash.toString('base64url')}`;
+}
+
+// Returns { ok, locked }; repeated failures lock the config's PIN for a while
+export async function verifyPin(userConfig, pin) {
+    const key = `${getConfigScope(userConfig)}:pin-failures`;
+    const failures = (await rateLimits.get(key)) || 0;
+    if (failures >= PIN_MAX_FAILURES) {
+        return { ok: false, locked: true };
+    }
+
+    const [salt, expected] = String(userConfig.pinHash || '').split(':');
+    if (!salt || !expected) {
+        return { ok: false, locked: false };
+    }
+
+    const actual = crypto.scryptSync(String(pin), Buffer.from(salt, 'base64url'), 32);
+    const expectedBuffer = Buffer.from(expected, 'base64url');
+    if (actual.length === expectedBuffer.length && crypto.timingSafeEqual(actual, expectedBuffer)) {
+        await rateLimits.delete(key);
+        return { ok: true, locked: false };
+    }
+
+    const count = await rateLimits.increment(key, 1, PIN_LOCKOUT_MS);
+    return { ok: false, locked: count >= PIN_MAX_FAILURES };
+}
+
+export async function closeLimits() {
+    await Promise.all([quotaUsage.close(), rateLimits.close()]);
+}
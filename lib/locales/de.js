@@ -0,0 +1,240 @@
+// Deutsch
+export default {
+    // ─── Request streams ───
+    'stream.movie': '🎬 Film anfragen: „{title}“',
+    'stream.movie4k': '🎬 In 4K anfragen: „{title}“',
+    'stream.missing.one': '📦 Fehlende Staffel ({seasons}) von „{title}“ anfragen',
+    'stream.missing.other': '📦 Fehlende Staffeln ({seasons}) von „{title}“ anfragen',
+    'stream.from': '⏭️ Ab Staffel {season} von „{title}“ anfragen',
+    'stream.specials': '✨ Specials von „{title}“ anfragen',
+    'stream.season': '📺 Staffel {season} von „{title}“ anfragen',
+    'stream.series': '🏠 Komplette Serie anfragen: „{title}“ (alle Staffeln)',
+    'stream.episode': '📺 S{season}E{episode} von „{title}“ anfragen',
+    'stream.in4k': '{request} in 4K',
+    'stream.pinRequired': '(PIN erforderlich)',
+    'stream.quotaLeft': 'Noch {left} von {limit} {unit} {period}',
+    'stream.quotaExhausted': '🚫 Keine {unit} mehr {period} ({used} von {limit} genutzt)',
+
+    'quota.unit.movies': 'Filmanfragen',
+    'quota.unit.seasons': 'Staffeln',
+    'quota.period.day': 'heute',
+    'quota.period.week': 'diese Woche',
+
+    // ─── Status ───
+    'status.pending': 'Angefragt – wartet auf Freigabe',
+    'status.processing': 'Wird bearbeitet',
+    'status.partiallyAvailable': 'Teilweise verfügbar',
+    'status.available': 'Verfügbar',
+    'status.blacklisted': 'Gesperrt',
+    'status.subject': '„{title}“',
+    'status.subjectSeason': 'Staffel {season} von „{title}“',
+    'status.subjectSpecials': 'Specials von „{title}“',
+    'series.available.one': 'Staffel {seasons} verfügbar',
+    'series.available.other': 'Staffeln {seasons} verfügbar',
+    'series.requested.one': 'Staffel {seasons} angefragt',
+    'series.requested.other': 'Staffeln {seasons} angefragt',
+
+    // ─── What was requested ───
+    'seasons.one': 'Staffel {seasons}',
+    'seasons.other': 'Staffeln {seasons}',
+    'request.movie': 'Film',
+    'request.specials': 'Specials',
+    'request.from': 'Ab Staffel {season}',
+    'request.series': 'Komplette Serie',
+    'subject.unknown': 'Unbekannter Titel',
+    'subject.specials': '{title} – Specials',
+    'subject.from': '{title} – ab Staffel {season}',
+    'subject.season': '{title} – Staffel {season}',
+
+    // ─── Request outcomes ───
+    'outcome.submitted': 'Anfrage{id} gesendet, wartet auf Freigabe',
+    'outcome.approved': 'Anfrage{id} gesendet und freigegeben',
+    'outcome.duplicate': 'Bereits angefragt: {error}',
+    'outcome.quota': 'Anfragelimit erreicht: {error}',
+    'outcome.failed': 'Anfrage fehlgeschlagen: {error}',
+    'outcome.failedHttp': 'Anfrage fehlgeschlagen (HTTP {status}): {error}',
+    'outcome.skipped': 'Nichts anzufragen: alle Staffeln sind bereits verfügbar oder angefragt',
+    'outcome.pinRequired': 'Für diese Anfrage braucht dieses Profil die PIN – wähle den 🔒-Stream, um sie einzugeben',
+    'outcome.blockedMovies': 'Filmanfragen sind für dieses Profil deaktiviert',
+    'outcome.blockedSeries': 'Serienanfragen sind für dieses Profil deaktiviert',
+    'outcome.limitNeeds': 'Anfragelimit erreicht: benötigt {units} {unit}, {period} nur noch {left} von {limit} übrig',
+    'outcome.limitReached': 'Anfragelimit erreicht: {used} von {limit} {unit} {period} genutzt',
+    'outcome.retrying': '{message} – wird automatisch wiederholt (Versuch {attempt} von {maxAttempts})',
+    'outcome.gaveUp': '{message} (nach {attempts} Versuchen aufgegeben)',
+    'outcome.rateLimited': 'Zu viele Anfragen über diese Addon-URL – versuche es in {minutes} Min. erneut',
+    'outcome.repeated': '{seconds}s nach der ersten Anfrage erneut angefragt – nicht doppelt an {backend} gesendet',
+    'outcome.waiting': '⏳ Anfrage gesendet – schau gleich noch einmal vorbei',
+
+    // ─── Catalogs ───
+    'manifest.description': 'Filme und Serien über Overseerr anfragen',
+    'catalog.pending': 'Meine offenen Anfragen',
+    'catalog.processing': 'Freigegeben / in Bearbeitung',
+    'catalog.available': 'Neu verfügbar',
+    'catalog.search': 'Overseerr-Suche',
+    'catalog.trending': 'Im Trend',
+    'catalog.popular': 'Beliebt',
+    'catalog.upcoming': 'Demnächst',
+    'catalog.requestedBy': 'angefragt von {user}',
+    'catalog.requestedOn': 'am {date}',
+    'meta.episode': 'Folge {episode}',
+
+    // ─── History page ───
+    'history.title': 'Anfrageverlauf',
+    'history.intro': 'Über diese Addon-URL gesendete Anfragen, neueste zuerst.',
+    'history.empty': 'Noch nichts angefragt.',
+    'history.private': 'Dieser Verlauf ist privat. Setze DEFAULT_HISTORY_PUBLIC=true auf dem Server, um ihn anzuzeigen.',
+    'history.invalid': 'Diese Addon-URL ist ungültig.',
+    'history.requested': 'Angefragt',
+    'history.name': 'Titel',
+    'history.what': 'Was',
+    'history.request': 'Anfrage',
+    'history.result': 'Ergebnis',
+    'state.submitted': '✅ Gesendet',
+    'state.duplicate': 'ℹ️ Bereits angefragt',
+    'state.quota': '🚫 Limit erreicht',
+    'state.queued': '🔁 Wird wiederholt',
+    'state.blocked': '🔒 Gesperrt',
+    'state.skipped': 'ℹ️ Nichts fehlt',
+    'state.failed': '❌ Fehlgeschlagen',
+
+    // ─── PIN confirmation page ───
+    'confirm.title': 'Anfrage bestätigen',
+    'confirm.prompt': 'Gib die PIN dieses Profils ein, um die Anfrage zu senden.',
+    'confirm.wrongPin': 'Falsche PIN, bitte versuche es noch einmal.',
+    'confirm.locked': 'Zu viele falsche PINs. Versuche es in 15 Minuten erneut.',
+    'confirm.placeholder': 'PIN',
+    'confirm.send': 'Anfrage senden',
+
+    // ─── Configuration page ───
+    'page.intro': 'Richte unten deine persönliche Addon-Instanz ein. Deine Einstellungen werden verschlüsselt in der Addon-URL gespeichert – auf dem Server wird nichts abgelegt.',
+    'page.banner': '✅ FERTIG: Anfragen für Filme, Staffeln und komplette Serien funktionieren!',
+    'page.privacyTitle': '🔐 Deine Daten bleiben bei dir',
+    'page.privacyStored': '<strong>Auf unserem Server wird nichts gespeichert</strong> – deine API-Schlüssel und URLs werden verschlüsselt in deiner persönlichen Addon-URL abgelegt und lassen sich aus geteilten URLs oder Screenshots nicht auslesen.',
+    'page.privacyInstances': '<strong>Funktioniert mit jeder Overseerr-Instanz</strong> – <strong>öffentliche Domains funktionieren auch mit gehostetem Addon</strong>. <em>Lokale IPs/Hostnamen (z. B. <code>192.168.x.x</code>, <code>localhost</code>, <code>.local</code>) funktionieren nur, wenn du dieses Addon im selben Netzwerk wie deine Overseerr-Instanz selbst hostest.</em>',
+    'page.apiHeading': '🔑 Deine API-Konfiguration',
+    'page.tmdbKey': 'Dein TMDB-API-Schlüssel *',
+    'page.tmdbKeyPlaceholder': 'Deinen persönlichen TMDB-API-Schlüssel eingeben',
+    'page.tmdbKeyHelp': 'Einen kostenlosen API-Schlüssel bekommst du unter: https://www.themoviedb.org/settings/api',
+    'page.language': 'Sprache',
+    'page.languageHelp': 'Für Stream-Titel, Statusmeldungen sowie die Titel und Beschreibungen von TMDB.',
+    'page.backend': 'Anfrage-Backend *',
+    'page.backendHelp': 'Wohin Anfragen gesendet werden. Jellyseerr nutzt dieselben Felder wie Overseerr. Der Direktmodus fügt Titel ohne Anfrageverwaltung direkt zu Radarr/Sonarr hinzu.',
+    'page.backendUrl': 'Deine <span class="backend-label">Overseerr</span>-URL *',
+    'page.backendUrlHelp': 'URL deiner Overseerr-Instanz<br>• <strong>Öffentliche Domain</strong>: https://overseerr.yourdomain.com<br>• <strong>Lokales Netzwerk</strong>: http://192.168.1.100:5055<br>• <strong>Mit http:// oder https://</strong>',
+    'page.localNote': '<strong>⚠️ Hinweis:</strong> Lokale IPs/Hostnamen (z. B. <code>192.168.x.x</code>, <code>localhost</code>, <code>.local</code>) funktionieren nur, wenn du dieses Addon im selben Netzwerk wie deine Overseerr-Instanz selbst hostest.',
+    'page.backendApi': 'Dein <span class="backend-label">Overseerr</span>-API-Schlüssel *',
+    'page.backendApiPlaceholder': 'Deinen persönlichen Overseerr-API-Schlüssel eingeben',
+    'page.backendApiHelp': 'Zu finden in <span class="backend-label">Overseerr</span>: Einstellungen → Allgemein → API-Schlüssel',
+    'page.user': 'Als Benutzer anfragen (optional)',
+    'page.userPlaceholder': 'Benutzer-ID – leer lassen, um als Besitzer des API-Schlüssels anzufragen',
+    'page.userHelp': 'Anfragen zählen gegen die Limits und Freigaberegeln dieses Benutzers und erscheinen in seinem Anfrageverlauf. Mit „Konfiguration testen“ kannst du aus deinen Benutzern wählen und dann eine Addon-URL pro Haushaltsmitglied erstellen.',
+    'page.servers': 'Server, Qualitätsprofile &amp; 4K (optional)',
+    'page.request4k': 'Zusätzlich „In 4K anfragen“-Streams anbieten',
+    'page.serversHelp': 'Mit „Konfiguration testen“ wählst du, welchen Radarr/Sonarr-Server, welches Qualitätsprofil und welchen Stammordner Overseerr verwenden soll. Alles auf „Overseerr-Standard“ nutzt die Servervorgaben.',
+    'page.radarrHeading': '🎬 Radarr (Filme)',
+    'page.sonarrHeading': '📺 Sonarr (Serien)',
+    'page.profileFolder': 'Qualitätsprofil-ID / Stammordner',
+    'page.profilePlaceholder': 'z. B. {example} (leer lassen für das erste Profil)',
+    'page.folderPlaceholder': 'z. B. {example} (leer lassen für den ersten Stammordner)',
+    'page.arrHelp': 'Richte mindestens einen davon ein. „Konfiguration testen“ listet die verfügbaren Qualitätsprofile und Stammordner auf. Angefragte Staffeln werden überwacht und sofort gesucht.',
+    'page.discoverHeading': '🧭 Entdecken-Kataloge (optional)',
+    'page.discoverLabel': 'Diese Overseerr-Slider auf dem Stremio-Startbildschirm anzeigen',
+    'page.discoverHelp': 'Im Trend, Beliebt und Demnächst gibt es für Filme und Serien; Sender-Slider nur für Serien. Beliebt lässt sich nach Genre filtern.',
+    'page.notificationsHeading': '🔔 Benachrichtigungen (optional)',
+    'page.discordWebhook': 'Discord-Webhook-URL',
+    'page.telegram': 'Telegram-Bot-Token &amp; Chat-ID',
+    'page.telegramChatPlaceholder': 'Chat-ID, z. B. -1001234567890',
+    'page.webhookUrl': 'Allgemeine Webhook-URL',
+    'page.webhookTemplatePlaceholder': 'Optionale JSON-Vorlage, z. B. {"text": "{{title}} ({{seasons}}) von {{user}}: {{message}}"}',
+    'page.webhookHelp': 'Platzhalter: {{event}}, {{title}}, {{type}}, {{seasons}}, {{user}}, {{message}}, {{requestId}}, {{tmdbId}}, {{url}}, {{timestamp}}. Ohne Vorlage kommen alle als JSON.',
+    'page.notifyWhen': 'Benachrichtige mich bei',
+    'page.notify.submitted': 'Anfrage gesendet',
+    'page.notify.duplicate': 'Doppelte Anfrage unterdrückt',
+    'page.notify.failed': 'Anfrage fehlgeschlagen',
+    'page.notifyHelp': '„Konfiguration testen“ schickt eine Testnachricht an jedes ausgefüllte Ziel.',
+    'page.waitVideoHeading': '🎞️ Warte-Video (optional)',
+    'page.waitVideoUrl': 'Eigene Warte-Video-URL',
+    'page.waitVideoHelp': 'Läuft, während deine Anfrage gesendet wird. Leer lassen, um den mitgelieferten Clip zu verwenden.',
+    'page.streamsHeading': '🎛️ Stream-Liste (optional)',
+    'page.streamOptions': 'Anfrageoptionen für Serien',
+    'page.streamOption.season': 'Diese Staffel',
+    'page.streamOption.series': 'Ganze Serie / fehlende Staffeln',
+    'page.streamOption.from': 'Ab dieser Staffel',
+    'page.streamOption.specials': 'Specials',
+    'page.moveUp': 'Nach oben',
+    'page.streamOptionsHelp': 'Entferne den Haken bei Optionen, die du nicht brauchst, und ändere die Reihenfolge mit ▲. Filme bekommen immer ihren Anfrage-Stream.',
+    'page.streamTemplate': 'Vorlage für Stream-Titel',
+    'page.streamTemplatePlaceholder': 'z. B. {request} · {title} ({year})',
+    'page.streamTemplateHelp': 'Platzhalter: {title}, {season}, {year}, {status} (was die Serie schon hat) und {request} (z. B. „Staffel 2“). Leer lassen für die normalen Titel. Eine kurze Vorlage hält schmale Stream-Listen in TV-Apps lesbar.',
+    'page.addonName': 'Name in der Stream-Liste',
+    'page.addonNameHelp': 'Wird in Stremios Stream-Spalte statt „Overseerr“ angezeigt.',
+    'page.limitsHeading': '🔒 Limits &amp; Jugendschutz (optional)',
+    'page.limitsUnavailable': 'Dieser Server kann keine Limits durchsetzen: Dafür braucht er <code>CONFIG_SECRET</code> und einen dauerhaften Speicher (siehe README). Ohne sie ließe sich eine Addon-URL entschlüsseln und ohne ihre Limits neu speichern, und die Zähler würden zurückgesetzt. Kontingente, Einschränkungen und PINs können hier daher nicht gespeichert werden.',
+    'page.quota': 'Anfragelimits',
+    'page.quotaMovies': 'Filme',
+    'page.quotaSeasons': 'Staffeln',
+    'page.perWeek': 'pro Woche',
+    'page.perDay': 'pro Tag',
+    'page.quotaHelp': 'Wie viele Filme und Staffeln über diese Addon-URL angefragt werden dürfen. Leer lassen für kein Limit. Stream-Titel zeigen den Rest an, z. B. „Noch 2 von 5 Filmanfragen diese Woche“.',
+    'page.restrict': 'Anfragen einschränken',
+    'page.restrictNone': 'Keine Einschränkungen',
+    'page.restrictMovies': 'Nur Filme – Serien brauchen die PIN',
+    'page.restrictAll': 'Alles braucht die PIN',
+    'page.pinPlaceholder': 'PIN (4–8 Ziffern)',
+    'page.restrictHelp': 'Für Kinderprofile: eingeschränkte Anfragen öffnen eine Seite, auf der die PIN abgefragt wird. Ohne PIN sind sie ganz gesperrt. Die PIN wird nur als Hash in der Addon-URL gespeichert.',
+    'page.generate': 'Meine persönliche Addon-URL erstellen',
+    'page.test': 'Konfiguration testen',
+    'page.resultHeading': '📦 Deine persönliche Addon-URL',
+    'page.readyHeading': '🚀 Bereit zur Installation!',
+    'page.readyIntro': 'Diese URL enthält <strong>deine persönliche Konfiguration</strong> und kann in Stremio installiert werden:',
+    'page.readyStep1': 'Stremio öffnen',
+    'page.readyStep2': 'Auf das Puzzle-Symbol (Addons) klicken',
+    'page.readyStep3': 'Auf „Community Addons“ klicken',
+    'page.readyStep4': 'Diese URL einfügen und auf „Install“ klicken',
+    'page.install': 'In Stremio installieren',
+    'page.copy': 'Addon-URL kopieren',
+    'page.historyLink': 'Setze ein Lesezeichen auf <a id="historyLink" href="#" target="_blank" style="color: #8ef;">deinen Anfrageverlauf</a>, um alles zu sehen, was über diese URL angefragt wurde.',
+    'page.editHeading': '✏️ Bestehende Addon-URL bearbeiten',
+    'page.editIntro': 'Füge eine hier erstellte Addon-URL ein, um ihre Einstellungen ins Formular zu laden, ändere was nötig ist und erstelle eine neue URL. API-Schlüssel, Tokens und die PIN werden nie wieder angezeigt: Lass diese Felder leer, um sie zu behalten (Schlüssel bleiben erhalten, solange die URL ihres Servers gleich bleibt).',
+    'page.editPinPlaceholder': 'PIN (nur für PIN-geschützte URLs)',
+    'page.editLoad': 'Einstellungen laden',
+    'page.qrHeading': '📺 Installation auf einem Fernseher?',
+    'page.qrHelp': 'Scanne diesen Code mit einem Handy, das mit demselben Stremio-Konto wie der Fernseher angemeldet ist. Das Addon wird dem Konto hinzugefügt und erscheint auf dem Fernseher, ganz ohne Tippen.',
+    'page.testHeading': '🧪 Konfiguration testen',
+    'page.testIntro': 'Prüfe, ob deine API-Schlüssel und URLs funktionieren:',
+    'page.howHeading': '🔧 So funktioniert es',
+    'page.howForEach': 'Für jeden Benutzer:',
+    'page.howStep1': 'Du gibst <strong>deinen eigenen</strong> TMDB-API-Schlüssel ein',
+    'page.howStep2': 'Du gibst <strong>deine eigene</strong> Overseerr-URL ein (öffentlich oder lokal)',
+    'page.howStep3': 'Du gibst <strong>deinen eigenen</strong> Overseerr-API-Schlüssel ein',
+    'page.howStep4': 'Wir erstellen eine <strong>persönliche Addon-URL</strong> mit deiner verschlüsselten Konfiguration',
+    'page.howStep5': 'Stremio stellt über deine persönliche URL Anfragen über unseren Server',
+    'page.howSafe': '<strong>Deine Daten sind sicher</strong> – wir speichern weder deine API-Schlüssel noch deine URLs.',
+    'page.linksHeading': '🔗 Links',
+    'page.github': '📚 GitHub-Repository',
+
+    // ─── Configuration page script ───
+    'client.requiredFields': 'Bitte fülle alle Pflichtfelder aus',
+    'client.arrRequired': 'Bitte richte Radarr oder Sonarr ein (URL und API-Schlüssel)',
+    'client.pinFormat': 'Die PIN muss aus 4 bis 8 Ziffern bestehen',
+    'client.urlScheme': 'Die {name}-URL muss mit http:// oder https:// beginnen',
+    'client.movies': 'Filme',
+    'client.movies4k': 'Filme (4K)',
+    'client.series': 'Serien',
+    'client.series4k': 'Serien (4K)',
+    'client.serverDefault': 'Overseerr-Standard',
+    'client.defaultSuffix': ' (Standard)',
+    'client.apiKeyOwner': 'Besitzer des API-Schlüssels (Standard)',
+    'client.testing': 'Konfiguration wird getestet … (das kann ein paar Sekunden dauern)',
+    'client.testingButton': 'Teste …',
+    'client.allPassed': '✅ Alle Tests bestanden! Deine Konfiguration funktioniert.',
+    'client.someFailed': '❌ Einige Tests sind fehlgeschlagen. Bitte prüfe deine Konfiguration.',
+    'client.testFailed': '❌ Test fehlgeschlagen: {error}',
+    'client.diagnosticsHeading': '🩺 Diagnose',
+    'client.generateFailed': 'Deine Addon-URL konnte nicht erstellt werden: {error}',
+    'client.copied': 'Deine persönliche Addon-URL wurde kopiert!',
+    'client.qrFailed': 'Der QR-Code konnte nicht geladen werden ({error}). Nutze stattdessen den Installieren-Button oder kopiere die URL.',
+    'client.savedSecret': 'Gespeichert - leer lassen zum Behalten',
+    'client.editLoaded': '✅ Einstellungen geladen. Ändere was nötig ist, erstelle eine neue URL und installiere sie anstelle der alten.',
+    'client.editFailed': '❌ Diese Addon-URL konnte nicht geladen werden: {error}'
+};
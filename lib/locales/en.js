@@ -0,0 +1,240 @@
+// English messages; the fallback for every other locale, so every key must exist here.
+export default {
+    // ─── Request streams ───
+    'stream.movie': '🎬 Request Movie: "{title}"',
+    'stream.movie4k': '🎬 Request in 4K: "{title}"',
+    'stream.missing.one': '📦 Request Missing Season ({seasons}) of "{title}"',
+    'stream.missing.other': '📦 Request Missing Seasons ({seasons}) of "{title}"',
+    'stream.from': '⏭️ Request Season {season} and Later of "{title}"',
+    'stream.specials': '✨ Request Specials of "{title}"',
+    'stream.season': '📺 Request Season {season} of "{title}"',
+    'stream.series': '🏠 Request Complete Series: "{title}" (All Seasons)',
+    'stream.episode': '📺 Request S{season}E{episode} of "{title}"',
+    'stream.in4k': '{request} in 4K',
+    'stream.pinRequired': '(PIN required)',
+    'stream.quotaLeft': '{left} of {limit} {unit} left {period}',
+    'stream.quotaExhausted': '🚫 No {unit} left {period} ({used} of {limit} used)',
+
+    'quota.unit.movies': 'movie requests',
+    'quota.unit.seasons': 'seasons',
+    'quota.period.day': 'today',
+    'quota.period.week': 'this week',
+
+    // ─── Status ───
+    'status.pending': 'Requested – pending approval',
+    'status.processing': 'Processing',
+    'status.partiallyAvailable': 'Partially available',
+    'status.available': 'Available',
+    'status.blacklisted': 'Blacklisted',
+    'status.subject': '"{title}"',
+    'status.subjectSeason': 'Season {season} of "{title}"',
+    'status.subjectSpecials': 'Specials of "{title}"',
+    'series.available.one': 'Season {seasons} available',
+    'series.available.other': 'Seasons {seasons} available',
+    'series.requested.one': 'Season {seasons} requested',
+    'series.requested.other': 'Seasons {seasons} requested',
+
+    // ─── What was requested ───
+    'seasons.one': 'Season {seasons}',
+    'seasons.other': 'Seasons {seasons}',
+    'request.movie': 'Movie',
+    'request.specials': 'Specials',
+    'request.from': 'Season {season} and later',
+    'request.series': 'Complete series',
+    'subject.unknown': 'Unknown title',
+    'subject.specials': '{title} – Specials',
+    'subject.from': '{title} – Season {season} and later',
+    'subject.season': '{title} – Season {season}',
+
+    // ─── Request outcomes ───
+    'outcome.submitted': 'Request{id} submitted, pending approval',
+    'outcome.approved': 'Request{id} submitted and approved',
+    'outcome.duplicate': 'Already requested: {error}',
+    'outcome.quota': 'Request quota reached: {error}',
+    'outcome.failed': 'Request failed: {error}',
+    'outcome.failedHttp': 'Request failed (HTTP {status}): {error}',
+    'outcome.skipped': 'Nothing to request: every season is already available or requested',
+    'outcome.pinRequired': 'This profile needs the PIN for that request – pick the 🔒 stream to enter it',
+    'outcome.blockedMovies': 'Movie requests are turned off for this profile',
+    'outcome.blockedSeries': 'Series requests are turned off for this profile',
+    'outcome.limitNeeds': 'Request limit reached: this needs {units} {unit}, only {left} of {limit} left {period}',
+    'outcome.limitReached': 'Request limit reached: {used} of {limit} {unit} used {period}',
+    'outcome.retrying': '{message} – retrying automatically (attempt {attempt} of {maxAttempts})',
+    'outcome.gaveUp': '{message} (gave up after {attempts} attempts)',
+    'outcome.rateLimited': 'Too many requests from this addon URL – try again in {minutes} min',
+    'outcome.repeated': 'Requested again {seconds}s after the first request - not sent to {backend} twice',
+    'outcome.waiting': '⏳ Request sent – check back in a moment',
+
+    // ─── Catalogs ───
+    'manifest.description': 'Request movies and shows through Overseerr',
+    'catalog.pending': 'My Pending Requests',
+    'catalog.processing': 'Approved / Processing',
+    'catalog.available': 'Recently Available',
+    'catalog.search': 'Overseerr Search',
+    'catalog.trending': 'Trending',
+    'catalog.popular': 'Popular',
+    'catalog.upcoming': 'Upcoming',
+    'catalog.requestedBy': 'requested by {user}',
+    'catalog.requestedOn': 'on {date}',
+    'meta.episode': 'Episode {episode}',
+
+    // ─── History page ───
+    'history.title': 'Request History',
+    'history.intro': 'Requests sent through this addon URL, newest first.',
+    'history.empty': 'Nothing requested yet.',
+    'history.private': 'This history is private. Set DEFAULT_HISTORY_PUBLIC=true on the server to show it.',
+    'history.invalid': 'This addon URL is not valid.',
+    'history.requested': 'Requested',
+    'history.name': 'Title',
+    'history.what': 'What',
+    'history.request': 'Request',
+    'history.result': 'Result',
+    'state.submitted': '✅ Submitted',
+    'state.duplicate': 'ℹ️ Already requested',
+    'state.quota': '🚫 Quota reached',
+    'state.queued': '🔁 Retrying',
+    'state.blocked': '🔒 Blocked',
+    'state.skipped': 'ℹ️ Nothing missing',
+    'state.failed': '❌ Failed',
+
+    // ─── PIN confirmation page ───
+    'confirm.title': 'Confirm Request',
+    'confirm.prompt': 'Enter the PIN for this profile to send the request.',
+    'confirm.wrongPin': 'Wrong PIN, please try again.',
+    'confirm.locked': 'Too many wrong PINs. Try again in 15 minutes.',
+    'confirm.placeholder': 'PIN',
+    'confirm.send': 'Send Request',
+
+    // ─── Configuration page ───
+    'page.intro': 'Configure your personal addon instance below. Your settings are encrypted into the addon URL - no data is stored on the server.',
+    'page.banner': '✅ COMPLETE: Movies, seasons, and entire series requests all working!',
+    'page.privacyTitle': '🔐 Your Data Stays With You',
+    'page.privacyStored': '<strong>No data is stored on our server</strong> - your API keys and URLs are encrypted into your personal addon URL, so they can\'t be read from shared URLs or screenshots.',
+    'page.privacyInstances': '<strong>Works with any Overseerr instance</strong> - <strong>public domains work from remote hosting</strong>. <em>Local IPs/hostnames (e.g. <code>192.168.x.x</code>, <code>localhost</code>, <code>.local</code>) will only work if you self-host this addon on the same network as your Overseerr instance.</em>',
+    'page.apiHeading': '🔑 Your API Configuration',
+    'page.tmdbKey': 'Your TMDB API Key *',
+    'page.tmdbKeyPlaceholder': 'Enter your personal TMDB API key',
+    'page.tmdbKeyHelp': 'Get your free API key from: https://www.themoviedb.org/settings/api',
+    'page.language': 'Language',
+    'page.languageHelp': 'Used for stream titles, status messages and the titles and descriptions TMDB returns.',
+    'page.backend': 'Request Backend *',
+    'page.backendHelp': 'Where requests are sent. Jellyseerr uses the same fields as Overseerr. Direct mode adds titles straight to Radarr/Sonarr without a request manager.',
+    'page.backendUrl': 'Your <span class="backend-label">Overseerr</span> URL *',
+    'page.backendUrlHelp': 'Your personal Overseerr instance URL<br>• <strong>Public domain</strong>: https://overseerr.yourdomain.com<br>• <strong>Local network</strong>: http://192.168.1.100:5055<br>• <strong>Include http:// or https://</strong>',
+    'page.localNote': '<strong>⚠️ Note:</strong> Local IPs/hostnames (e.g. <code>192.168.x.x</code>, <code>localhost</code>, <code>.local</code>) will only work if you self-host this addon on the same network as your Overseerr instance.',
+    'page.backendApi': 'Your <span class="backend-label">Overseerr</span> API Key *',
+    'page.backendApiPlaceholder': 'Enter your personal Overseerr API key',
+    'page.backendApiHelp': 'Get from <span class="backend-label">Overseerr</span>: Settings → General → API Key',
+    'page.user': 'Request As User (Optional)',
+    'page.userPlaceholder': 'User ID - leave empty to request as the API key owner',
+    'page.userHelp': 'Requests count against this user\'s quotas and approval rules and show up in their request history. Run "Test My Configuration" to pick from your users, then generate one addon URL per household member.',
+    'page.servers': 'Servers, Quality Profiles &amp; 4K (Optional)',
+    'page.request4k': 'Also offer "Request in 4K" streams',
+    'page.serversHelp': 'Run "Test My Configuration" to choose which Radarr/Sonarr server, quality profile and root folder Overseerr should use. Anything left on "Overseerr default" uses the server defaults.',
+    'page.radarrHeading': '🎬 Radarr (movies)',
+    'page.sonarrHeading': '📺 Sonarr (series)',
+    'page.profileFolder': 'Quality Profile ID / Root Folder',
+    'page.profilePlaceholder': 'e.g. {example} (leave empty for the first profile)',
+    'page.folderPlaceholder': 'e.g. {example} (leave empty for the first root folder)',
+    'page.arrHelp': 'Configure at least one of them. "Test My Configuration" lists the available quality profiles and root folders. Requested seasons are monitored and searched right away.',
+    'page.discoverHeading': '🧭 Discover Catalogs (Optional)',
+    'page.discoverLabel': 'Show these Overseerr sliders on your Stremio home screen',
+    'page.discoverHelp': 'Trending, Popular and Upcoming appear for movies and series; network sliders are series only. Popular supports genre filtering.',
+    'page.notificationsHeading': '🔔 Notifications (Optional)',
+    'page.discordWebhook': 'Discord Webhook URL',
+    'page.telegram': 'Telegram Bot Token &amp; Chat ID',
+    'page.telegramChatPlaceholder': 'Chat ID, e.g. -1001234567890',
+    'page.webhookUrl': 'Generic Webhook URL',
+    'page.webhookTemplatePlaceholder': 'Optional JSON template, e.g. {"text": "{{title}} ({{seasons}}) by {{user}}: {{message}}"}',
+    'page.webhookHelp': 'Placeholders: {{event}}, {{title}}, {{type}}, {{seasons}}, {{user}}, {{message}}, {{requestId}}, {{tmdbId}}, {{url}}, {{timestamp}}. Leave the template empty to receive all of them as JSON.',
+    'page.notifyWhen': 'Notify me when',
+    'page.notify.submitted': 'Request submitted',
+    'page.notify.duplicate': 'Duplicate request suppressed',
+    'page.notify.failed': 'Request failed',
+    'page.notifyHelp': '"Test My Configuration" sends a test message to every target you fill in.',
+    'page.waitVideoHeading': '🎞️ Wait Video (Optional)',
+    'page.waitVideoUrl': 'Custom Wait Video URL',
+    'page.waitVideoHelp': 'Played while your request is sent. Leave empty to use the clip bundled with this addon.',
+    'page.streamsHeading': '🎛️ Stream List (Optional)',
+    'page.streamOptions': 'Request options for series',
+    'page.streamOption.season': 'This season',
+    'page.streamOption.series': 'Complete series / missing seasons',
+    'page.streamOption.from': 'This season and later',
+    'page.streamOption.specials': 'Specials',
+    'page.moveUp': 'Move up',
+    'page.streamOptionsHelp': 'Untick the options you don\'t want and use ▲ to change the order. Movies always get their request stream.',
+    'page.streamTemplate': 'Stream title template',
+    'page.streamTemplatePlaceholder': 'e.g. {request} · {title} ({year})',
+    'page.streamTemplateHelp': 'Placeholders: {title}, {season}, {year}, {status} (what the series already has) and {request} (e.g. "Season 2"). Leave empty for the standard titles. A short template keeps narrow stream lists on TV apps readable.',
+    'page.addonName': 'Name in the stream list',
+    'page.addonNameHelp': 'Shown in Stremio\'s stream column instead of "Overseerr".',
+    'page.limitsHeading': '🔒 Limits &amp; Parental Controls (Optional)',
+    'page.limitsUnavailable': 'This server can\'t enforce limits: it needs <code>CONFIG_SECRET</code> and a persistent store (see the README). Without them an addon URL could be decoded and saved again without its limits, and counters would reset, so quotas, restrictions and PINs can\'t be saved here.',
+    'page.quota': 'Request Limits',
+    'page.quotaMovies': 'Movies',
+    'page.quotaSeasons': 'Seasons',
+    'page.perWeek': 'per week',
+    'page.perDay': 'per day',
+    'page.quotaHelp': 'How many movies and seasons this addon URL may request. Leave empty for no limit. Stream titles show what\'s left, e.g. "2 of 5 movie requests left this week".',
+    'page.restrict': 'Restrict Requests',
+    'page.restrictNone': 'No restrictions',
+    'page.restrictMovies': 'Movies only - series need the PIN',
+    'page.restrictAll': 'Everything needs the PIN',
+    'page.pinPlaceholder': 'PIN (4-8 digits)',
+    'page.restrictHelp': 'For kids\' profiles: restricted requests open a page asking for the PIN. Without a PIN they are blocked entirely. The PIN is stored as a hash inside the addon URL.',
+    'page.generate': 'Generate My Personal Addon URL',
+    'page.test': 'Test My Configuration',
+    'page.resultHeading': '📦 Your Personal Addon URL',
+    'page.readyHeading': '🚀 Ready to Install!',
+    'page.readyIntro': 'This URL contains <strong>your personal configuration</strong> and can be installed in Stremio:',
+    'page.readyStep1': 'Open Stremio',
+    'page.readyStep2': 'Click the puzzle piece icon (Addons)',
+    'page.readyStep3': 'Click "Community Addons"',
+    'page.readyStep4': 'Paste this URL and click "Install"',
+    'page.install': 'Install in Stremio',
+    'page.copy': 'Copy My Addon URL',
+    'page.historyLink': 'Bookmark <a id="historyLink" href="#" target="_blank" style="color: #8ef;">your request history</a> to see everything requested through this URL.',
+    'page.editHeading': '✏️ Edit an Existing Addon URL',
+    'page.editIntro': 'Paste an addon URL made here to load its settings into the form, change what you need and generate a new URL. API keys, tokens and the PIN are never shown again: leave those fields empty to keep them (keys stay as long as their server URL is unchanged).',
+    'page.editPinPlaceholder': 'PIN (only for PIN-protected URLs)',
+    'page.editLoad': 'Load Settings',
+    'page.qrHeading': '📺 Installing on a TV?',
+    'page.qrHelp': 'Scan this code with a phone signed in to the same Stremio account as the TV. The addon is added to the account and shows up on the TV, no typing needed.',
+    'page.testHeading': '🧪 Test Your Configuration',
+    'page.testIntro': 'Test if your API keys and URLs are working correctly:',
+    'page.howHeading': '🔧 How It Works',
+    'page.howForEach': 'For Each User:',
+    'page.howStep1': 'You enter <strong>your own</strong> TMDB API key',
+    'page.howStep2': 'You enter <strong>your own</strong> Overseerr URL (public or local)',
+    'page.howStep3': 'You enter <strong>your own</strong> Overseerr API key',
+    'page.howStep4': 'We generate a <strong>personal addon URL</strong> with your config encrypted',
+    'page.howStep5': 'Stremio uses your personal URL to make requests through our server',
+    'page.howSafe': '<strong>Your data is safe</strong> - we never store your API keys or URLs.',
+    'page.linksHeading': '🔗 Quick Links',
+    'page.github': '📚 GitHub Repository',
+
+    // ─── Configuration page script ───
+    'client.requiredFields': 'Please fill in all required fields',
+    'client.arrRequired': 'Please configure Radarr or Sonarr (URL and API key)',
+    'client.pinFormat': 'The PIN must be 4 to 8 digits',
+    'client.urlScheme': '{name} URL must start with http:// or https://',
+    'client.movies': 'Movies',
+    'client.movies4k': 'Movies (4K)',
+    'client.series': 'Series',
+    'client.series4k': 'Series (4K)',
+    'client.serverDefault': 'Overseerr default',
+    'client.defaultSuffix': ' (default)',
+    'client.apiKeyOwner': 'API key owner (default)',
+    'client.testing': 'Testing your configuration... (this may take a few seconds)',
+    'client.testingButton': 'Testing...',
+    'client.allPassed': '✅ All tests passed! Your configuration is working correctly.',
+    'client.someFailed': '❌ Some tests failed. Please check your configuration.',
+    'client.testFailed': '❌ Test failed: {error}',
+    'client.diagnosticsHeading': '🩺 Diagnostics',
+    'client.generateFailed': 'Could not generate your addon URL: {error}',
+    'client.copied': 'Your personal addon URL copied to clipboard!',
+    'client.qrFailed': 'Could not load the QR code ({error}). Use the install button or copy the URL instead.',
+    'client.savedSecret': 'Saved - leave empty to keep',
+    'client.editLoaded': '✅ Settings loaded. Change what you need and generate a new URL, then install it in place of the old one.',
+    'client.editFailed': '❌ Could not load this addon URL: {error}'
+};
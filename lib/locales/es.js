@@ -0,0 +1,240 @@
+// Español
+export default {
+    // ─── Request streams ───
+    'stream.movie': '🎬 Solicitar película: "{title}"',
+    'stream.movie4k': '🎬 Solicitar en 4K: "{title}"',
+    'stream.missing.one': '📦 Solicitar la temporada que falta ({seasons}) de "{title}"',
+    'stream.missing.other': '📦 Solicitar las temporadas que faltan ({seasons}) de "{title}"',
+    'stream.from': '⏭️ Solicitar desde la temporada {season} de "{title}"',
+    'stream.specials': '✨ Solicitar especiales de "{title}"',
+    'stream.season': '📺 Solicitar temporada {season} de "{title}"',
+    'stream.series': '🏠 Solicitar serie completa: "{title}" (todas las temporadas)',
+    'stream.episode': '📺 Solicitar T{season}E{episode} de "{title}"',
+    'stream.in4k': '{request} en 4K',
+    'stream.pinRequired': '(requiere PIN)',
+    'stream.quotaLeft': 'Quedan {left} de {limit} {unit} {period}',
+    'stream.quotaExhausted': '🚫 No quedan {unit} {period} ({used} de {limit} usadas)',
+
+    'quota.unit.movies': 'solicitudes de películas',
+    'quota.unit.seasons': 'temporadas',
+    'quota.period.day': 'hoy',
+    'quota.period.week': 'esta semana',
+
+    // ─── Status ───
+    'status.pending': 'Solicitado – pendiente de aprobación',
+    'status.processing': 'En proceso',
+    'status.partiallyAvailable': 'Disponible en parte',
+    'status.available': 'Disponible',
+    'status.blacklisted': 'Bloqueado',
+    'status.subject': '"{title}"',
+    'status.subjectSeason': 'Temporada {season} de "{title}"',
+    'status.subjectSpecials': 'Especiales de "{title}"',
+    'series.available.one': 'Temporada {seasons} disponible',
+    'series.available.other': 'Temporadas {seasons} disponibles',
+    'series.requested.one': 'Temporada {seasons} solicitada',
+    'series.requested.other': 'Temporadas {seasons} solicitadas',
+
+    // ─── What was requested ───
+    'seasons.one': 'Temporada {seasons}',
+    'seasons.other': 'Temporadas {seasons}',
+    'request.movie': 'Película',
+    'request.specials': 'Especiales',
+    'request.from': 'Desde la temporada {season}',
+    'request.series': 'Serie completa',
+    'subject.unknown': 'Título desconocido',
+    'subject.specials': '{title} – Especiales',
+    'subject.from': '{title} – Desde la temporada {season}',
+    'subject.season': '{title} – Temporada {season}',
+
+    // ─── Request outcomes ───
+    'outcome.submitted': 'Solicitud{id} enviada, pendiente de aprobación',
+    'outcome.approved': 'Solicitud{id} enviada y aprobada',
+    'outcome.duplicate': 'Ya solicitado: {error}',
+    'outcome.quota': 'Límite de solicitudes alcanzado: {error}',
+    'outcome.failed': 'La solicitud falló: {error}',
+    'outcome.failedHttp': 'La solicitud falló (HTTP {status}): {error}',
+    'outcome.skipped': 'Nada que solicitar: todas las temporadas ya están disponibles o solicitadas',
+    'outcome.pinRequired': 'Este perfil necesita el PIN para esa solicitud – elige el stream 🔒 para introducirlo',
+    'outcome.blockedMovies': 'Las solicitudes de películas están desactivadas en este perfil',
+    'outcome.blockedSeries': 'Las solicitudes de series están desactivadas en este perfil',
+    'outcome.limitNeeds': 'Límite alcanzado: esto necesita {units} {unit}, solo quedan {left} de {limit} {period}',
+    'outcome.limitReached': 'Límite alcanzado: {used} de {limit} {unit} usadas {period}',
+    'outcome.retrying': '{message} – se reintentará automáticamente (intento {attempt} de {maxAttempts})',
+    'outcome.gaveUp': '{message} (abandonado tras {attempts} intentos)',
+    'outcome.rateLimited': 'Demasiadas solicitudes desde esta URL del addon – inténtalo de nuevo en {minutes} min',
+    'outcome.repeated': 'Solicitado de nuevo {seconds}s después de la primera solicitud - no se envió dos veces a {backend}',
+    'outcome.waiting': '⏳ Solicitud enviada – vuelve a mirar en un momento',
+
+    // ─── Catalogs ───
+    'manifest.description': 'Solicita películas y series a través de Overseerr',
+    'catalog.pending': 'Mis solicitudes pendientes',
+    'catalog.processing': 'Aprobadas / en proceso',
+    'catalog.available': 'Disponibles recientemente',
+    'catalog.search': 'Búsqueda de Overseerr',
+    'catalog.trending': 'Tendencias',
+    'catalog.popular': 'Populares',
+    'catalog.upcoming': 'Próximamente',
+    'catalog.requestedBy': 'solicitado por {user}',
+    'catalog.requestedOn': 'el {date}',
+    'meta.episode': 'Episodio {episode}',
+
+    // ─── History page ───
+    'history.title': 'Historial de solicitudes',
+    'history.intro': 'Solicitudes enviadas con esta URL del addon, las más recientes primero.',
+    'history.empty': 'Todavía no se ha solicitado nada.',
+    'history.private': 'Este historial es privado. Configura DEFAULT_HISTORY_PUBLIC=true en el servidor para mostrarlo.',
+    'history.invalid': 'Esta URL del addon no es válida.',
+    'history.requested': 'Solicitado',
+    'history.name': 'Título',
+    'history.what': 'Qué',
+    'history.request': 'Solicitud',
+    'history.result': 'Resultado',
+    'state.submitted': '✅ Enviada',
+    'state.duplicate': 'ℹ️ Ya solicitado',
+    'state.quota': '🚫 Límite alcanzado',
+    'state.queued': '🔁 Reintentando',
+    'state.blocked': '🔒 Bloqueada',
+    'state.skipped': 'ℹ️ No falta nada',
+    'state.failed': '❌ Fallida',
+
+    // ─── PIN confirmation page ───
+    'confirm.title': 'Confirmar solicitud',
+    'confirm.prompt': 'Introduce el PIN de este perfil para enviar la solicitud.',
+    'confirm.wrongPin': 'PIN incorrecto, inténtalo de nuevo.',
+    'confirm.locked': 'Demasiados PIN incorrectos. Inténtalo de nuevo en 15 minutos.',
+    'confirm.placeholder': 'PIN',
+    'confirm.send': 'Enviar solicitud',
+
+    // ─── Configuration page ───
+    'page.intro': 'Configura abajo tu instancia personal del addon. Tus ajustes se cifran dentro de la URL del addon: no se guarda nada en el servidor.',
+    'page.banner': '✅ COMPLETO: ¡las solicitudes de películas, temporadas y series completas funcionan!',
+    'page.privacyTitle': '🔐 Tus datos se quedan contigo',
+    'page.privacyStored': '<strong>No guardamos nada en nuestro servidor</strong>: tus claves API y URLs se cifran en tu URL personal del addon, así que no se pueden leer desde URLs compartidas ni capturas de pantalla.',
+    'page.privacyInstances': '<strong>Funciona con cualquier instancia de Overseerr</strong>: <strong>los dominios públicos funcionan con el addon alojado</strong>. <em>Las IPs/nombres locales (p. ej. <code>192.168.x.x</code>, <code>localhost</code>, <code>.local</code>) solo funcionan si alojas tú mismo este addon en la misma red que tu Overseerr.</em>',
+    'page.apiHeading': '🔑 Tu configuración de API',
+    'page.tmdbKey': 'Tu clave API de TMDB *',
+    'page.tmdbKeyPlaceholder': 'Introduce tu clave API personal de TMDB',
+    'page.tmdbKeyHelp': 'Consigue tu clave API gratuita en: https://www.themoviedb.org/settings/api',
+    'page.language': 'Idioma',
+    'page.languageHelp': 'Se usa para los títulos de los streams, los mensajes de estado y los títulos y descripciones de TMDB.',
+    'page.backend': 'Backend de solicitudes *',
+    'page.backendHelp': 'A dónde se envían las solicitudes. Jellyseerr usa los mismos campos que Overseerr. El modo directo añade los títulos directamente a Radarr/Sonarr sin gestor de solicitudes.',
+    'page.backendUrl': 'Tu URL de <span class="backend-label">Overseerr</span> *',
+    'page.backendUrlHelp': 'La URL de tu instancia de Overseerr<br>• <strong>Dominio público</strong>: https://overseerr.yourdomain.com<br>• <strong>Red local</strong>: http://192.168.1.100:5055<br>• <strong>Incluye http:// o https://</strong>',
+    'page.localNote': '<strong>⚠️ Nota:</strong> las IPs/nombres locales (p. ej. <code>192.168.x.x</code>, <code>localhost</code>, <code>.local</code>) solo funcionan si alojas tú mismo este addon en la misma red que tu Overseerr.',
+    'page.backendApi': 'Tu clave API de <span class="backend-label">Overseerr</span> *',
+    'page.backendApiPlaceholder': 'Introduce tu clave API personal de Overseerr',
+    'page.backendApiHelp': 'En <span class="backend-label">Overseerr</span>: Ajustes → General → Clave API',
+    'page.user': 'Solicitar como usuario (opcional)',
+    'page.userPlaceholder': 'ID de usuario - déjalo vacío para solicitar como dueño de la clave API',
+    'page.userHelp': 'Las solicitudes cuentan para los límites y reglas de aprobación de este usuario y aparecen en su historial. Usa "Probar mi configuración" para elegir entre tus usuarios y genera una URL del addon por cada miembro de la casa.',
+    'page.servers': 'Servidores, perfiles de calidad y 4K (opcional)',
+    'page.request4k': 'Ofrecer también streams "Solicitar en 4K"',
+    'page.serversHelp': 'Usa "Probar mi configuración" para elegir qué servidor de Radarr/Sonarr, perfil de calidad y carpeta raíz debe usar Overseerr. Lo que quede en "Predeterminado de Overseerr" usa los valores del servidor.',
+    'page.radarrHeading': '🎬 Radarr (películas)',
+    'page.sonarrHeading': '📺 Sonarr (series)',
+    'page.profileFolder': 'ID del perfil de calidad / carpeta raíz',
+    'page.profilePlaceholder': 'p. ej. {example} (vacío para el primer perfil)',
+    'page.folderPlaceholder': 'p. ej. {example} (vacío para la primera carpeta raíz)',
+    'page.arrHelp': 'Configura al menos uno. "Probar mi configuración" muestra los perfiles de calidad y carpetas raíz disponibles. Las temporadas solicitadas se monitorizan y se buscan enseguida.',
+    'page.discoverHeading': '🧭 Catálogos de descubrimiento (opcional)',
+    'page.discoverLabel': 'Mostrar estos carruseles de Overseerr en la pantalla de inicio de Stremio',
+    'page.discoverHelp': 'Tendencias, Populares y Próximamente aparecen para películas y series; los de cadenas solo para series. Populares permite filtrar por género.',
+    'page.notificationsHeading': '🔔 Notificaciones (opcional)',
+    'page.discordWebhook': 'URL del webhook de Discord',
+    'page.telegram': 'Token del bot de Telegram e ID del chat',
+    'page.telegramChatPlaceholder': 'ID del chat, p. ej. -1001234567890',
+    'page.webhookUrl': 'URL de webhook genérico',
+    'page.webhookTemplatePlaceholder': 'Plantilla JSON opcional, p. ej. {"text": "{{title}} ({{seasons}}) de {{user}}: {{message}}"}',
+    'page.webhookHelp': 'Marcadores: {{event}}, {{title}}, {{type}}, {{seasons}}, {{user}}, {{message}}, {{requestId}}, {{tmdbId}}, {{url}}, {{timestamp}}. Sin plantilla los recibes todos como JSON.',
+    'page.notifyWhen': 'Avisarme cuando',
+    'page.notify.submitted': 'Se envía una solicitud',
+    'page.notify.duplicate': 'Se descarta una solicitud duplicada',
+    'page.notify.failed': 'Falla una solicitud',
+    'page.notifyHelp': '"Probar mi configuración" envía un mensaje de prueba a cada destino que rellenes.',
+    'page.waitVideoHeading': '🎞️ Vídeo de espera (opcional)',
+    'page.waitVideoUrl': 'URL de vídeo de espera propio',
+    'page.waitVideoHelp': 'Se reproduce mientras se envía tu solicitud. Déjalo vacío para usar el clip incluido en el addon.',
+    'page.streamsHeading': '🎛️ Lista de streams (opcional)',
+    'page.streamOptions': 'Opciones de solicitud para series',
+    'page.streamOption.season': 'Esta temporada',
+    'page.streamOption.series': 'Serie completa / temporadas que faltan',
+    'page.streamOption.from': 'Desde esta temporada',
+    'page.streamOption.specials': 'Especiales',
+    'page.moveUp': 'Subir',
+    'page.streamOptionsHelp': 'Desmarca las opciones que no quieras y usa ▲ para cambiar el orden. Las películas siempre tienen su stream de solicitud.',
+    'page.streamTemplate': 'Plantilla del título del stream',
+    'page.streamTemplatePlaceholder': 'p. ej. {request} · {title} ({year})',
+    'page.streamTemplateHelp': 'Variables: {title}, {season}, {year}, {status} (lo que ya tiene la serie) y {request} (p. ej. "Temporada 2"). Déjala vacía para los títulos normales. Una plantilla corta mantiene legibles las listas estrechas de las apps de TV.',
+    'page.addonName': 'Nombre en la lista de streams',
+    'page.addonNameHelp': 'Se muestra en la columna de streams de Stremio en lugar de "Overseerr".',
+    'page.limitsHeading': '🔒 Límites y control parental (opcional)',
+    'page.limitsUnavailable': 'Este servidor no puede aplicar límites: necesita <code>CONFIG_SECRET</code> y un almacenamiento persistente (consulta el README). Sin ellos, una URL del addon podría decodificarse y guardarse de nuevo sin sus límites, y los contadores se reiniciarían, así que aquí no se pueden guardar cuotas, restricciones ni PIN.',
+    'page.quota': 'Límites de solicitudes',
+    'page.quotaMovies': 'Películas',
+    'page.quotaSeasons': 'Temporadas',
+    'page.perWeek': 'por semana',
+    'page.perDay': 'por día',
+    'page.quotaHelp': 'Cuántas películas y temporadas puede solicitar esta URL del addon. Déjalo vacío para no limitar. Los títulos de los streams muestran lo que queda, p. ej. "Quedan 2 de 5 solicitudes de películas esta semana".',
+    'page.restrict': 'Restringir solicitudes',
+    'page.restrictNone': 'Sin restricciones',
+    'page.restrictMovies': 'Solo películas - las series necesitan el PIN',
+    'page.restrictAll': 'Todo necesita el PIN',
+    'page.pinPlaceholder': 'PIN (4-8 dígitos)',
+    'page.restrictHelp': 'Para perfiles infantiles: las solicitudes restringidas abren una página que pide el PIN. Sin PIN quedan bloqueadas por completo. El PIN se guarda como hash dentro de la URL del addon.',
+    'page.generate': 'Generar mi URL personal del addon',
+    'page.test': 'Probar mi configuración',
+    'page.resultHeading': '📦 Tu URL personal del addon',
+    'page.readyHeading': '🚀 ¡Listo para instalar!',
+    'page.readyIntro': 'Esta URL contiene <strong>tu configuración personal</strong> y se puede instalar en Stremio:',
+    'page.readyStep1': 'Abre Stremio',
+    'page.readyStep2': 'Haz clic en el icono de la pieza de puzle (Addons)',
+    'page.readyStep3': 'Haz clic en "Community Addons"',
+    'page.readyStep4': 'Pega esta URL y haz clic en "Install"',
+    'page.install': 'Instalar en Stremio',
+    'page.copy': 'Copiar mi URL del addon',
+    'page.historyLink': 'Guarda en marcadores <a id="historyLink" href="#" target="_blank" style="color: #8ef;">tu historial de solicitudes</a> para ver todo lo solicitado con esta URL.',
+    'page.editHeading': '✏️ Editar una URL de addon existente',
+    'page.editIntro': 'Pega una URL de addon creada aquí para cargar su configuración en el formulario, cambia lo que necesites y genera una nueva URL. Las claves API, los tokens y el PIN no se vuelven a mostrar: deja esos campos vacíos para conservarlos (las claves se conservan mientras la URL de su servidor no cambie).',
+    'page.editPinPlaceholder': 'PIN (solo para URLs protegidas con PIN)',
+    'page.editLoad': 'Cargar configuración',
+    'page.qrHeading': '📺 ¿Instalando en un televisor?',
+    'page.qrHelp': 'Escanea este código con un móvil conectado a la misma cuenta de Stremio que el televisor. El addon se añade a la cuenta y aparece en el televisor, sin tener que escribir nada.',
+    'page.testHeading': '🧪 Prueba tu configuración',
+    'page.testIntro': 'Comprueba si tus claves API y URLs funcionan correctamente:',
+    'page.howHeading': '🔧 Cómo funciona',
+    'page.howForEach': 'Para cada usuario:',
+    'page.howStep1': 'Introduces <strong>tu propia</strong> clave API de TMDB',
+    'page.howStep2': 'Introduces <strong>tu propia</strong> URL de Overseerr (pública o local)',
+    'page.howStep3': 'Introduces <strong>tu propia</strong> clave API de Overseerr',
+    'page.howStep4': 'Generamos una <strong>URL personal del addon</strong> con tu configuración cifrada',
+    'page.howStep5': 'Stremio usa tu URL personal para hacer solicitudes a través de nuestro servidor',
+    'page.howSafe': '<strong>Tus datos están seguros</strong>: nunca guardamos tus claves API ni tus URLs.',
+    'page.linksHeading': '🔗 Enlaces',
+    'page.github': '📚 Repositorio de GitHub',
+
+    // ─── Configuration page script ───
+    'client.requiredFields': 'Rellena todos los campos obligatorios',
+    'client.arrRequired': 'Configura Radarr o Sonarr (URL y clave API)',
+    'client.pinFormat': 'El PIN debe tener de 4 a 8 dígitos',
+    'client.urlScheme': 'La URL de {name} debe empezar por http:// o https://',
+    'client.movies': 'Películas',
+    'client.movies4k': 'Películas (4K)',
+    'client.series': 'Series',
+    'client.series4k': 'Series (4K)',
+    'client.serverDefault': 'Predeterminado de Overseerr',
+    'client.defaultSuffix': ' (predeterminado)',
+    'client.apiKeyOwner': 'Dueño de la clave API (predeterminado)',
+    'client.testing': 'Probando tu configuración... (puede tardar unos segundos)',
+    'client.testingButton': 'Probando...',
+    'client.allPassed': '✅ ¡Todas las pruebas superadas! Tu configuración funciona correctamente.',
+    'client.someFailed': '❌ Algunas pruebas fallaron. Revisa tu configuración.',
+    'client.testFailed': '❌ La prueba falló: {error}',
+    'client.diagnosticsHeading': '🩺 Diagnóstico',
+    'client.generateFailed': 'No se pudo generar tu URL del addon: {error}',
+    'client.copied': '¡URL personal del addon copiada al portapapeles!',
+    'client.qrFailed': 'No se pudo cargar el código QR ({error}). Usa el botón de instalar o copia la URL.',
+    'client.savedSecret': 'Guardado - déjalo vacío para conservarlo',
+    'client.editLoaded': '✅ Configuración cargada. Cambia lo que necesites, genera una nueva URL e instálala en lugar de la anterior.',
+    'client.editFailed': '❌ No se pudo cargar esta URL de addon: {error}'
+};
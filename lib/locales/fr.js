@@ -0,0 +1,240 @@
+// Français
+export default {
+    // ─── Request streams ───
+    'stream.movie': '🎬 Demander le film : « {title} »',
+    'stream.movie4k': '🎬 Demander en 4K : « {title} »',
+    'stream.missing.one': '📦 Demander la saison manquante ({seasons}) de « {title} »',
+    'stream.missing.other': '📦 Demander les saisons manquantes ({seasons}) de « {title} »',
+    'stream.from': '⏭️ Demander à partir de la saison {season} de « {title} »',
+    'stream.specials': '✨ Demander les épisodes spéciaux de « {title} »',
+    'stream.season': '📺 Demander la saison {season} de « {title} »',
+    'stream.series': '🏠 Demander la série complète : « {title} » (toutes les saisons)',
+    'stream.episode': '📺 Demander S{season}E{episode} de « {title} »',
+    'stream.in4k': '{request} en 4K',
+    'stream.pinRequired': '(code PIN requis)',
+    'stream.quotaLeft': 'Encore {left} sur {limit} {unit} {period}',
+    'stream.quotaExhausted': '🚫 Plus de {unit} {period} ({used} sur {limit} utilisées)',
+
+    'quota.unit.movies': 'demandes de films',
+    'quota.unit.seasons': 'saisons',
+    'quota.period.day': 'aujourd\'hui',
+    'quota.period.week': 'cette semaine',
+
+    // ─── Status ───
+    'status.pending': 'Demandé – en attente de validation',
+    'status.processing': 'En cours de traitement',
+    'status.partiallyAvailable': 'Partiellement disponible',
+    'status.available': 'Disponible',
+    'status.blacklisted': 'Bloqué',
+    'status.subject': '« {title} »',
+    'status.subjectSeason': 'Saison {season} de « {title} »',
+    'status.subjectSpecials': 'Épisodes spéciaux de « {title} »',
+    'series.available.one': 'Saison {seasons} disponible',
+    'series.available.other': 'Saisons {seasons} disponibles',
+    'series.requested.one': 'Saison {seasons} demandée',
+    'series.requested.other': 'Saisons {seasons} demandées',
+
+    // ─── What was requested ───
+    'seasons.one': 'Saison {seasons}',
+    'seasons.other': 'Saisons {seasons}',
+    'request.movie': 'Film',
+    'request.specials': 'Épisodes spéciaux',
+    'request.from': 'À partir de la saison {season}',
+    'request.series': 'Série complète',
+    'subject.unknown': 'Titre inconnu',
+    'subject.specials': '{title} – Épisodes spéciaux',
+    'subject.from': '{title} – À partir de la saison {season}',
+    'subject.season': '{title} – Saison {season}',
+
+    // ─── Request outcomes ───
+    'outcome.submitted': 'Demande{id} envoyée, en attente de validation',
+    'outcome.approved': 'Demande{id} envoyée et validée',
+    'outcome.duplicate': 'Déjà demandé : {error}',
+    'outcome.quota': 'Quota de demandes atteint : {error}',
+    'outcome.failed': 'Échec de la demande : {error}',
+    'outcome.failedHttp': 'Échec de la demande (HTTP {status}) : {error}',
+    'outcome.skipped': 'Rien à demander : toutes les saisons sont déjà disponibles ou demandées',
+    'outcome.pinRequired': 'Ce profil a besoin du code PIN pour cette demande – choisissez le flux 🔒 pour le saisir',
+    'outcome.blockedMovies': 'Les demandes de films sont désactivées pour ce profil',
+    'outcome.blockedSeries': 'Les demandes de séries sont désactivées pour ce profil',
+    'outcome.limitNeeds': 'Limite atteinte : il faut {units} {unit}, il n\'en reste que {left} sur {limit} {period}',
+    'outcome.limitReached': 'Limite atteinte : {used} sur {limit} {unit} utilisées {period}',
+    'outcome.retrying': '{message} – nouvel essai automatique (tentative {attempt} sur {maxAttempts})',
+    'outcome.gaveUp': '{message} (abandon après {attempts} tentatives)',
+    'outcome.rateLimited': 'Trop de demandes depuis cette URL d\'addon – réessayez dans {minutes} min',
+    'outcome.repeated': 'Demandé à nouveau {seconds}s après la première demande - pas envoyé deux fois à {backend}',
+    'outcome.waiting': '⏳ Demande envoyée – revenez dans un instant',
+
+    // ─── Catalogs ───
+    'manifest.description': 'Demandez des films et des séries via Overseerr',
+    'catalog.pending': 'Mes demandes en attente',
+    'catalog.processing': 'Validées / en cours',
+    'catalog.available': 'Disponibles récemment',
+    'catalog.search': 'Recherche Overseerr',
+    'catalog.trending': 'Tendances',
+    'catalog.popular': 'Populaires',
+    'catalog.upcoming': 'Prochainement',
+    'catalog.requestedBy': 'demandé par {user}',
+    'catalog.requestedOn': 'le {date}',
+    'meta.episode': 'Épisode {episode}',
+
+    // ─── History page ───
+    'history.title': 'Historique des demandes',
+    'history.intro': 'Demandes envoyées via cette URL d\'addon, les plus récentes en premier.',
+    'history.empty': 'Rien n\'a encore été demandé.',
+    'history.private': 'Cet historique est privé. Définissez DEFAULT_HISTORY_PUBLIC=true sur le serveur pour l\'afficher.',
+    'history.invalid': 'Cette URL d\'addon n\'est pas valide.',
+    'history.requested': 'Demandé le',
+    'history.name': 'Titre',
+    'history.what': 'Quoi',
+    'history.request': 'Demande',
+    'history.result': 'Résultat',
+    'state.submitted': '✅ Envoyée',
+    'state.duplicate': 'ℹ️ Déjà demandé',
+    'state.quota': '🚫 Quota atteint',
+    'state.queued': '🔁 Nouvel essai',
+    'state.blocked': '🔒 Bloquée',
+    'state.skipped': 'ℹ️ Rien ne manque',
+    'state.failed': '❌ Échec',
+
+    // ─── PIN confirmation page ───
+    'confirm.title': 'Confirmer la demande',
+    'confirm.prompt': 'Saisissez le code PIN de ce profil pour envoyer la demande.',
+    'confirm.wrongPin': 'Code PIN incorrect, veuillez réessayer.',
+    'confirm.locked': 'Trop de codes PIN incorrects. Réessayez dans 15 minutes.',
+    'confirm.placeholder': 'PIN',
+    'confirm.send': 'Envoyer la demande',
+
+    // ─── Configuration page ───
+    'page.intro': 'Configurez ci-dessous votre instance personnelle de l\'addon. Vos paramètres sont chiffrés dans l\'URL de l\'addon – rien n\'est stocké sur le serveur.',
+    'page.banner': '✅ TERMINÉ : les demandes de films, de saisons et de séries complètes fonctionnent !',
+    'page.privacyTitle': '🔐 Vos données restent chez vous',
+    'page.privacyStored': '<strong>Rien n\'est stocké sur notre serveur</strong> – vos clés API et URLs sont chiffrées dans votre URL d\'addon personnelle et ne peuvent pas être lues depuis une URL partagée ou une capture d\'écran.',
+    'page.privacyInstances': '<strong>Fonctionne avec n\'importe quelle instance Overseerr</strong> – <strong>les domaines publics fonctionnent avec l\'addon hébergé</strong>. <em>Les IP/noms d\'hôte locaux (p. ex. <code>192.168.x.x</code>, <code>localhost</code>, <code>.local</code>) ne fonctionnent que si vous hébergez vous-même cet addon sur le même réseau que votre Overseerr.</em>',
+    'page.apiHeading': '🔑 Votre configuration API',
+    'page.tmdbKey': 'Votre clé API TMDB *',
+    'page.tmdbKeyPlaceholder': 'Saisissez votre clé API TMDB personnelle',
+    'page.tmdbKeyHelp': 'Obtenez une clé API gratuite sur : https://www.themoviedb.org/settings/api',
+    'page.language': 'Langue',
+    'page.languageHelp': 'Utilisée pour les titres des flux, les messages d\'état ainsi que les titres et descriptions de TMDB.',
+    'page.backend': 'Backend des demandes *',
+    'page.backendHelp': 'Où les demandes sont envoyées. Jellyseerr utilise les mêmes champs qu\'Overseerr. Le mode direct ajoute les titres directement dans Radarr/Sonarr, sans gestionnaire de demandes.',
+    'page.backendUrl': 'Votre URL <span class="backend-label">Overseerr</span> *',
+    'page.backendUrlHelp': 'L\'URL de votre instance Overseerr<br>• <strong>Domaine public</strong> : https://overseerr.yourdomain.com<br>• <strong>Réseau local</strong> : http://192.168.1.100:5055<br>• <strong>Avec http:// ou https://</strong>',
+    'page.localNote': '<strong>⚠️ Remarque :</strong> les IP/noms d\'hôte locaux (p. ex. <code>192.168.x.x</code>, <code>localhost</code>, <code>.local</code>) ne fonctionnent que si vous hébergez vous-même cet addon sur le même réseau que votre Overseerr.',
+    'page.backendApi': 'Votre clé API <span class="backend-label">Overseerr</span> *',
+    'page.backendApiPlaceholder': 'Saisissez votre clé API Overseerr personnelle',
+    'page.backendApiHelp': 'Dans <span class="backend-label">Overseerr</span> : Paramètres → Général → Clé API',
+    'page.user': 'Demander en tant qu\'utilisateur (facultatif)',
+    'page.userPlaceholder': 'ID utilisateur - laissez vide pour demander en tant que propriétaire de la clé API',
+    'page.userHelp': 'Les demandes comptent dans les quotas et règles de validation de cet utilisateur et apparaissent dans son historique. Lancez « Tester ma configuration » pour choisir parmi vos utilisateurs, puis générez une URL d\'addon par membre du foyer.',
+    'page.servers': 'Serveurs, profils de qualité et 4K (facultatif)',
+    'page.request4k': 'Proposer aussi des flux « Demander en 4K »',
+    'page.serversHelp': 'Lancez « Tester ma configuration » pour choisir le serveur Radarr/Sonarr, le profil de qualité et le dossier racine qu\'Overseerr doit utiliser. Tout ce qui reste sur « Par défaut d\'Overseerr » utilise les réglages du serveur.',
+    'page.radarrHeading': '🎬 Radarr (films)',
+    'page.sonarrHeading': '📺 Sonarr (séries)',
+    'page.profileFolder': 'ID du profil de qualité / dossier racine',
+    'page.profilePlaceholder': 'p. ex. {example} (vide pour le premier profil)',
+    'page.folderPlaceholder': 'p. ex. {example} (vide pour le premier dossier racine)',
+    'page.arrHelp': 'Configurez au moins l\'un des deux. « Tester ma configuration » liste les profils de qualité et dossiers racine disponibles. Les saisons demandées sont surveillées et recherchées immédiatement.',
+    'page.discoverHeading': '🧭 Catalogues Découvrir (facultatif)',
+    'page.discoverLabel': 'Afficher ces carrousels Overseerr sur l\'écran d\'accueil de Stremio',
+    'page.discoverHelp': 'Tendances, Populaires et Prochainement existent pour les films et les séries ; les carrousels de chaînes seulement pour les séries. Populaires peut être filtré par genre.',
+    'page.notificationsHeading': '🔔 Notifications (facultatif)',
+    'page.discordWebhook': 'URL du webhook Discord',
+    'page.telegram': 'Jeton du bot Telegram et ID du chat',
+    'page.telegramChatPlaceholder': 'ID du chat, p. ex. -1001234567890',
+    'page.webhookUrl': 'URL de webhook générique',
+    'page.webhookTemplatePlaceholder': 'Modèle JSON facultatif, p. ex. {"text": "{{title}} ({{seasons}}) par {{user}} : {{message}}"}',
+    'page.webhookHelp': 'Variables : {{event}}, {{title}}, {{type}}, {{seasons}}, {{user}}, {{message}}, {{requestId}}, {{tmdbId}}, {{url}}, {{timestamp}}. Sans modèle, vous les recevez toutes en JSON.',
+    'page.notifyWhen': 'Me prévenir quand',
+    'page.notify.submitted': 'Une demande est envoyée',
+    'page.notify.duplicate': 'Une demande en double est ignorée',
+    'page.notify.failed': 'Une demande échoue',
+    'page.notifyHelp': '« Tester ma configuration » envoie un message de test à chaque destination renseignée.',
+    'page.waitVideoHeading': '🎞️ Vidéo d\'attente (facultatif)',
+    'page.waitVideoUrl': 'URL de vidéo d\'attente personnalisée',
+    'page.waitVideoHelp': 'Lue pendant l\'envoi de votre demande. Laissez vide pour utiliser le clip fourni avec l\'addon.',
+    'page.streamsHeading': '🎛️ Liste des flux (facultatif)',
+    'page.streamOptions': 'Options de demande pour les séries',
+    'page.streamOption.season': 'Cette saison',
+    'page.streamOption.series': 'Série complète / saisons manquantes',
+    'page.streamOption.from': 'À partir de cette saison',
+    'page.streamOption.specials': 'Épisodes spéciaux',
+    'page.moveUp': 'Monter',
+    'page.streamOptionsHelp': 'Décochez les options dont vous ne voulez pas et utilisez ▲ pour changer l\'ordre. Les films ont toujours leur flux de demande.',
+    'page.streamTemplate': 'Modèle de titre des flux',
+    'page.streamTemplatePlaceholder': 'p. ex. {request} · {title} ({year})',
+    'page.streamTemplateHelp': 'Variables : {title}, {season}, {year}, {status} (ce que la série a déjà) et {request} (p. ex. « Saison 2 »). Laissez vide pour les titres standard. Un modèle court garde lisibles les listes étroites des applications TV.',
+    'page.addonName': 'Nom dans la liste des flux',
+    'page.addonNameHelp': 'Affiché dans la colonne des flux de Stremio à la place de « Overseerr ».',
+    'page.limitsHeading': '🔒 Limites et contrôle parental (facultatif)',
+    'page.limitsUnavailable': 'Ce serveur ne peut pas appliquer de limites : il lui faut <code>CONFIG_SECRET</code> et un stockage persistant (voir le README). Sans cela, une URL d\'addon pourrait être décodée puis réenregistrée sans ses limites, et les compteurs seraient remis à zéro ; les quotas, restrictions et codes PIN ne peuvent donc pas être enregistrés ici.',
+    'page.quota': 'Limites de demandes',
+    'page.quotaMovies': 'Films',
+    'page.quotaSeasons': 'Saisons',
+    'page.perWeek': 'par semaine',
+    'page.perDay': 'par jour',
+    'page.quotaHelp': 'Combien de films et de saisons cette URL d\'addon peut demander. Laissez vide pour ne pas limiter. Les titres des flux affichent ce qu\'il reste, p. ex. « Encore 2 sur 5 demandes de films cette semaine ».',
+    'page.restrict': 'Restreindre les demandes',
+    'page.restrictNone': 'Aucune restriction',
+    'page.restrictMovies': 'Films uniquement - les séries demandent le code PIN',
+    'page.restrictAll': 'Tout demande le code PIN',
+    'page.pinPlaceholder': 'Code PIN (4 à 8 chiffres)',
+    'page.restrictHelp': 'Pour les profils enfants : les demandes restreintes ouvrent une page qui demande le code PIN. Sans code PIN, elles sont entièrement bloquées. Le code PIN est stocké sous forme de hash dans l\'URL de l\'addon.',
+    'page.generate': 'Générer mon URL d\'addon personnelle',
+    'page.test': 'Tester ma configuration',
+    'page.resultHeading': '📦 Votre URL d\'addon personnelle',
+    'page.readyHeading': '🚀 Prêt à installer !',
+    'page.readyIntro': 'Cette URL contient <strong>votre configuration personnelle</strong> et peut être installée dans Stremio :',
+    'page.readyStep1': 'Ouvrez Stremio',
+    'page.readyStep2': 'Cliquez sur l\'icône de pièce de puzzle (Addons)',
+    'page.readyStep3': 'Cliquez sur « Community Addons »',
+    'page.readyStep4': 'Collez cette URL et cliquez sur « Install »',
+    'page.install': 'Installer dans Stremio',
+    'page.copy': 'Copier mon URL d\'addon',
+    'page.historyLink': 'Ajoutez <a id="historyLink" href="#" target="_blank" style="color: #8ef;">votre historique des demandes</a> à vos favoris pour voir tout ce qui a été demandé via cette URL.',
+    'page.editHeading': '✏️ Modifier une URL d\'addon existante',
+    'page.editIntro': 'Collez une URL d\'addon créée ici pour charger ses réglages dans le formulaire, modifiez ce qu\'il faut et générez une nouvelle URL. Les clés API, les jetons et le PIN ne sont plus jamais affichés : laissez ces champs vides pour les conserver (les clés sont conservées tant que l\'URL de leur serveur ne change pas).',
+    'page.editPinPlaceholder': 'PIN (uniquement pour les URL protégées par PIN)',
+    'page.editLoad': 'Charger les réglages',
+    'page.qrHeading': '📺 Installation sur une TV ?',
+    'page.qrHelp': 'Scannez ce code avec un téléphone connecté au même compte Stremio que la TV. L\'addon est ajouté au compte et apparaît sur la TV, sans rien taper.',
+    'page.testHeading': '🧪 Tester votre configuration',
+    'page.testIntro': 'Vérifiez que vos clés API et URLs fonctionnent correctement :',
+    'page.howHeading': '🔧 Comment ça marche',
+    'page.howForEach': 'Pour chaque utilisateur :',
+    'page.howStep1': 'Vous saisissez <strong>votre propre</strong> clé API TMDB',
+    'page.howStep2': 'Vous saisissez <strong>votre propre</strong> URL Overseerr (publique ou locale)',
+    'page.howStep3': 'Vous saisissez <strong>votre propre</strong> clé API Overseerr',
+    'page.howStep4': 'Nous générons une <strong>URL d\'addon personnelle</strong> avec votre configuration chiffrée',
+    'page.howStep5': 'Stremio utilise votre URL personnelle pour envoyer les demandes via notre serveur',
+    'page.howSafe': '<strong>Vos données sont en sécurité</strong> – nous ne stockons jamais vos clés API ni vos URLs.',
+    'page.linksHeading': '🔗 Liens utiles',
+    'page.github': '📚 Dépôt GitHub',
+
+    // ─── Configuration page script ───
+    'client.requiredFields': 'Veuillez remplir tous les champs obligatoires',
+    'client.arrRequired': 'Veuillez configurer Radarr ou Sonarr (URL et clé API)',
+    'client.pinFormat': 'Le code PIN doit comporter de 4 à 8 chiffres',
+    'client.urlScheme': 'L\'URL {name} doit commencer par http:// ou https://',
+    'client.movies': 'Films',
+    'client.movies4k': 'Films (4K)',
+    'client.series': 'Séries',
+    'client.series4k': 'Séries (4K)',
+    'client.serverDefault': 'Par défaut d\'Overseerr',
+    'client.defaultSuffix': ' (par défaut)',
+    'client.apiKeyOwner': 'Propriétaire de la clé API (par défaut)',
+    'client.testing': 'Test de votre configuration... (cela peut prendre quelques secondes)',
+    'client.testingButton': 'Test en cours...',
+    'client.allPassed': '✅ Tous les tests sont réussis ! Votre configuration fonctionne correctement.',
+    'client.someFailed': '❌ Certains tests ont échoué. Veuillez vérifier votre configuration.',
+    'client.testFailed': '❌ Échec du test : {error}',
+    'client.diagnosticsHeading': '🩺 Diagnostic',
+    'client.generateFailed': 'Impossible de générer votre URL d\'addon : {error}',
+    'client.copied': 'Votre URL d\'addon personnelle a été copiée !',
+    'client.qrFailed': 'Impossible de charger le code QR ({error}). Utilisez le bouton d\'installation ou copiez l\'URL.',
+    'client.savedSecret': 'Enregistré - laisser vide pour conserver',
+    'client.editLoaded': '✅ Réglages chargés. Modifiez ce qu\'il faut, générez une nouvelle URL et installez-la à la place de l\'ancienne.',
+    'client.editFailed': '❌ Impossible de charger cette URL d\'addon : {error}'
+};
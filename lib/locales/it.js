@@ -0,0 +1,240 @@
+// Italiano
+export default {
+    // ─── Request streams ───
+    'stream.movie': '🎬 Richiedi il film: "{title}"',
+    'stream.movie4k': '🎬 Richiedi in 4K: "{title}"',
+    'stream.missing.one': '📦 Richiedi la stagione mancante ({seasons}) di "{title}"',
+    'stream.missing.other': '📦 Richiedi le stagioni mancanti ({seasons}) di "{title}"',
+    'stream.from': '⏭️ Richiedi dalla stagione {season} in poi di "{title}"',
+    'stream.specials': '✨ Richiedi gli speciali di "{title}"',
+    'stream.season': '📺 Richiedi la stagione {season} di "{title}"',
+    'stream.series': '🏠 Richiedi la serie completa: "{title}" (tutte le stagioni)',
+    'stream.episode': '📺 Richiedi S{season}E{episode} di "{title}"',
+    'stream.in4k': '{request} in 4K',
+    'stream.pinRequired': '(PIN richiesto)',
+    'stream.quotaLeft': 'Restano {left} di {limit} {unit} {period}',
+    'stream.quotaExhausted': '🚫 Nessuna delle {unit} rimasta {period} ({used} di {limit} usate)',
+
+    'quota.unit.movies': 'richieste di film',
+    'quota.unit.seasons': 'stagioni',
+    'quota.period.day': 'oggi',
+    'quota.period.week': 'questa settimana',
+
+    // ─── Status ───
+    'status.pending': 'Richiesto – in attesa di approvazione',
+    'status.processing': 'In lavorazione',
+    'status.partiallyAvailable': 'Parzialmente disponibile',
+    'status.available': 'Disponibile',
+    'status.blacklisted': 'Bloccato',
+    'status.subject': '"{title}"',
+    'status.subjectSeason': 'Stagione {season} di "{title}"',
+    'status.subjectSpecials': 'Speciali di "{title}"',
+    'series.available.one': 'Stagione {seasons} disponibile',
+    'series.available.other': 'Stagioni {seasons} disponibili',
+    'series.requested.one': 'Stagione {seasons} richiesta',
+    'series.requested.other': 'Stagioni {seasons} richieste',
+
+    // ─── What was requested ───
+    'seasons.one': 'Stagione {seasons}',
+    'seasons.other': 'Stagioni {seasons}',
+    'request.movie': 'Film',
+    'request.specials': 'Speciali',
+    'request.from': 'Dalla stagione {season} in poi',
+    'request.series': 'Serie completa',
+    'subject.unknown': 'Titolo sconosciuto',
+    'subject.specials': '{title} – Speciali',
+    'subject.from': '{title} – Dalla stagione {season} in poi',
+    'subject.season': '{title} – Stagione {season}',
+
+    // ─── Request outcomes ───
+    'outcome.submitted': 'Richiesta{id} inviata, in attesa di approvazione',
+    'outcome.approved': 'Richiesta{id} inviata e approvata',
+    'outcome.duplicate': 'Già richiesto: {error}',
+    'outcome.quota': 'Limite di richieste raggiunto: {error}',
+    'outcome.failed': 'Richiesta non riuscita: {error}',
+    'outcome.failedHttp': 'Richiesta non riuscita (HTTP {status}): {error}',
+    'outcome.skipped': 'Niente da richiedere: tutte le stagioni sono già disponibili o richieste',
+    'outcome.pinRequired': 'Questo profilo richiede il PIN per questa richiesta – scegli lo stream 🔒 per inserirlo',
+    'outcome.blockedMovies': 'Le richieste di film sono disattivate per questo profilo',
+    'outcome.blockedSeries': 'Le richieste di serie sono disattivate per questo profilo',
+    'outcome.limitNeeds': 'Limite raggiunto: servono {units} {unit}, ne restano solo {left} di {limit} {period}',
+    'outcome.limitReached': 'Limite raggiunto: {used} di {limit} {unit} usate {period}',
+    'outcome.retrying': '{message} – nuovo tentativo automatico (tentativo {attempt} di {maxAttempts})',
+    'outcome.gaveUp': '{message} (abbandonata dopo {attempts} tentativi)',
+    'outcome.rateLimited': 'Troppe richieste da questo URL dell\'addon – riprova tra {minutes} min',
+    'outcome.repeated': 'Richiesto di nuovo {seconds}s dopo la prima richiesta - non inviato due volte a {backend}',
+    'outcome.waiting': '⏳ Richiesta inviata – ricontrolla tra un momento',
+
+    // ─── Catalogs ───
+    'manifest.description': 'Richiedi film e serie tramite Overseerr',
+    'catalog.pending': 'Le mie richieste in attesa',
+    'catalog.processing': 'Approvate / in lavorazione',
+    'catalog.available': 'Disponibili di recente',
+    'catalog.search': 'Ricerca Overseerr',
+    'catalog.trending': 'Di tendenza',
+    'catalog.popular': 'Popolari',
+    'catalog.upcoming': 'In arrivo',
+    'catalog.requestedBy': 'richiesto da {user}',
+    'catalog.requestedOn': 'il {date}',
+    'meta.episode': 'Episodio {episode}',
+
+    // ─── History page ───
+    'history.title': 'Cronologia richieste',
+    'history.intro': 'Richieste inviate tramite questo URL dell\'addon, dalla più recente.',
+    'history.empty': 'Ancora nessuna richiesta.',
+    'history.private': 'Questa cronologia è privata. Imposta DEFAULT_HISTORY_PUBLIC=true sul server per mostrarla.',
+    'history.invalid': 'Questo URL dell\'addon non è valido.',
+    'history.requested': 'Richiesto',
+    'history.name': 'Titolo',
+    'history.what': 'Cosa',
+    'history.request': 'Richiesta',
+    'history.result': 'Esito',
+    'state.submitted': '✅ Inviata',
+    'state.duplicate': 'ℹ️ Già richiesto',
+    'state.quota': '🚫 Limite raggiunto',
+    'state.queued': '🔁 Nuovo tentativo',
+    'state.blocked': '🔒 Bloccata',
+    'state.skipped': 'ℹ️ Non manca nulla',
+    'state.failed': '❌ Non riuscita',
+
+    // ─── PIN confirmation page ───
+    'confirm.title': 'Conferma richiesta',
+    'confirm.prompt': 'Inserisci il PIN di questo profilo per inviare la richiesta.',
+    'confirm.wrongPin': 'PIN errato, riprova.',
+    'confirm.locked': 'Troppi PIN errati. Riprova tra 15 minuti.',
+    'confirm.placeholder': 'PIN',
+    'confirm.send': 'Invia richiesta',
+
+    // ─── Configuration page ───
+    'page.intro': 'Configura qui sotto la tua istanza personale dell\'addon. Le impostazioni vengono cifrate nell\'URL dell\'addon: sul server non viene salvato nulla.',
+    'page.banner': '✅ COMPLETO: le richieste di film, stagioni e serie complete funzionano!',
+    'page.privacyTitle': '🔐 I tuoi dati restano tuoi',
+    'page.privacyStored': '<strong>Sul nostro server non viene salvato nulla</strong>: chiavi API e URL vengono cifrati nel tuo URL personale dell\'addon, quindi non si possono leggere da URL condivisi o screenshot.',
+    'page.privacyInstances': '<strong>Funziona con qualsiasi istanza di Overseerr</strong>: <strong>i domini pubblici funzionano anche con l\'addon ospitato</strong>. <em>IP/nomi host locali (es. <code>192.168.x.x</code>, <code>localhost</code>, <code>.local</code>) funzionano solo se ospiti tu stesso questo addon nella stessa rete della tua istanza di Overseerr.</em>',
+    'page.apiHeading': '🔑 La tua configurazione API',
+    'page.tmdbKey': 'La tua chiave API TMDB *',
+    'page.tmdbKeyPlaceholder': 'Inserisci la tua chiave API TMDB personale',
+    'page.tmdbKeyHelp': 'Ottieni una chiave API gratuita su: https://www.themoviedb.org/settings/api',
+    'page.language': 'Lingua',
+    'page.languageHelp': 'Usata per i titoli degli stream, i messaggi di stato e i titoli e le descrizioni di TMDB.',
+    'page.backend': 'Backend delle richieste *',
+    'page.backendHelp': 'Dove vengono inviate le richieste. Jellyseerr usa gli stessi campi di Overseerr. La modalità diretta aggiunge i titoli direttamente a Radarr/Sonarr senza gestore di richieste.',
+    'page.backendUrl': 'Il tuo URL di <span class="backend-label">Overseerr</span> *',
+    'page.backendUrlHelp': 'L\'URL della tua istanza di Overseerr<br>• <strong>Dominio pubblico</strong>: https://overseerr.yourdomain.com<br>• <strong>Rete locale</strong>: http://192.168.1.100:5055<br>• <strong>Includi http:// o https://</strong>',
+    'page.localNote': '<strong>⚠️ Nota:</strong> IP/nomi host locali (es. <code>192.168.x.x</code>, <code>localhost</code>, <code>.local</code>) funzionano solo se ospiti tu stesso questo addon nella stessa rete della tua istanza di Overseerr.',
+    'page.backendApi': 'La tua chiave API di <span class="backend-label">Overseerr</span> *',
+    'page.backendApiPlaceholder': 'Inserisci la tua chiave API personale di Overseerr',
+    'page.backendApiHelp': 'In <span class="backend-label">Overseerr</span>: Impostazioni → Generale → Chiave API',
+    'page.user': 'Richiedi come utente (facoltativo)',
+    'page.userPlaceholder': 'ID utente - lascia vuoto per richiedere come proprietario della chiave API',
+    'page.userHelp': 'Le richieste contano per i limiti e le regole di approvazione di questo utente e compaiono nella sua cronologia. Usa "Prova la mia configurazione" per scegliere tra i tuoi utenti, poi genera un URL dell\'addon per ogni membro della famiglia.',
+    'page.servers': 'Server, profili di qualità e 4K (facoltativo)',
+    'page.request4k': 'Offri anche gli stream "Richiedi in 4K"',
+    'page.serversHelp': 'Usa "Prova la mia configurazione" per scegliere quale server Radarr/Sonarr, profilo di qualità e cartella principale deve usare Overseerr. Ciò che resta su "Predefinito di Overseerr" usa le impostazioni del server.',
+    'page.radarrHeading': '🎬 Radarr (film)',
+    'page.sonarrHeading': '📺 Sonarr (serie)',
+    'page.profileFolder': 'ID profilo di qualità / cartella principale',
+    'page.profilePlaceholder': 'es. {example} (vuoto per il primo profilo)',
+    'page.folderPlaceholder': 'es. {example} (vuoto per la prima cartella principale)',
+    'page.arrHelp': 'Configurane almeno uno. "Prova la mia configurazione" elenca i profili di qualità e le cartelle principali disponibili. Le stagioni richieste vengono monitorate e cercate subito.',
+    'page.discoverHeading': '🧭 Cataloghi Scopri (facoltativo)',
+    'page.discoverLabel': 'Mostra questi caroselli di Overseerr nella schermata iniziale di Stremio',
+    'page.discoverHelp': 'Di tendenza, Popolari e In arrivo ci sono per film e serie; i caroselli dei canali solo per le serie. Popolari si può filtrare per genere.',
+    'page.notificationsHeading': '🔔 Notifiche (facoltativo)',
+    'page.discordWebhook': 'URL del webhook Discord',
+    'page.telegram': 'Token del bot Telegram e ID della chat',
+    'page.telegramChatPlaceholder': 'ID della chat, es. -1001234567890',
+    'page.webhookUrl': 'URL webhook generico',
+    'page.webhookTemplatePlaceholder': 'Modello JSON facoltativo, es. {"text": "{{title}} ({{seasons}}) da {{user}}: {{message}}"}',
+    'page.webhookHelp': 'Segnaposto: {{event}}, {{title}}, {{type}}, {{seasons}}, {{user}}, {{message}}, {{requestId}}, {{tmdbId}}, {{url}}, {{timestamp}}. Senza modello li ricevi tutti come JSON.',
+    'page.notifyWhen': 'Avvisami quando',
+    'page.notify.submitted': 'Una richiesta viene inviata',
+    'page.notify.duplicate': 'Una richiesta doppia viene ignorata',
+    'page.notify.failed': 'Una richiesta non riesce',
+    'page.notifyHelp': '"Prova la mia configurazione" invia un messaggio di prova a ogni destinazione compilata.',
+    'page.waitVideoHeading': '🎞️ Video di attesa (facoltativo)',
+    'page.waitVideoUrl': 'URL video di attesa personalizzato',
+    'page.waitVideoHelp': 'Riprodotto mentre la richiesta viene inviata. Lascia vuoto per usare la clip inclusa nell\'addon.',
+    'page.streamsHeading': '🎛️ Elenco stream (facoltativo)',
+    'page.streamOptions': 'Opzioni di richiesta per le serie',
+    'page.streamOption.season': 'Questa stagione',
+    'page.streamOption.series': 'Serie completa / stagioni mancanti',
+    'page.streamOption.from': 'Da questa stagione in poi',
+    'page.streamOption.specials': 'Speciali',
+    'page.moveUp': 'Sposta su',
+    'page.streamOptionsHelp': 'Togli la spunta alle opzioni che non vuoi e usa ▲ per cambiare l\'ordine. I film hanno sempre il loro stream di richiesta.',
+    'page.streamTemplate': 'Modello del titolo degli stream',
+    'page.streamTemplatePlaceholder': 'es. {request} · {title} ({year})',
+    'page.streamTemplateHelp': 'Segnaposto: {title}, {season}, {year}, {status} (ciò che la serie ha già) e {request} (es. "Stagione 2"). Lascia vuoto per i titoli standard. Un modello breve mantiene leggibili gli elenchi stretti delle app TV.',
+    'page.addonName': 'Nome nell\'elenco degli stream',
+    'page.addonNameHelp': 'Mostrato nella colonna degli stream di Stremio al posto di "Overseerr".',
+    'page.limitsHeading': '🔒 Limiti e controllo parentale (facoltativo)',
+    'page.limitsUnavailable': 'Questo server non può applicare limiti: servono <code>CONFIG_SECRET</code> e un archivio persistente (vedi il README). Senza, un URL dell\'addon potrebbe essere decodificato e salvato di nuovo senza i suoi limiti e i contatori si azzererebbero, quindi qui non si possono salvare quote, restrizioni o PIN.',
+    'page.quota': 'Limiti di richieste',
+    'page.quotaMovies': 'Film',
+    'page.quotaSeasons': 'Stagioni',
+    'page.perWeek': 'a settimana',
+    'page.perDay': 'al giorno',
+    'page.quotaHelp': 'Quanti film e stagioni può richiedere questo URL dell\'addon. Lascia vuoto per nessun limite. I titoli degli stream mostrano quanto resta, es. "Restano 2 di 5 richieste di film questa settimana".',
+    'page.restrict': 'Limita le richieste',
+    'page.restrictNone': 'Nessuna limitazione',
+    'page.restrictMovies': 'Solo film - le serie richiedono il PIN',
+    'page.restrictAll': 'Tutto richiede il PIN',
+    'page.pinPlaceholder': 'PIN (4-8 cifre)',
+    'page.restrictHelp': 'Per i profili dei bambini: le richieste limitate aprono una pagina che chiede il PIN. Senza PIN sono del tutto bloccate. Il PIN viene salvato come hash nell\'URL dell\'addon.',
+    'page.generate': 'Genera il mio URL personale dell\'addon',
+    'page.test': 'Prova la mia configurazione',
+    'page.resultHeading': '📦 Il tuo URL personale dell\'addon',
+    'page.readyHeading': '🚀 Pronto da installare!',
+    'page.readyIntro': 'Questo URL contiene <strong>la tua configurazione personale</strong> e può essere installato in Stremio:',
+    'page.readyStep1': 'Apri Stremio',
+    'page.readyStep2': 'Fai clic sull\'icona del pezzo di puzzle (Addons)',
+    'page.readyStep3': 'Fai clic su "Community Addons"',
+    'page.readyStep4': 'Incolla questo URL e fai clic su "Install"',
+    'page.install': 'Installa in Stremio',
+    'page.copy': 'Copia il mio URL dell\'addon',
+    'page.historyLink': 'Aggiungi ai preferiti <a id="historyLink" href="#" target="_blank" style="color: #8ef;">la tua cronologia richieste</a> per vedere tutto ciò che è stato richiesto con questo URL.',
+    'page.editHeading': '✏️ Modifica un URL dell\'addon esistente',
+    'page.editIntro': 'Incolla un URL dell\'addon creato qui per caricarne le impostazioni nel modulo, cambia ciò che serve e genera un nuovo URL. Chiavi API, token e PIN non vengono più mostrati: lascia vuoti quei campi per mantenerli (le chiavi restano finché l\'URL del loro server non cambia).',
+    'page.editPinPlaceholder': 'PIN (solo per URL protetti da PIN)',
+    'page.editLoad': 'Carica impostazioni',
+    'page.qrHeading': '📺 Installazione su una TV?',
+    'page.qrHelp': 'Scansiona questo codice con un telefono collegato allo stesso account Stremio della TV. L\'addon viene aggiunto all\'account e compare sulla TV, senza digitare nulla.',
+    'page.testHeading': '🧪 Prova la tua configurazione',
+    'page.testIntro': 'Verifica che chiavi API e URL funzionino correttamente:',
+    'page.howHeading': '🔧 Come funziona',
+    'page.howForEach': 'Per ogni utente:',
+    'page.howStep1': 'Inserisci <strong>la tua</strong> chiave API TMDB',
+    'page.howStep2': 'Inserisci <strong>il tuo</strong> URL di Overseerr (pubblico o locale)',
+    'page.howStep3': 'Inserisci <strong>la tua</strong> chiave API di Overseerr',
+    'page.howStep4': 'Generiamo un <strong>URL personale dell\'addon</strong> con la tua configurazione cifrata',
+    'page.howStep5': 'Stremio usa il tuo URL personale per inviare le richieste tramite il nostro server',
+    'page.howSafe': '<strong>I tuoi dati sono al sicuro</strong>: non salviamo mai le tue chiavi API o i tuoi URL.',
+    'page.linksHeading': '🔗 Link utili',
+    'page.github': '📚 Repository GitHub',
+
+    // ─── Configuration page script ───
+    'client.requiredFields': 'Compila tutti i campi obbligatori',
+    'client.arrRequired': 'Configura Radarr o Sonarr (URL e chiave API)',
+    'client.pinFormat': 'Il PIN deve avere da 4 a 8 cifre',
+    'client.urlScheme': 'L\'URL di {name} deve iniziare con http:// o https://',
+    'client.movies': 'Film',
+    'client.movies4k': 'Film (4K)',
+    'client.series': 'Serie',
+    'client.series4k': 'Serie (4K)',
+    'client.serverDefault': 'Predefinito di Overseerr',
+    'client.defaultSuffix': ' (predefinito)',
+    'client.apiKeyOwner': 'Proprietario della chiave API (predefinito)',
+    'client.testing': 'Verifica della configurazione in corso... (può richiedere qualche secondo)',
+    'client.testingButton': 'Verifica...',
+    'client.allPassed': '✅ Tutti i test superati! La tua configurazione funziona correttamente.',
+    'client.someFailed': '❌ Alcuni test non sono riusciti. Controlla la configurazione.',
+    'client.testFailed': '❌ Test non riuscito: {error}',
+    'client.diagnosticsHeading': '🩺 Diagnostica',
+    'client.generateFailed': 'Impossibile generare il tuo URL dell\'addon: {error}',
+    'client.copied': 'URL personale dell\'addon copiato negli appunti!',
+    'client.qrFailed': 'Impossibile caricare il codice QR ({error}). Usa il pulsante di installazione o copia l\'URL.',
+    'client.savedSecret': 'Salvato - lascia vuoto per mantenerlo',
+    'client.editLoaded': '✅ Impostazioni caricate. Cambia ciò che serve, genera un nuovo URL e installalo al posto di quello vecchio.',
+    'client.editFailed': '❌ Impossibile caricare questo URL dell\'addon: {error}'
+};
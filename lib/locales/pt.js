@@ -0,0 +1,240 @@
+// Português (Brasil)
+export default {
+    // ─── Request streams ───
+    'stream.movie': '🎬 Pedir filme: "{title}"',
+    'stream.movie4k': '🎬 Pedir em 4K: "{title}"',
+    'stream.missing.one': '📦 Pedir a temporada que falta ({seasons}) de "{title}"',
+    'stream.missing.other': '📦 Pedir as temporadas que faltam ({seasons}) de "{title}"',
+    'stream.from': '⏭️ Pedir a partir da temporada {season} de "{title}"',
+    'stream.specials': '✨ Pedir os especiais de "{title}"',
+    'stream.season': '📺 Pedir a temporada {season} de "{title}"',
+    'stream.series': '🏠 Pedir a série completa: "{title}" (todas as temporadas)',
+    'stream.episode': '📺 Pedir T{season}E{episode} de "{title}"',
+    'stream.in4k': '{request} em 4K',
+    'stream.pinRequired': '(requer PIN)',
+    'stream.quotaLeft': 'Restam {left} de {limit} {unit} {period}',
+    'stream.quotaExhausted': '🚫 Não restam {unit} {period} ({used} de {limit} usados)',
+
+    'quota.unit.movies': 'pedidos de filmes',
+    'quota.unit.seasons': 'temporadas',
+    'quota.period.day': 'hoje',
+    'quota.period.week': 'nesta semana',
+
+    // ─── Status ───
+    'status.pending': 'Pedido – aguardando aprovação',
+    'status.processing': 'Em processamento',
+    'status.partiallyAvailable': 'Parcialmente disponível',
+    'status.available': 'Disponível',
+    'status.blacklisted': 'Bloqueado',
+    'status.subject': '"{title}"',
+    'status.subjectSeason': 'Temporada {season} de "{title}"',
+    'status.subjectSpecials': 'Especiais de "{title}"',
+    'series.available.one': 'Temporada {seasons} disponível',
+    'series.available.other': 'Temporadas {seasons} disponíveis',
+    'series.requested.one': 'Temporada {seasons} pedida',
+    'series.requested.other': 'Temporadas {seasons} pedidas',
+
+    // ─── What was requested ───
+    'seasons.one': 'Temporada {seasons}',
+    'seasons.other': 'Temporadas {seasons}',
+    'request.movie': 'Filme',
+    'request.specials': 'Especiais',
+    'request.from': 'A partir da temporada {season}',
+    'request.series': 'Série completa',
+    'subject.unknown': 'Título desconhecido',
+    'subject.specials': '{title} – Especiais',
+    'subject.from': '{title} – A partir da temporada {season}',
+    'subject.season': '{title} – Temporada {season}',
+
+    // ─── Request outcomes ───
+    'outcome.submitted': 'Pedido{id} enviado, aguardando aprovação',
+    'outcome.approved': 'Pedido{id} enviado e aprovado',
+    'outcome.duplicate': 'Já pedido: {error}',
+    'outcome.quota': 'Limite de pedidos atingido: {error}',
+    'outcome.failed': 'O pedido falhou: {error}',
+    'outcome.failedHttp': 'O pedido falhou (HTTP {status}): {error}',
+    'outcome.skipped': 'Nada para pedir: todas as temporadas já estão disponíveis ou pedidas',
+    'outcome.pinRequired': 'Este perfil precisa do PIN para esse pedido – escolha o stream 🔒 para digitá-lo',
+    'outcome.blockedMovies': 'Pedidos de filmes estão desativados neste perfil',
+    'outcome.blockedSeries': 'Pedidos de séries estão desativados neste perfil',
+    'outcome.limitNeeds': 'Limite atingido: são necessárias {units} {unit}, restam só {left} de {limit} {period}',
+    'outcome.limitReached': 'Limite atingido: {used} de {limit} {unit} usados {period}',
+    'outcome.retrying': '{message} – nova tentativa automática (tentativa {attempt} de {maxAttempts})',
+    'outcome.gaveUp': '{message} (desistimos após {attempts} tentativas)',
+    'outcome.rateLimited': 'Pedidos demais a partir desta URL do addon – tente de novo em {minutes} min',
+    'outcome.repeated': 'Pedido de novo {seconds}s após o primeiro pedido - não foi enviado duas vezes para {backend}',
+    'outcome.waiting': '⏳ Pedido enviado – volte a conferir em instantes',
+
+    // ─── Catalogs ───
+    'manifest.description': 'Peça filmes e séries pelo Overseerr',
+    'catalog.pending': 'Meus pedidos pendentes',
+    'catalog.processing': 'Aprovados / em processamento',
+    'catalog.available': 'Disponíveis recentemente',
+    'catalog.search': 'Busca do Overseerr',
+    'catalog.trending': 'Em alta',
+    'catalog.popular': 'Populares',
+    'catalog.upcoming': 'Em breve',
+    'catalog.requestedBy': 'pedido por {user}',
+    'catalog.requestedOn': 'em {date}',
+    'meta.episode': 'Episódio {episode}',
+
+    // ─── History page ───
+    'history.title': 'Histórico de pedidos',
+    'history.intro': 'Pedidos enviados por esta URL do addon, os mais recentes primeiro.',
+    'history.empty': 'Nada foi pedido ainda.',
+    'history.private': 'Este histórico é privado. Defina DEFAULT_HISTORY_PUBLIC=true no servidor para mostrá-lo.',
+    'history.invalid': 'Esta URL do addon não é válida.',
+    'history.requested': 'Pedido em',
+    'history.name': 'Título',
+    'history.what': 'O quê',
+    'history.request': 'Pedido',
+    'history.result': 'Resultado',
+    'state.submitted': '✅ Enviado',
+    'state.duplicate': 'ℹ️ Já pedido',
+    'state.quota': '🚫 Limite atingido',
+    'state.queued': '🔁 Tentando de novo',
+    'state.blocked': '🔒 Bloqueado',
+    'state.skipped': 'ℹ️ Nada faltando',
+    'state.failed': '❌ Falhou',
+
+    // ─── PIN confirmation page ───
+    'confirm.title': 'Confirmar pedido',
+    'confirm.prompt': 'Digite o PIN deste perfil para enviar o pedido.',
+    'confirm.wrongPin': 'PIN incorreto, tente de novo.',
+    'confirm.locked': 'PINs incorretos demais. Tente de novo em 15 minutos.',
+    'confirm.placeholder': 'PIN',
+    'confirm.send': 'Enviar pedido',
+
+    // ─── Configuration page ───
+    'page.intro': 'Configure abaixo sua instância pessoal do addon. Suas configurações são criptografadas na URL do addon - nada fica guardado no servidor.',
+    'page.banner': '✅ COMPLETO: pedidos de filmes, temporadas e séries completas funcionando!',
+    'page.privacyTitle': '🔐 Seus dados ficam com você',
+    'page.privacyStored': '<strong>Nada é guardado no nosso servidor</strong> - suas chaves de API e URLs são criptografadas na sua URL pessoal do addon, então não podem ser lidas a partir de URLs compartilhadas ou capturas de tela.',
+    'page.privacyInstances': '<strong>Funciona com qualquer instância do Overseerr</strong> - <strong>domínios públicos funcionam com o addon hospedado</strong>. <em>IPs/nomes locais (ex. <code>192.168.x.x</code>, <code>localhost</code>, <code>.local</code>) só funcionam se você hospedar este addon na mesma rede do seu Overseerr.</em>',
+    'page.apiHeading': '🔑 Sua configuração de API',
+    'page.tmdbKey': 'Sua chave de API do TMDB *',
+    'page.tmdbKeyPlaceholder': 'Digite sua chave de API pessoal do TMDB',
+    'page.tmdbKeyHelp': 'Obtenha sua chave de API gratuita em: https://www.themoviedb.org/settings/api',
+    'page.language': 'Idioma',
+    'page.languageHelp': 'Usado nos títulos dos streams, nas mensagens de status e nos títulos e descrições do TMDB.',
+    'page.backend': 'Backend de pedidos *',
+    'page.backendHelp': 'Para onde os pedidos são enviados. O Jellyseerr usa os mesmos campos do Overseerr. O modo direto adiciona os títulos direto no Radarr/Sonarr, sem gerenciador de pedidos.',
+    'page.backendUrl': 'Sua URL do <span class="backend-label">Overseerr</span> *',
+    'page.backendUrlHelp': 'A URL da sua instância do Overseerr<br>• <strong>Domínio público</strong>: https://overseerr.yourdomain.com<br>• <strong>Rede local</strong>: http://192.168.1.100:5055<br>• <strong>Inclua http:// ou https://</strong>',
+    'page.localNote': '<strong>⚠️ Observação:</strong> IPs/nomes locais (ex. <code>192.168.x.x</code>, <code>localhost</code>, <code>.local</code>) só funcionam se você hospedar este addon na mesma rede do seu Overseerr.',
+    'page.backendApi': 'Sua chave de API do <span class="backend-label">Overseerr</span> *',
+    'page.backendApiPlaceholder': 'Digite sua chave de API pessoal do Overseerr',
+    'page.backendApiHelp': 'No <span class="backend-label">Overseerr</span>: Configurações → Geral → Chave de API',
+    'page.user': 'Pedir como usuário (opcional)',
+    'page.userPlaceholder': 'ID do usuário - deixe vazio para pedir como dono da chave de API',
+    'page.userHelp': 'Os pedidos contam para os limites e regras de aprovação deste usuário e aparecem no histórico dele. Use "Testar minha configuração" para escolher entre seus usuários e gere uma URL do addon para cada pessoa da casa.',
+    'page.servers': 'Servidores, perfis de qualidade e 4K (opcional)',
+    'page.request4k': 'Oferecer também streams "Pedir em 4K"',
+    'page.serversHelp': 'Use "Testar minha configuração" para escolher qual servidor Radarr/Sonarr, perfil de qualidade e pasta raiz o Overseerr deve usar. O que ficar em "Padrão do Overseerr" usa os padrões do servidor.',
+    'page.radarrHeading': '🎬 Radarr (filmes)',
+    'page.sonarrHeading': '📺 Sonarr (séries)',
+    'page.profileFolder': 'ID do perfil de qualidade / pasta raiz',
+    'page.profilePlaceholder': 'ex. {example} (vazio para o primeiro perfil)',
+    'page.folderPlaceholder': 'ex. {example} (vazio para a primeira pasta raiz)',
+    'page.arrHelp': 'Configure pelo menos um deles. "Testar minha configuração" lista os perfis de qualidade e pastas raiz disponíveis. As temporadas pedidas são monitoradas e buscadas na hora.',
+    'page.discoverHeading': '🧭 Catálogos de descoberta (opcional)',
+    'page.discoverLabel': 'Mostrar estes carrosséis do Overseerr na tela inicial do Stremio',
+    'page.discoverHelp': 'Em alta, Populares e Em breve aparecem para filmes e séries; os carrosséis de canais só para séries. Populares pode ser filtrado por gênero.',
+    'page.notificationsHeading': '🔔 Notificações (opcional)',
+    'page.discordWebhook': 'URL do webhook do Discord',
+    'page.telegram': 'Token do bot do Telegram e ID do chat',
+    'page.telegramChatPlaceholder': 'ID do chat, ex. -1001234567890',
+    'page.webhookUrl': 'URL de webhook genérico',
+    'page.webhookTemplatePlaceholder': 'Modelo JSON opcional, ex. {"text": "{{title}} ({{seasons}}) por {{user}}: {{message}}"}',
+    'page.webhookHelp': 'Variáveis: {{event}}, {{title}}, {{type}}, {{seasons}}, {{user}}, {{message}}, {{requestId}}, {{tmdbId}}, {{url}}, {{timestamp}}. Sem modelo, você recebe todas como JSON.',
+    'page.notifyWhen': 'Avisar quando',
+    'page.notify.submitted': 'Um pedido é enviado',
+    'page.notify.duplicate': 'Um pedido duplicado é ignorado',
+    'page.notify.failed': 'Um pedido falha',
+    'page.notifyHelp': '"Testar minha configuração" envia uma mensagem de teste para cada destino preenchido.',
+    'page.waitVideoHeading': '🎞️ Vídeo de espera (opcional)',
+    'page.waitVideoUrl': 'URL de vídeo de espera personalizado',
+    'page.waitVideoHelp': 'Reproduzido enquanto seu pedido é enviado. Deixe vazio para usar o clipe incluído no addon.',
+    'page.streamsHeading': '🎛️ Lista de streams (opcional)',
+    'page.streamOptions': 'Opções de pedido para séries',
+    'page.streamOption.season': 'Esta temporada',
+    'page.streamOption.series': 'Série completa / temporadas que faltam',
+    'page.streamOption.from': 'A partir desta temporada',
+    'page.streamOption.specials': 'Especiais',
+    'page.moveUp': 'Subir',
+    'page.streamOptionsHelp': 'Desmarque as opções que você não quer e use ▲ para mudar a ordem. Filmes sempre têm seu stream de pedido.',
+    'page.streamTemplate': 'Modelo do título dos streams',
+    'page.streamTemplatePlaceholder': 'ex. {request} · {title} ({year})',
+    'page.streamTemplateHelp': 'Variáveis: {title}, {season}, {year}, {status} (o que a série já tem) e {request} (ex. "Temporada 2"). Deixe vazio para os títulos padrão. Um modelo curto mantém legíveis as listas estreitas dos apps de TV.',
+    'page.addonName': 'Nome na lista de streams',
+    'page.addonNameHelp': 'Mostrado na coluna de streams do Stremio no lugar de "Overseerr".',
+    'page.limitsHeading': '🔒 Limites e controle dos pais (opcional)',
+    'page.limitsUnavailable': 'Este servidor não pode aplicar limites: precisa de <code>CONFIG_SECRET</code> e de um armazenamento persistente (veja o README). Sem eles, uma URL do addon poderia ser decodificada e salva de novo sem os limites, e os contadores seriam zerados, por isso cotas, restrições e PINs não podem ser salvos aqui.',
+    'page.quota': 'Limites de pedidos',
+    'page.quotaMovies': 'Filmes',
+    'page.quotaSeasons': 'Temporadas',
+    'page.perWeek': 'por semana',
+    'page.perDay': 'por dia',
+    'page.quotaHelp': 'Quantos filmes e temporadas esta URL do addon pode pedir. Deixe vazio para não limitar. Os títulos dos streams mostram o que resta, ex. "Restam 2 de 5 pedidos de filmes nesta semana".',
+    'page.restrict': 'Restringir pedidos',
+    'page.restrictNone': 'Sem restrições',
+    'page.restrictMovies': 'Só filmes - séries precisam do PIN',
+    'page.restrictAll': 'Tudo precisa do PIN',
+    'page.pinPlaceholder': 'PIN (4-8 dígitos)',
+    'page.restrictHelp': 'Para perfis infantis: pedidos restritos abrem uma página que pede o PIN. Sem PIN eles ficam totalmente bloqueados. O PIN é guardado como hash dentro da URL do addon.',
+    'page.generate': 'Gerar minha URL pessoal do addon',
+    'page.test': 'Testar minha configuração',
+    'page.resultHeading': '📦 Sua URL pessoal do addon',
+    'page.readyHeading': '🚀 Pronto para instalar!',
+    'page.readyIntro': 'Esta URL contém <strong>sua configuração pessoal</strong> e pode ser instalada no Stremio:',
+    'page.readyStep1': 'Abra o Stremio',
+    'page.readyStep2': 'Clique no ícone de peça de quebra-cabeça (Addons)',
+    'page.readyStep3': 'Clique em "Community Addons"',
+    'page.readyStep4': 'Cole esta URL e clique em "Install"',
+    'page.install': 'Instalar no Stremio',
+    'page.copy': 'Copiar minha URL do addon',
+    'page.historyLink': 'Salve nos favoritos <a id="historyLink" href="#" target="_blank" style="color: #8ef;">seu histórico de pedidos</a> para ver tudo o que foi pedido por esta URL.',
+    'page.editHeading': '✏️ Editar uma URL de addon existente',
+    'page.editIntro': 'Cole uma URL de addon criada aqui para carregar suas configurações no formulário, altere o que precisar e gere uma nova URL. Chaves de API, tokens e o PIN nunca são mostrados novamente: deixe esses campos vazios para mantê-los (as chaves são mantidas enquanto a URL do servidor delas não mudar).',
+    'page.editPinPlaceholder': 'PIN (apenas para URLs protegidas por PIN)',
+    'page.editLoad': 'Carregar configurações',
+    'page.qrHeading': '📺 Instalando em uma TV?',
+    'page.qrHelp': 'Escaneie este código com um celular conectado à mesma conta do Stremio que a TV. O addon é adicionado à conta e aparece na TV, sem precisar digitar nada.',
+    'page.testHeading': '🧪 Teste sua configuração',
+    'page.testIntro': 'Verifique se suas chaves de API e URLs estão funcionando:',
+    'page.howHeading': '🔧 Como funciona',
+    'page.howForEach': 'Para cada usuário:',
+    'page.howStep1': 'Você informa <strong>sua própria</strong> chave de API do TMDB',
+    'page.howStep2': 'Você informa <strong>sua própria</strong> URL do Overseerr (pública ou local)',
+    'page.howStep3': 'Você informa <strong>sua própria</strong> chave de API do Overseerr',
+    'page.howStep4': 'Geramos uma <strong>URL pessoal do addon</strong> com sua configuração criptografada',
+    'page.howStep5': 'O Stremio usa sua URL pessoal para fazer pedidos pelo nosso servidor',
+    'page.howSafe': '<strong>Seus dados estão seguros</strong> - nunca guardamos suas chaves de API nem suas URLs.',
+    'page.linksHeading': '🔗 Links úteis',
+    'page.github': '📚 Repositório no GitHub',
+
+    // ─── Configuration page script ───
+    'client.requiredFields': 'Preencha todos os campos obrigatórios',
+    'client.arrRequired': 'Configure o Radarr ou o Sonarr (URL e chave de API)',
+    'client.pinFormat': 'O PIN deve ter de 4 a 8 dígitos',
+    'client.urlScheme': 'A URL do {name} deve começar com http:// ou https://',
+    'client.movies': 'Filmes',
+    'client.movies4k': 'Filmes (4K)',
+    'client.series': 'Séries',
+    'client.series4k': 'Séries (4K)',
+    'client.serverDefault': 'Padrão do Overseerr',
+    'client.defaultSuffix': ' (padrão)',
+    'client.apiKeyOwner': 'Dono da chave de API (padrão)',
+    'client.testing': 'Testando sua configuração... (pode levar alguns segundos)',
+    'client.testingButton': 'Testando...',
+    'client.allPassed': '✅ Todos os testes passaram! Sua configuração está funcionando.',
+    'client.someFailed': '❌ Alguns testes falharam. Verifique sua configuração.',
+    'client.testFailed': '❌ O teste falhou: {error}',
+    'client.diagnosticsHeading': '🩺 Diagnóstico',
+    'client.generateFailed': 'Não foi possível gerar sua URL do addon: {error}',
+    'client.copied': 'Sua URL pessoal do addon foi copiada!',
+    'client.qrFailed': 'Não foi possível carregar o código QR ({error}). Use o botão de instalar ou copie a URL.',
+    'client.savedSecret': 'Salvo - deixe vazio para manter',
+    'client.editLoaded': '✅ Configurações carregadas. Altere o que precisar, gere uma nova URL e instale-a no lugar da antiga.',
+    'client.editFailed': '❌ Não foi possível carregar esta URL de addon: {error}'
+};
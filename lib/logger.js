@@ -0,0 +1,186 @@
+import crypto from "crypto";
+import { AsyncLocalStorage } from "async_hooks";
+
+// ─── Logging ───────────────────
+// Every module logs through createLogger(tag) instead of console.*, so that:
+//   - LOG_LEVEL (debug, info, warn, error, silent) decides what is written
+//   - LOG_FORMAT=json writes one JSON object per line for container log collectors
+//   - lines carry the request id of the HTTP request (or queued job) they belong to
+//   - API keys, tokens and config tokens are redacted wherever they show up
+//
+// Text lines keep the "[TAG] message" shape, with the request id after the tag.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const LOG_LEVEL = LEVELS[String(process.env.LOG_LEVEL || '').toLowerCase()] ?? LEVELS.info;
+const LOG_FORMAT = String(process.env.LOG_FORMAT || '').toLowerCase() === 'json' ? 'json' : 'text';
+
+const REDACTED = '[redacted]';
+
+// ─── Request Ids ───────────────────
+const context = new AsyncLocalStorage();
+
+// Ids handed in by clients (X-Request-Id) are only kept when they look like one
+const REQUEST_ID_PATTERN = /^[\w-]{6,64}$/;
+
+export function createRequestId() {
+    return crypto.randomBytes(6).toString('hex');
+}
+
+export function isValidRequestId(id) {
+    return typeof id === 'string' && REQUEST_ID_PATTERN.test(id);
+}
+
+// Runs fn with requestId attached to every line logged from it, including
+// promises and timers it starts
+export function runWithRequestId(requestId, fn) {
+    return context.run({ requestId }, fn);
+}
+
+export function getRequestId() {
+    return context.getStore()?.requestId || null;
+}
+
+// ─── Redaction ───────────────────
+// Patterns catch secrets by where they appear; registered values catch them anywhere
+// else (a key echoed in an error body, a cooldown key...).
+const SECRET_PATTERNS = [
+    [/([?&](?:api_key|apikey|api-key|token|config)=)[^&\s"']+/gi, `$1${REDACTED}`],
+    [/(\/configured\/)(?!\{)[^/\s?"']+/g, `$1${REDACTED}`],
+    [/(x-api-key["']?\s*[:=]\s*["']?)[^\s"',}]+/gi, `$1${REDACTED}`],
+    [/(\/bot)\d+:[\w-]+/g, `$1${REDACTED}`],
+    [/(discord(?:app)?\.com\/api\/webhooks\/\d+\/)[\w-]+/gi, `$1${REDACTED}`]
+];
+
+// Values shorter than this are too likely to match ordinary text
+const MIN_SECRET_LENGTH = 8;
+const MAX_SECRETS = 1000;
+
+// Values from the environment stay for the life of the process. The ones from configs are
+// insertion ordered (re-registering moves one to the back), so the least recently seen
+// is dropped once the limit is hit.
+const permanentSecrets = new Set();
+const secrets = new Set();
+
+// Every secret indexed by its first MIN_SECRET_LENGTH characters, so adding or dropping
+// one only touches its bucket and redact() only compares those that could start at a
+// given position
+const secretsByPrefix = new Map();
+
+function indexSecret(value) {
+    const prefix = value.slice(0, MIN_SECRET_LENGTH);
+    const bucket = secretsByPrefix.get(prefix) || [];
+    bucket.push(value);
+    // Longest first, so a key that contains another one is replaced whole
+    bucket.sort((a, b) => b.length - a.length);
+    secretsByPrefix.set(prefix, bucket);
+}
+
+function unindexSecret(value) {
+    const prefix = value.slice(0, MIN_SECRET_LENGTH);
+    const bucket = secretsByPrefix.get(prefix).filter(secret => secret !== value);
+    if (bucket.length) {
+        secretsByPrefix.set(prefix, bucket);
+    } else {
+        secretsByPrefix.delete(prefix);
+    }
+}
+
+// Remembers secret values (API keys, bot tokens...) so they are redacted from every line.
+// options.permanent keeps them out of the eviction, for the server's own keys.
+export function registerSecrets(values, options = {}) {
+    for (const value of values) {
+        if (typeof value !== 'string' || value.length < MIN_SECRET_LENGTH || permanentSecrets.has(value)) continue;
+
+        const known = secrets.delete(value);
+        if (options.permanent) {
+            permanentSecrets.add(value);
+        } else {
+            secrets.add(value);
+        }
+        if (!known) indexSecret(value);
+    }
+
+    while (secrets.size > MAX_SECRETS) {
+        const oldest = secrets.values().next().value;
+        secrets.delete(oldest);
+        unindexSecret(oldest);
+    }
+}
+
+function redactSecrets(text) {
+    if (!secretsByPrefix.size) return text;
+
+    let result = '';
+    let copiedUpTo = 0;
+    let position = 0;
+    while (position <= text.length - MIN_SECRET_LENGTH) {
+        const bucket = secretsByPrefix.get(text.slice(position, position + MIN_SECRET_LENGTH));
+        const secret = bucket?.find(value => text.startsWith(value, position));
+        if (secret) {
+            result += text.slice(copiedUpTo, position) + REDACTED;
+            position += secret.length;
+            copiedUpTo = position;
+        } else {
+            position++;
+        }
+    }
+    return result + text.slice(copiedUpTo);
+}
+
+export function redact(text) {
+    let result = redactSecrets(String(text));
+    for (const [pattern, replacement] of SECRET_PATTERNS) {
+        result = result.replace(pattern, replacement);
+    }
+    return result;
+}
+
+function redactFields(fields) {
+    const result = {};
+    for (const [key, value] of Object.entries(fields)) {
+        if (value instanceof Error) {
+            result[key] = redact(value.message);
+        } else if (value !== null && typeof value === 'object') {
+            result[key] = JSON.parse(redact(JSON.stringify(value)));
+        } else {
+            result[key] = typeof value === 'string' ? redact(value) : value;
+        }
+    }
+    return result;
+}
+
+// ─── Output ───────────────────
+function formatText(tag, requestId, message, fields) {
+    const prefix = [tag && `[${tag}]`, requestId && `[${requestId}]`].filter(Boolean).join(' ');
+    const extra = Object.entries(fields)
+        .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+        .join(' ');
+    return [prefix, message, extra].filter(Boolean).join(' ');
+}
+
+function write(level, tag, message, fields) {
+    if (LEVELS[level] < LOG_LEVEL) return;
+
+    const requestId = getRequestId();
+    const text = redact(message);
+    const safeFields = redactFields(fields || {});
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+
+    if (LOG_FORMAT === 'json') {
+        const entry = { time: new Date().toISOString(), level, tag, message: text, ...safeFields };
+        if (requestId) entry.requestId = requestId;
+        stream.write(`${JSON.stringify(entry)}\n`);
+    } else {
+        stream.write(`${formatText(tag, requestId, text, safeFields)}\n`);
+    }
+}
+
+// log.info('message', { optional: 'fields' }); fields become JSON keys or key=value text
+export function createLogger(tag) {
+    return {
+        debug: (message, fields) => write('debug', tag, message, fields),
+        info: (message, fields) => write('info', tag, message, fields),
+        warn: (message, fields) => write('warn', tag, message, fields),
+        error: (message, fields) => write('error', tag, message, fields)
+    };
+}
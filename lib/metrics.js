@@ -0,0 +1,141 @@
+import { createLogger } from "./logger.js";
+
+const log = createLogger('METRICS');
+
+// ─── Prometheus Metrics ───────────────────
+// A small in-process registry rendered in the Prometheus text format at /metrics.
+// Label values must come from small fixed sets (media type, outcome, HTTP status...):
+// never config tokens, API keys, URLs, titles or user ids, which would leak secrets
+// into the scrape and give every user their own time series.
+
+const PREFIX = 'stremio_overseerr_';
+
+// Seconds; covers cached TMDB answers up to slow backends on a LAN
+const DEFAULT_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const registry = [];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labelNames, values, extra = '') {
+    const pairs = labelNames.map((name, i) => `${name}="${escapeLabelValue(values[i])}"`);
+    if (extra) pairs.push(extra);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function formatNumber(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+// Series are keyed by their label values in labelNames order; missing labels become ''
+function getSeriesKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(name => labels[name] ?? ''));
+}
+
+function register(metric) {
+    if (registry.some(m => m.name === metric.name)) {
+        throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    registry.push(metric);
+    return metric;
+}
+
+// Monotonic counter: inc(labels, amount = 1)
+export function createCounter(name, help, labelNames = []) {
+    const series = new Map();
+
+    return register({
+        name: PREFIX + name,
+        inc(labels = {}, amount = 1) {
+            const key = getSeriesKey(labelNames, labels);
+            series.set(key, (series.get(key) || 0) + amount);
+        },
+        render() {
+            const lines = [`# HELP ${this.name} ${help}`, `# TYPE ${this.name} counter`];
+            for (const [key, value] of series) {
+                lines.push(`${this.name}${formatLabels(labelNames, JSON.parse(key))} ${formatNumber(value)}`);
+            }
+            return lines;
+        }
+    });
+}
+
+// Histogram of durations in seconds: observe(labels, seconds), or startTimer() → end(labels)
+export function createHistogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const series = new Map();
+
+    return register({
+        name: PREFIX + name,
+        observe(labels, value) {
+            const key = getSeriesKey(labelNames, labels);
+            let entry = series.get(key);
+            if (!entry) {
+                entry = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+                series.set(key, entry);
+            }
+            buckets.forEach((bound, i) => {
+                if (value <= bound) entry.counts[i]++;
+            });
+            entry.sum += value;
+            entry.count++;
+        },
+        startTimer() {
+            const start = process.hrtime.bigint();
+            return (labels = {}) => this.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+        },
+        render() {
+            const lines = [`# HELP ${this.name} ${help}`, `# TYPE ${this.name} histogram`];
+            for (const [key, entry] of series) {
+                const values = JSON.parse(key);
+                buckets.forEach((bound, i) => {
+                    lines.push(`${this.name}_bucket${formatLabels(labelNames, values, `le="${bound}"`)} ${entry.counts[i]}`);
+                });
+                lines.push(`${this.name}_bucket${formatLabels(labelNames, values, 'le="+Inf"')} ${entry.count}`);
+                lines.push(`${this.name}_sum${formatLabels(labelNames, values)} ${formatNumber(entry.sum)}`);
+                lines.push(`${this.name}_count${formatLabels(labelNames, values)} ${entry.count}`);
+            }
+            return lines;
+        }
+    });
+}
+
+// Value read at scrape time: collect() returns a number, or [{ labels, value }] for labelled
+// gauges. It may be async (store sizes); a failing collector is skipped for that scrape.
+export function createGauge(name, help, labelNames, collect) {
+    return register({
+        name: PREFIX + name,
+        async render() {
+            let result;
+            try {
+                result = await collect();
+            } catch (error) {
+                log.error(`Could not collect ${this.name}: ${error.message}`);
+                return [];
+            }
+
+            const samples = Array.isArray(result) ? result : [{ labels: {}, value: result }];
+            const lines = [`# HELP ${this.name} ${help}`, `# TYPE ${this.name} gauge`];
+            for (const { labels, value } of samples) {
+                const values = labelNames.map(name => labels[name] ?? '');
+                lines.push(`${this.name}${formatLabels(labelNames, values)} ${formatNumber(Number(value) || 0)}`);
+            }
+            return lines;
+        }
+    });
+}
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// The whole registry in the Prometheus text exposition format
+export async function renderMetrics() {
+    const blocks = [];
+    for (const metric of registry) {
+        const lines = await metric.render();
+        if (lines.length) blocks.push(lines.join('\n'));
+    }
+    return `${blocks.join('\n')}\n`;
+}
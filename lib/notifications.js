@@ -0,0 +1,157 @@
+import fetch from "node-fetch";
+import { USER_AGENT } from "./backends/status.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger('NOTIFY');
+
+// ─── Notifications ───────────────────
+// Tells the admin about requests made from Stremio. Targets live in the user's config:
+//
+//   notifications: {
+//     discordWebhook, telegramBotToken, telegramChatId,
+//     webhookUrl, webhookTemplate,   // generic JSON webhook, optional {{placeholder}} template
+//     events: ['submitted', 'duplicate', 'failed']
+//   }
+//
+// Every sender takes the target URL/credentials explicitly, so they can be pointed at a
+// local HTTP stand-in (TELEGRAM_API_URL overrides the Telegram Bot API base), as
+// test/notifications.test.js does.
+
+export const NOTIFICATION_EVENTS = {
+    submitted: { label: 'Request submitted', icon: '✅', color: 0x28a745 },
+    duplicate: { label: 'Duplicate request suppressed', icon: 'ℹ️', color: 0x17a2b8 },
+    failed: { label: 'Request failed', icon: '❌', color: 0xdc3545 }
+};
+
+const TELEGRAM_API_URL = (process.env.TELEGRAM_API_URL || 'https://api.telegram.org').replace(/\/$/, '');
+const NOTIFICATION_TIMEOUT_MS = 5000;
+
+// Placeholders available in the webhook template, e.g. {"text": "{{title}} – {{message}}"}
+const DEFAULT_WEBHOOK_TEMPLATE = JSON.stringify({
+    event: '{{event}}',
+    title: '{{title}}',
+    type: '{{type}}',
+    seasons: '{{seasons}}',
+    user: '{{user}}',
+    message: '{{message}}',
+    requestId: '{{requestId}}',
+    tmdbId: '{{tmdbId}}',
+    url: '{{url}}',
+    timestamp: '{{timestamp}}'
+});
+
+async function postJson(url, body, label) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'User-Agent': USER_AGENT },
+        body: typeof body === 'string' ? body : JSON.stringify(body),
+        signal: AbortSignal.timeout(NOTIFICATION_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+        const text = await response.text().catch(() => '');
+        throw new Error(`${label} HTTP ${response.status}${text ? `: ${text.slice(0, 200)}` : ''}`);
+    }
+}
+
+function escapeTelegramHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// ─── Senders ───────────────────
+// `notification` is { event, title, type, seasons, user, message, requestId, tmdbId, url }
+
+export async function sendDiscord(webhookUrl, notification) {
+    const event = NOTIFICATION_EVENTS[notification.event];
+    const fields = [
+        notification.seasons && { name: 'Seasons', value: notification.seasons, inline: true },
+        { name: 'Requested by', value: notification.user, inline: true },
+        notification.requestId && { name: 'Request', value: `#${notification.requestId}`, inline: true }
+    ].filter(Boolean);
+
+    await postJson(webhookUrl, {
+        username: 'Stremio Overseerr',
+        embeds: [{
+            title: `${event.icon} ${event.label}: ${notification.title}`,
+            description: notification.message,
+            url: notification.url || undefined,
+            color: event.color,
+            fields: fields,
+            timestamp: new Date().toISOString()
+        }]
+    }, 'Discord');
+}
+
+export async function sendTelegram(botToken, chatId, notification) {
+    const event = NOTIFICATION_EVENTS[notification.event];
+    const lines = [
+        `${event.icon} <b>${escapeTelegramHtml(event.label)}</b>`,
+        `<b>${escapeTelegramHtml(notification.title)}</b>${notification.seasons ? ` – ${escapeTelegramHtml(notification.seasons)}` : ''}`,
+        `Requested by ${escapeTelegramHtml(notification.user)}`,
+        escapeTelegramHtml(notification.message)
+    ];
+
+    await postJson(`${TELEGRAM_API_URL}/bot${botToken}/sendMessage`, {
+        chat_id: chatId,
+        text: lines.join('\n'),
+        parse_mode: 'HTML',
+        disable_web_page_preview: true
+    }, 'Telegram');
+}
+
+// Values are JSON-escaped, so placeholders belong inside JSON strings
+export function renderWebhookTemplate(template, notification) {
+    const values = { ...notification, timestamp: new Date().toISOString() };
+    return (template || DEFAULT_WEBHOOK_TEMPLATE).replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => {
+        const value = values[key] ?? '';
+        return JSON.stringify(String(value)).slice(1, -1);
+    });
+}
+
+export async function sendWebhook(webhookUrl, template, notification) {
+    const body = renderWebhookTemplate(template, notification);
+    try {
+        JSON.parse(body);
+    } catch {
+        throw new Error('Webhook template does not produce valid JSON');
+    }
+    await postJson(webhookUrl, body, 'Webhook');
+}
+
+// ─── Dispatch ───────────────────
+
+export function hasNotificationTargets(userConfig) {
+    const targets = userConfig?.notifications;
+    return !!(targets && (targets.discordWebhook || (targets.telegramBotToken && targets.telegramChatId) || targets.webhookUrl));
+}
+
+// Sends to every configured target that wants this event. Never throws; returns
+// [{ target, status: 'success' | 'error', message }] so callers can report failures.
+export async function sendNotifications(userConfig, notification) {
+    if (!hasNotificationTargets(userConfig)) return [];
+
+    const targets = userConfig.notifications;
+    const events = Array.isArray(targets.events) ? targets.events : Object.keys(NOTIFICATION_EVENTS);
+    if (!events.includes(notification.event) && !notification.test) return [];
+
+    const deliveries = [];
+    if (targets.discordWebhook) {
+        deliveries.push(['Discord', () => sendDiscord(targets.discordWebhook, notification)]);
+    }
+    if (targets.telegramBotToken && targets.telegramChatId) {
+        deliveries.push(['Telegram', () => sendTelegram(targets.telegramBotToken, targets.telegramChatId, notification)]);
+    }
+    if (targets.webhookUrl) {
+        deliveries.push(['Webhook', () => sendWebhook(targets.webhookUrl, targets.webhookTemplate, notification)]);
+    }
+
+    return Promise.all(deliveries.map(async ([target, send]) => {
+        try {
+            await send();
+            return { target, status: 'success', message: 'Delivered' };
+        } catch (error) {
+            log.warn(`${target} notification failed: ${error.message}`);
+            return { target, status: 'error', message: error.message };
+        }
+    }));
+}
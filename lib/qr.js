@@ -0,0 +1,364 @@
+// ─── QR Codes ───────────────────
+// A small QR code encoder (byte mode, error correction level M, or L when M can't fit
+// the text) rendered as SVG, so the config page can show the install link to a phone
+// without sending the addon URL, and the secrets it carries, to a QR service.
+// Follows ISO/IEC 18004: versions 1-40, Reed-Solomon error correction, all 8 masks.
+
+// Error correction codewords per block and number of blocks, indexed by version
+const EC_CODEWORDS_PER_BLOCK = {
+    M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+};
+const EC_BLOCKS = {
+    M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25]
+};
+// Error correction level as written in the format information
+const EC_FORMAT_BITS = { M: 0, L: 1 };
+
+const MIN_VERSION = 1;
+const MAX_VERSION = 40;
+const QUIET_ZONE = 4;
+
+function getBit(value, index) {
+    return ((value >>> index) & 1) !== 0;
+}
+
+// ─── Capacity ───────────────────
+// Modules left for data and error correction once the function patterns are drawn
+function getRawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const alignCount = Math.floor(version / 7) + 2;
+        result -= (25 * alignCount - 10) * alignCount - 55;
+        if (version >= 7) result -= 36;
+    }
+    return result;
+}
+
+function getDataCodewords(version, level) {
+    return Math.floor(getRawDataModules(version) / 8) - EC_CODEWORDS_PER_BLOCK[level][version] * EC_BLOCKS[level][version];
+}
+
+// Byte mode: 4 bit mode indicator, then the length in 8 (versions 1-9) or 16 bits
+function getDataBits(version, length) {
+    return 4 + (version <= 9 ? 8 : 16) + length * 8;
+}
+
+function chooseVersion(length) {
+    for (const level of ['M', 'L']) {
+        for (let version = MIN_VERSION; version <= MAX_VERSION; version++) {
+            if (getDataBits(version, length) <= getDataCodewords(version, level) * 8) {
+                return { version, level };
+            }
+        }
+    }
+    throw new Error(`Text is too long for a QR code (${length} bytes)`);
+}
+
+// ─── Data Codewords ───────────────────
+function encodeData(bytes, version, level) {
+    const bits = [];
+    const push = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push(getBit(value, i) ? 1 : 0);
+    };
+
+    push(0b0100, 4);
+    push(bytes.length, version <= 9 ? 8 : 16);
+    for (const byte of bytes) push(byte, 8);
+
+    const capacity = getDataCodewords(version, level) * 8;
+    push(0, Math.min(4, capacity - bits.length));
+    push(0, (8 - bits.length % 8) % 8);
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    for (let pad = 0xEC; codewords.length < capacity / 8; pad ^= 0xEC ^ 0x11) {
+        codewords.push(pad);
+    }
+    return codewords;
+}
+
+// ─── Reed-Solomon ───────────────────
+// GF(2^8) with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+function gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11D);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+function getDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < result.length; j++) {
+            result[j] = gfMultiply(result[j], root);
+            if (j + 1 < result.length) result[j] ^= result[j + 1];
+        }
+        root = gfMultiply(root, 0x02);
+    }
+    return result;
+}
+
+function getRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    for (const byte of data) {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coefficient, i) => {
+            result[i] ^= gfMultiply(coefficient, factor);
+        });
+    }
+    return result;
+}
+
+// Splits the data into blocks, appends each block's error correction and interleaves them
+function addErrorCorrection(data, version, level) {
+    const blockCount = EC_BLOCKS[level][version];
+    const ecLength = EC_CODEWORDS_PER_BLOCK[level][version];
+    const rawCodewords = Math.floor(getRawDataModules(version) / 8);
+    const shortBlocks = blockCount - rawCodewords % blockCount;
+    const shortBlockLength = Math.floor(rawCodewords / blockCount);
+    const divisor = getDivisor(ecLength);
+
+    const blocks = [];
+    for (let i = 0, offset = 0; i < blockCount; i++) {
+        const block = data.slice(offset, offset + shortBlockLength - ecLength + (i < shortBlocks ? 0 : 1));
+        offset += block.length;
+        const ec = getRemainder(block, divisor);
+        // Placeholder so short and long blocks line up while interleaving
+        if (i < shortBlocks) block.push(0);
+        blocks.push(block.concat(ec));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach((block, j) => {
+            if (i !== shortBlockLength - ecLength || j >= shortBlocks) result.push(block[i]);
+        });
+    }
+    return result;
+}
+
+// ─── Matrix ───────────────────
+function getAlignmentPositions(version) {
+    if (version === 1) return [];
+    const count = Math.floor(version / 7) + 2;
+    const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+    const result = [6];
+    for (let position = version * 4 + 10; result.length < count; position -= step) {
+        result.splice(1, 0, position);
+    }
+    return result;
+}
+
+function createMatrix(version, level) {
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+
+    const set = (x, y, dark) => {
+        modules[y][x] = dark;
+        reserved[y][x] = true;
+    };
+
+    const drawFormat = mask => {
+        const data = (EC_FORMAT_BITS[level] << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+
+        for (let i = 0; i <= 5; i++) set(8, i, getBit(bits, i));
+        set(8, 7, getBit(bits, 6));
+        set(8, 8, getBit(bits, 7));
+        set(7, 8, getBit(bits, 8));
+        for (let i = 9; i < 15; i++) set(14 - i, 8, getBit(bits, i));
+
+        for (let i = 0; i < 8; i++) set(size - 1 - i, 8, getBit(bits, i));
+        for (let i = 8; i < 15; i++) set(8, size - 15 + i, getBit(bits, i));
+        set(8, size - 8, true);
+    };
+
+    // Timing patterns
+    for (let i = 0; i < size; i++) {
+        set(6, i, i % 2 === 0);
+        set(i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns with their separators
+    for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                if (x < 0 || y < 0 || x >= size || y >= size) continue;
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                set(x, y, distance !== 2 && distance !== 4);
+            }
+        }
+    }
+
+    // Alignment patterns, except where they would overlap a finder
+    const positions = getAlignmentPositions(version);
+    const last = positions.length - 1;
+    positions.forEach((cx, i) => {
+        positions.forEach((cy, j) => {
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        });
+    });
+
+    // Reserve the format areas now; the real bits depend on the mask chosen later
+    drawFormat(0);
+
+    if (version >= 7) {
+        let remainder = version;
+        for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+        const bits = (version << 12) | remainder;
+        for (let i = 0; i < 18; i++) {
+            const a = size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            set(a, b, getBit(bits, i));
+            set(b, a, getBit(bits, i));
+        }
+    }
+
+    return { size, modules, reserved, drawFormat };
+}
+
+// Codewords fill two-module columns in a zigzag from the bottom right corner
+function drawCodewords({ size, modules, reserved }, codewords) {
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5;
+        const upward = ((right + 1) & 2) === 0;
+        for (let vertical = 0; vertical < size; vertical++) {
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                const y = upward ? size - 1 - vertical : vertical;
+                if (reserved[y][x] || i >= codewords.length * 8) continue;
+                modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+                i++;
+            }
+        }
+    }
+}
+
+// ─── Masking ───────────────────
+const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+// Masking twice with the same pattern restores the matrix
+function applyMask({ size, modules, reserved }, mask) {
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (!reserved[y][x] && MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+        }
+    }
+}
+
+// Penalty rules from the standard: long runs, 2x2 blocks, finder-like patterns and
+// dark/light imbalance. The mask with the lowest score scans most reliably.
+function getPenalty({ size, modules }) {
+    let penalty = 0;
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+        lines.push(modules[i]);
+        lines.push(modules.map(row => row[i]));
+    }
+
+    for (const line of lines) {
+        let run = 1;
+        for (let i = 1; i <= size; i++) {
+            if (i < size && line[i] === line[i - 1]) {
+                run++;
+                continue;
+            }
+            if (run >= 5) penalty += run - 2;
+            run = 1;
+        }
+
+        // Dark-light-dark-dark-dark-light-dark with four light modules on one side
+        const text = line.map(dark => (dark ? '1' : '0')).join('');
+        for (const pattern of ['00001011101', '10111010000']) {
+            for (let index = text.indexOf(pattern); index !== -1; index = text.indexOf(pattern, index + 1)) {
+                penalty += 40;
+            }
+        }
+    }
+
+    let dark = 0;
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (modules[y][x]) dark++;
+            if (x < size - 1 && y < size - 1) {
+                const color = modules[y][x];
+                if (modules[y][x + 1] === color && modules[y + 1][x] === color && modules[y + 1][x + 1] === color) {
+                    penalty += 3;
+                }
+            }
+        }
+    }
+    penalty += Math.floor(Math.abs(dark * 20 - size * size * 10) / (size * size)) * 10;
+
+    return penalty;
+}
+
+// ─── Public API ───────────────────
+// The text's QR code as rows of booleans (true = dark module), without the quiet zone
+export function encodeQr(text) {
+    const bytes = [...Buffer.from(String(text), 'utf8')];
+    const { version, level } = chooseVersion(bytes.length);
+    const matrix = createMatrix(version, level);
+    drawCodewords(matrix, addErrorCorrection(encodeData(bytes, version, level), version, level));
+
+    let bestMask = 0;
+    let bestPenalty = Infinity;
+    for (let mask = 0; mask < MASKS.length; mask++) {
+        applyMask(matrix, mask);
+        matrix.drawFormat(mask);
+        const penalty = getPenalty(matrix);
+        if (penalty < bestPenalty) {
+            bestMask = mask;
+            bestPenalty = penalty;
+        }
+        applyMask(matrix, mask);
+    }
+    applyMask(matrix, bestMask);
+    matrix.drawFormat(bestMask);
+
+    return matrix.modules;
+}
+
+// The text's QR code as a standalone SVG document, scaled to `size` pixels
+export function renderQrSvg(text, size = 256) {
+    const modules = encodeQr(text);
+    const dimension = modules.length + QUIET_ZONE * 2;
+    const path = [];
+    modules.forEach((row, y) => {
+        row.forEach((dark, x) => {
+            if (dark) path.push(`M${x + QUIET_ZONE},${y + QUIET_ZONE}h1v1h-1z`);
+        });
+    });
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dimension} ${dimension}" width="${size}" height="${size}" shape-rendering="crispEdges">`
+        + `<rect width="100%" height="100%" fill="#fff"/><path fill="#000" d="${path.join('')}"/></svg>`;
+}
@@ -0,0 +1,117 @@
+import crypto from "crypto";
+import { createStore } from "./store.js";
+import { createLogger } from "./logger.js";
+
+// ─── Retry Queue ───────────────────
+// Persisted jobs retried with exponential backoff (and a little jitter) until the
+// handler succeeds or the attempt limit is reached. Jobs live in a store, so with the
+// file driver they survive restarts and are picked up again on boot.
+//
+//   handler(payload, { attempt, maxAttempts, isLastAttempt }) → { retry: boolean, error? }
+//
+// Return { retry: true } to try again later; on the last attempt the job is dropped
+// either way, so the handler should report the final failure itself.
+
+export function createRetryQueue(name, handler, options = {}) {
+    const store = createStore(name);
+    const maxAttempts = options.maxAttempts || 5;
+    const baseDelayMs = options.baseDelayMs || 30 * 1000;
+    const maxDelayMs = options.maxDelayMs || 30 * 60 * 1000;
+    const pollIntervalMs = options.pollIntervalMs || 15 * 1000;
+    const log = createLogger(`QUEUE:${name}`);
+
+    const stats = { succeeded: 0, retried: 0, gaveUp: 0 };
+    let running = null;
+    let stopped = false;
+
+    function getBackoff(attempt) {
+        const delay = Math.min(baseDelayMs * 2 ** (attempt - 1), maxDelayMs);
+        return Math.round(delay * (0.8 + Math.random() * 0.4));
+    }
+
+    async function runJob(id, job) {
+        const attempt = job.attempts + 1;
+        const isLastAttempt = attempt >= maxAttempts;
+
+        let result;
+        try {
+            result = await handler(job.payload, { attempt, maxAttempts, isLastAttempt });
+        } catch (error) {
+            result = { retry: true, error: error.message };
+        }
+
+        if (!result.retry) {
+            stats.succeeded++;
+            await store.delete(id);
+        } else if (isLastAttempt) {
+            stats.gaveUp++;
+            log.error(`Giving up on job ${id} after ${attempt} attempts: ${result.error}`);
+            await store.delete(id);
+        } else {
+            stats.retried++;
+            const delay = getBackoff(attempt);
+            log.warn(`Attempt ${attempt}/${maxAttempts} of job ${id} failed (${result.error}), retrying in ${Math.round(delay / 1000)}s`);
+            await store.set(id, { ...job, attempts: attempt, nextAttemptAt: Date.now() + delay, lastError: result.error || null });
+        }
+    }
+
+    // Runs every due job once; concurrent calls share the same pass
+    function processDue() {
+        if (running) return running;
+
+        running = (async () => {
+            try {
+                const now = Date.now();
+                for (const [id, job] of await store.entries()) {
+                    if (stopped) break;
+                    if (job.nextAttemptAt <= now) {
+                        await runJob(id, job);
+                    }
+                }
+            } catch (error) {
+                log.error(`Processing failed: ${error.message}`);
+            } finally {
+                running = null;
+            }
+        })();
+        return running;
+    }
+
+    const timer = setInterval(processDue, pollIntervalMs);
+    timer.unref();
+
+    return {
+        // `attempts` is how many tries already happened before queueing (usually the inline one)
+        async enqueue(payload, attempts = 1, lastError = null) {
+            const id = crypto.randomUUID();
+            const delay = getBackoff(attempts);
+            await store.set(id, { payload, attempts, nextAttemptAt: Date.now() + delay, lastError, createdAt: Date.now() });
+            log.info(`Queued job ${id}, next attempt in ${Math.round(delay / 1000)}s`);
+            return { id, nextAttemptAt: Date.now() + delay, attempts, maxAttempts };
+        },
+
+        processDue,
+
+        async getState() {
+            const jobs = (await store.entries()).map(([, job]) => job);
+            return {
+                driver: store.driver,
+                queued: jobs.length,
+                nextAttemptAt: jobs.length ? new Date(Math.min(...jobs.map(j => j.nextAttemptAt))).toISOString() : null,
+                maxAttempts: maxAttempts,
+                ...stats
+            };
+        },
+
+        // Stops polling, waits for the job that is running (up to timeoutMs) and
+        // flushes the store. Jobs still queued are retried after the next start.
+        async drain(timeoutMs = 10000) {
+            stopped = true;
+            clearInterval(timer);
+            if (running) {
+                await Promise.race([running, new Promise(resolve => setTimeout(resolve, timeoutMs))]);
+            }
+            await store.close();
+        }
+    };
+}
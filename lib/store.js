@@ -0,0 +1,310 @@
+import fs from "fs";
+import path from "path";
+import fetch from "node-fetch";
+import { createLogger } from "./logger.js";
+
+const log = createLogger('STORE');
+
+// ─── Key/Value Store With TTL ───────────────────
+// Every store exposes the same async interface so drivers can be swapped per
+// deployment (memory for quick tests, file for Docker, redis-rest for Vercel):
+//
+//   get(key) → value | undefined
+//   set(key, value, ttlMs?)
+//   delete(key)
+//   increment(key, by, ttlMs?) → new value; atomic, the TTL is only set when the key is created
+//   entries() → [[key, value], ...]
+//   size() → number of live entries
+//   prune() → number of expired entries removed
+//
+// Expired entries are never returned and are swept automatically. Every store also
+// reports its `driver`, so callers can tell whether its state outlives the process.
+
+const SWEEP_INTERVAL = 60 * 1000;
+
+function isExpired(entry, now = Date.now()) {
+    return entry.expiresAt !== null && entry.expiresAt <= now;
+}
+
+// ─── Memory Driver ───────────────────
+function createMemoryStore(options = {}) {
+    const entries = options.initialEntries || new Map();
+    const onChange = options.onChange || (() => {});
+
+    function prune() {
+        const now = Date.now();
+        let removed = 0;
+        for (const [key, entry] of entries) {
+            if (isExpired(entry, now)) {
+                entries.delete(key);
+                removed++;
+            }
+        }
+        if (removed) onChange(entries);
+        return removed;
+    }
+
+    const sweepTimer = setInterval(prune, SWEEP_INTERVAL);
+    sweepTimer.unref();
+
+    return {
+        driver: 'memory',
+
+        async get(key) {
+            const entry = entries.get(key);
+            if (!entry) return undefined;
+            if (isExpired(entry)) {
+                entries.delete(key);
+                onChange(entries);
+                return undefined;
+            }
+            return entry.value;
+        },
+
+        async set(key, value, ttlMs = null) {
+            entries.set(key, { value, expiresAt: ttlMs ? Date.now() + ttlMs : null });
+            onChange(entries);
+        },
+
+        async delete(key) {
+            if (entries.delete(key)) onChange(entries);
+        },
+
+        // No await between the read and the write, so concurrent calls can't interleave
+        async increment(key, by, ttlMs = null) {
+            const entry = entries.get(key);
+            const live = entry && !isExpired(entry) ? entry : null;
+            const value = (live ? Number(live.value) || 0 : 0) + by;
+            entries.set(key, { value, expiresAt: live ? live.expiresAt : (ttlMs ? Date.now() + ttlMs : null) });
+            onChange(entries);
+            return value;
+        },
+
+        async entries() {
+            prune();
+            return [...entries].map(([key, entry]) => [key, entry.value]);
+        },
+
+        async size() {
+            prune();
+            return entries.size;
+        },
+
+        async prune() {
+            return prune();
+        },
+
+        async close() {
+            clearInterval(sweepTimer);
+        }
+    };
+}
+
+// ─── File Driver ───────────────────
+// Keeps entries in memory and mirrors them to a JSON file, so state survives
+// container restarts. Writes go to a temp file first and are renamed into place.
+function createFileStore(options = {}) {
+    const filePath = options.filePath;
+    const initialEntries = new Map();
+
+    try {
+        const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        const now = Date.now();
+        for (const [key, entry] of Object.entries(saved)) {
+            if (!isExpired(entry, now)) {
+                initialEntries.set(key, entry);
+            }
+        }
+        log.info(`Loaded ${initialEntries.size} entries from ${filePath}`);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            log.warn(`Could not read ${filePath}, starting empty: ${error.message}`);
+        }
+    }
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    let writeChain = Promise.resolve();
+    let writeScheduled = false;
+
+    function persist(entries) {
+        if (writeScheduled) return;
+        writeScheduled = true;
+
+        writeChain = writeChain.then(async () => {
+            writeScheduled = false;
+            const tempPath = `${filePath}.tmp`;
+            try {
+                await fs.promises.writeFile(tempPath, JSON.stringify(Object.fromEntries(entries)));
+                await fs.promises.rename(tempPath, filePath);
+            } catch (error) {
+                log.error(`Failed to write ${filePath}: ${error.message}`);
+            }
+        });
+    }
+
+    const store = createMemoryStore({ initialEntries, onChange: persist });
+
+    return {
+        ...store,
+        driver: 'file',
+
+        async close() {
+            await store.close();
+            await writeChain;
+        }
+    };
+}
+
+// ─── Redis REST Driver ───────────────────
+// Talks to Redis through an HTTP REST API (Upstash, Vercel KV), so serverless instances
+// share one state without a Redis client or a long-lived connection. Values are stored
+// as JSON under "<prefix>:<store name>:<key>" and Redis expires them itself.
+function createRedisRestStore(name, options = {}) {
+    const url = String(options.url || '').replace(/\/$/, '');
+    const prefix = `${options.prefix}:${name}:`;
+
+    if (!url || !options.token) {
+        throw new Error('The redis-rest store needs REDIS_REST_URL and REDIS_REST_TOKEN');
+    }
+
+    async function post(path, body, label) {
+        const response = await fetch(`${url}${path}`, {
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${options.token}`, 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok || data.error) {
+            throw new Error(`Redis ${label} failed: ${data.error || `HTTP ${response.status}`}`);
+        }
+        return data;
+    }
+
+    async function command(...args) {
+        return (await post('', args, args[0])).result;
+    }
+
+    // Runs the commands as one MULTI/EXEC transaction; returns their results
+    async function transaction(...commands) {
+        const results = await post('/multi-exec', commands, commands.map(c => c[0]).join('+'));
+        const failed = results.find(r => r.error);
+        if (failed) {
+            throw new Error(`Redis transaction failed: ${failed.error}`);
+        }
+        return results.map(r => r.result);
+    }
+
+    async function scanKeys() {
+        const keys = [];
+        let cursor = '0';
+        do {
+            const [next, batch] = await command('SCAN', cursor, 'MATCH', `${prefix}*`, 'COUNT', 100);
+            cursor = String(next);
+            keys.push(...batch);
+        } while (cursor !== '0');
+        return keys;
+    }
+
+    return {
+        driver: 'redis-rest',
+
+        async get(key) {
+            const value = await command('GET', prefix + key);
+            return value === null ? undefined : JSON.parse(value);
+        },
+
+        async set(key, value, ttlMs = null) {
+            const args = ['SET', prefix + key, JSON.stringify(value)];
+            if (ttlMs) args.push('PX', Math.max(Math.ceil(ttlMs), 1));
+            await command(...args);
+        },
+
+        async delete(key) {
+            await command('DEL', prefix + key);
+        },
+
+        // INCRBY, plus an expiry (PEXPIRE NX) when the counter has none yet
+        async increment(key, by, ttlMs = null) {
+            const commands = [['INCRBY', prefix + key, by]];
+            if (ttlMs) commands.push(['PEXPIRE', prefix + key, Math.max(Math.ceil(ttlMs), 1), 'NX']);
+            const [value] = await transaction(...commands);
+            return Number(value);
+        },
+
+        async entries() {
+            const keys = await scanKeys();
+            if (!keys.length) return [];
+
+            const values = await command('MGET', ...keys);
+            return keys
+                .map((key, i) => [key.slice(prefix.length), values[i]])
+                .filter(([, value]) => value !== null)
+                .map(([key, value]) => [key, JSON.parse(value)]);
+        },
+
+        async size() {
+            return (await scanKeys()).length;
+        },
+
+        async prune() {
+            return 0;
+        },
+
+        async close() {}
+    };
+}
+
+// ─── Store Factory ───────────────────
+// Add new drivers here (e.g. a Redis client over TCP) - they only need to implement
+// the interface above.
+const STORE_DRIVERS = {
+    memory: (name, options) => createMemoryStore(options),
+    file: (name, options) => createFileStore({
+        ...options,
+        filePath: path.join(options.dir || process.env.STORE_DIR || './data', `${name}.json`)
+    }),
+    'redis-rest': (name, options) => createRedisRestStore(name, { ...getRedisRestSettings(), ...options })
+};
+
+// Vercel's KV / Upstash integrations set the KV_* or UPSTASH_* variables
+function getRedisRestSettings() {
+    return {
+        url: process.env.REDIS_REST_URL || process.env.KV_REST_API_URL || process.env.UPSTASH_REDIS_REST_URL,
+        token: process.env.REDIS_REST_TOKEN || process.env.KV_REST_API_TOKEN || process.env.UPSTASH_REDIS_REST_TOKEN,
+        prefix: process.env.REDIS_KEY_PREFIX || 'stremio-overseerr'
+    };
+}
+
+// Vercel instances have a read-only, throwaway filesystem, so the file driver can't work
+// there: use Redis when one is connected, otherwise memory (state per instance only)
+function getDefaultDriver() {
+    if (process.env.STORE_DRIVER) return process.env.STORE_DRIVER;
+    if (!process.env.VERCEL) return 'file';
+
+    const redis = getRedisRestSettings();
+    return redis.url && redis.token ? 'redis-rest' : 'memory';
+}
+
+// False when the store's state only lives in this process, e.g. per serverless instance on Vercel
+export function isPersistentStore(store) {
+    return store.driver !== 'memory';
+}
+
+let warnedAboutMemory = false;
+
+export function createStore(name, options = {}) {
+    const driver = options.driver || getDefaultDriver();
+    const factory = STORE_DRIVERS[driver];
+
+    if (!factory) {
+        throw new Error(`Unknown store driver "${driver}" (available: ${Object.keys(STORE_DRIVERS).join(', ')})`);
+    }
+
+    log.info(`Using ${driver} store for "${name}"`);
+    if (driver === 'memory' && process.env.VERCEL && !warnedAboutMemory) {
+        warnedAboutMemory = true;
+        log.warn('No shared store on Vercel - cooldowns, quotas and rate limits only apply within one serverless instance. Connect Vercel KV / Upstash Redis (REDIS_REST_URL and REDIS_REST_TOKEN) to share them');
+    }
+    return factory(name, options);
+}
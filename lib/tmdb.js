@@ -0,0 +1,186 @@
+import crypto from "crypto";
+import fetch from "node-fetch";
+import { createCounter, createHistogram } from "./metrics.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger('TMDB');
+
+// ─── TMDB Client ───────────────────
+// All TMDB lookups go through here so that:
+//   - responses are cached (LRU + TTL), keyed per API key
+//   - identical lookups that are already in flight share one HTTP call
+//   - 429 rate limits are retried with backoff (Retry-After when TMDB sends it, as long
+//     as it is short - a stream lookup doesn't wait longer than a few seconds)
+// Stremio fires the stream endpoint for every episode while browsing a series,
+// so this saves a /find and a /tv call per episode.
+
+const TMDB_API_BASE = 'https://api.themoviedb.org/3';
+const CACHE_MAX_ENTRIES = parseInt(process.env.TMDB_CACHE_SIZE) || 1000;
+const CACHE_TTL_MS = (parseFloat(process.env.TMDB_CACHE_TTL_MINUTES) || 60) * 60 * 1000;
+const MAX_RETRIES = 3;
+const BASE_BACKOFF_MS = 1000;
+const MAX_RETRY_DELAY_MS = 5000;
+
+const cache = new Map();
+const inFlight = new Map();
+const stats = { hits: 0, misses: 0, coalesced: 0, rateLimited: 0 };
+
+// Labelled by endpoint ('find', 'movie', 'tv', 'trending'...), never the full path or key
+const tmdbDuration = createHistogram('tmdb_request_duration_seconds', 'TMDB HTTP calls by endpoint and status', ['endpoint', 'status']);
+const tmdbLookups = createCounter('tmdb_lookups_total', 'TMDB lookups by cache result', ['result']);
+
+function getEndpoint(path) {
+    return path.split('/')[1] || 'unknown';
+}
+
+// Cache keys use a hash of the API key, never the key itself
+function hashApiKey(apiKey) {
+    return crypto.createHash('sha256').update(String(apiKey)).digest('hex').slice(0, 16);
+}
+
+function getCacheKey(apiKey, path, params) {
+    const query = Object.keys(params).sort().map(k => `${k}=${params[k]}`).join('&');
+    return `${hashApiKey(apiKey)}:${path}?${query}`;
+}
+
+function readCache(key) {
+    const entry = cache.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expiresAt <= Date.now()) {
+        cache.delete(key);
+        return undefined;
+    }
+
+    // Re-insert so the Map's insertion order doubles as LRU order
+    cache.delete(key);
+    cache.set(key, entry);
+    return entry.value;
+}
+
+function writeCache(key, value) {
+    cache.delete(key);
+    cache.set(key, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+
+    while (cache.size > CACHE_MAX_ENTRIES) {
+        cache.delete(cache.keys().next().value);
+    }
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// null when TMDB asks to wait longer than MAX_RETRY_DELAY_MS, then the 429 is returned
+function getRetryDelay(response, attempt) {
+    const retryAfter = parseFloat(response.headers.get('retry-after'));
+    const delay = Number.isFinite(retryAfter) && retryAfter >= 0 ? retryAfter * 1000 : BASE_BACKOFF_MS * 2 ** attempt;
+    return delay <= MAX_RETRY_DELAY_MS ? delay : null;
+}
+
+async function fetchWithBackoff(url, label) {
+    for (let attempt = 0; ; attempt++) {
+        const endTimer = tmdbDuration.startTimer();
+        let response;
+        try {
+            response = await fetch(url);
+        } catch (error) {
+            endTimer({ endpoint: getEndpoint(label), status: 'error' });
+            throw error;
+        }
+        endTimer({ endpoint: getEndpoint(label), status: response.status });
+
+        if (response.status !== 429 || attempt >= MAX_RETRIES) {
+            return response;
+        }
+
+        stats.rateLimited++;
+        const delay = getRetryDelay(response, attempt);
+        if (delay === null) {
+            log.warn(`Rate limited on ${label}, giving up (Retry-After ${response.headers.get('retry-after')}s)`);
+            return response;
+        }
+        log.warn(`Rate limited on ${label}, retrying in ${delay}ms (attempt ${attempt + 1}/${MAX_RETRIES})`);
+        await sleep(delay);
+    }
+}
+
+// GET a TMDB path. Resolves with the parsed JSON; rejects with an Error carrying
+// `status` for non-2xx responses. Pass { cache: false } to always hit TMDB.
+export async function tmdbGet(apiKey, path, params = {}, options = {}) {
+    const useCache = options.cache !== false;
+    const key = getCacheKey(apiKey, path, params);
+
+    if (useCache) {
+        const cached = readCache(key);
+        if (cached !== undefined) {
+            stats.hits++;
+            tmdbLookups.inc({ result: 'hit' });
+            return cached;
+        }
+
+        if (inFlight.has(key)) {
+            stats.coalesced++;
+            tmdbLookups.inc({ result: 'coalesced' });
+            return inFlight.get(key);
+        }
+        stats.misses++;
+    }
+    tmdbLookups.inc({ result: useCache ? 'miss' : 'uncached' });
+
+    const query = new URLSearchParams({ ...params, api_key: apiKey });
+    const url = `${TMDB_API_BASE}${path}?${query.toString()}`;
+
+    const request = (async () => {
+        const response = await fetchWithBackoff(url, path);
+
+        if (!response.ok) {
+            const error = new Error(`TMDB HTTP ${response.status} for ${path}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        const data = await response.json();
+        if (useCache) {
+            writeCache(key, data);
+        }
+        return data;
+    })();
+
+    if (!useCache) {
+        return request;
+    }
+
+    inFlight.set(key, request);
+    try {
+        return await request;
+    } finally {
+        inFlight.delete(key);
+    }
+}
+
+// ─── Common Lookups ───────────────────
+// Shared by the stream routes, catalogs and backends, so they hit the same cache entries.
+
+// Both take an optional TMDB `language` (e.g. 'de-DE') for localized titles and overviews;
+// without one TMDB answers in English.
+
+// IMDb id → first movie or TV result (null when TMDB doesn't know it)
+export async function findByImdbId(apiKey, imdbId, type, language = null) {
+    const params = { external_source: 'imdb_id', ...(language && { language }) };
+    const data = await tmdbGet(apiKey, `/find/${encodeURIComponent(imdbId)}`, params);
+    return (type === 'movie' ? data.movie_results?.[0] : data.tv_results?.[0]) || null;
+}
+
+// Movie or TV details; TV includes external_ids (IMDb and TVDB ids)
+export async function getDetails(apiKey, mediaType, tmdbId, language = null) {
+    const params = mediaType === 'tv' ? { append_to_response: 'external_ids' } : {};
+    if (language) {
+        params.language = language;
+    }
+    return tmdbGet(apiKey, `/${mediaType}/${encodeURIComponent(tmdbId)}`, params);
+}
+
+export function getCacheStats() {
+    return { ...stats, size: cache.size, inFlight: inFlight.size };
+}
@@ -1,196 +1,369 @@
 import express from "express";
+import crypto from "crypto";
 import fetch from "node-fetch";
 import dotenv from "dotenv";
+import { fileURLToPath } from "url";
+import { createStore, isPersistentStore } from "./lib/store.js";
+import { BACKENDS, MEDIA_STATUS, createBackend, validateBackendConfig, supportsOverseerrApi } from "./lib/backends/index.js";
+import { getOverseerrHeaders } from "./lib/backends/overseerr.js";
+import { encodeConfigToken, decodeConfigToken, isEncryptionEnabled } from "./lib/config-token.js";
+import { tmdbGet, findByImdbId, getDetails, getCacheStats } from "./lib/tmdb.js";
+import { getHistoryScope, getHistory, addHistoryEntry, closeHistory } from "./lib/history.js";
+import { NOTIFICATION_EVENTS, hasNotificationTargets, sendNotifications } from "./lib/notifications.js";
+import { createRetryQueue } from "./lib/queue.js";
+import { ID_PREFIXES, resolveStremioId, getIdMappingStats } from "./lib/ids.js";
+import { getQuotaStatus, getQuotaUnits, reserveQuota, releaseQuota, takeRateLimit, getRestriction, hashPin, verifyPin, createProfileId, canEnforceLimits, hasLimits, closeLimits } from "./lib/limits.js";
+import { LOCALES, DEFAULT_LOCALE, getConfigLocale, getTmdbLanguage, getRequestLocale, getMessages, t, tn } from "./lib/i18n.js";
+import { METRICS_CONTENT_TYPE, createCounter, createHistogram, createGauge, renderMetrics } from "./lib/metrics.js";
+import { createLogger, createRequestId, isValidRequestId, runWithRequestId, getRequestId, registerSecrets } from "./lib/logger.js";
+import { renderQrSvg } from "./lib/qr.js";
 
 dotenv.config();
 
 const app = express();
-const PORT = process.env.PORT || 7000;
-const SERVER_URL = process.env.VERCEL_URL ? `https://${process.env.VERCEL_URL}` : `http://localhost:${PORT}`;
 
-// Store pending requests to avoid duplicates
-const pendingRequests = new Map();
+// ─── Loggers ───────────────────
+const serverLog = createLogger('SERVER');
+const configLog = createLogger('CONFIG');
+const manifestLog = createLogger('MANIFEST');
+const streamLog = createLogger('STREAM');
+const catalogLog = createLogger('CATALOG');
+const metaLog = createLogger('META');
+const tmdbLog = createLogger('TMDB');
+const proxyLog = createLogger('PROXY');
+const confirmLog = createLogger('CONFIRM');
+const overseerrLog = createLogger('OVERSEERR');
+const queueLog = createLogger('QUEUE');
+const testLog = createLogger('TEST');
+const shutdownLog = createLogger('SHUTDOWN');
+const PORT = process.env.PORT || 7000;
+// Where Stremio reaches the addon; stream URLs point here, so LAN installs set it to the LAN address
+const SERVER_URL = process.env.SERVER_URL
+    ? process.env.SERVER_URL.replace(/\/+$/, '')
+    : process.env.VERCEL_URL ? `https://${process.env.VERCEL_URL}` : `http://localhost:${PORT}`;
+
+// Remember recent requests to avoid duplicates (survives restarts with the file driver)
+const pendingRequests = createStore('cooldowns');
+const REQUEST_COOLDOWN_MS = (parseFloat(process.env.REQUEST_COOLDOWN_MINUTES) || 5) * 60 * 1000;
+
+// Outcome of each request (submitted, duplicate, failed...) shown as a subtitle on the wait video
+const requestOutcomes = createStore('outcomes');
+const OUTCOME_WAIT_MS = (parseFloat(process.env.REQUEST_OUTCOME_WAIT_SECONDS) || 4) * 1000;
+
+// Failed requests keep a short cooldown (players fetch the video several times) so a
+// new click can try again; queued ones stay suppressed until their retries finish.
+const FAILED_REQUEST_COOLDOWN_MS = 30 * 1000;
+const QUEUED_REQUEST_COOLDOWN_MS = 24 * 60 * 60 * 1000;
+
+// ─── Metrics ───────────────────
+// Served at /metrics. Labels stay within fixed sets (media type, outcome, status,
+// backend kind); config tokens, keys, titles and user ids are never used as labels.
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+
+const streamLookups = createHistogram('stream_lookup_duration_seconds', 'Stream lookups by route, type and result', ['route', 'type', 'result']);
+const backendSubmissions = createCounter('backend_submissions_total', 'Requests sent to the backend by outcome and HTTP status', ['backend', 'outcome', 'status']);
+const requestOutcomesTotal = createCounter('request_outcomes_total', 'Recorded request outcomes, including ones never sent (quota, blocked, skipped)', ['backend', 'outcome']);
+const cooldownSuppressions = createCounter('cooldown_suppressed_total', 'Repeated requests ignored because of the cooldown', ['route']);
+const rateLimited = createCounter('rate_limited_total', 'Request attempts refused by the per-config rate limit');
+const proxyWaitRequests = createCounter('proxy_wait_requests_total', 'Wait video requests by kind (initial, range, head) and source', ['kind', 'source']);
+const proxyWaitBytes = createCounter('proxy_wait_bytes_total', 'Wait video bytes sent by source', ['source']);
+
+createGauge('cooldowns_active', 'Request cooldowns currently stored', [], () => pendingRequests.size());
+createGauge('retry_queue_jobs', 'Requests waiting in the retry queue', [], async () => (await requestQueue.getState()).queued);
+createGauge('tmdb_cache_entries', 'Cached TMDB responses', [], () => getCacheStats().size);
+
+// HTTP status when the backend answered, otherwise what went wrong
+function getSubmissionStatus(result) {
+    if (result.status) return String(result.status);
+    if (result.success) return 'ok';
+    return result.code ? 'network_error' : 'not_sent';
+}
 
-// ─── Parse Stremio ID formats ───────────────────
-function parseStremioId(id, type) {
-    console.log(`[PARSER] Parsing ID: ${id} for type: ${type}`);
+// The type comes from the URL, so anything unexpected shares one label value
+function getMetricType(type) {
+    return type === 'movie' || type === 'series' ? type : 'other';
+}
 
-    if (type === 'movie' && id.startsWith('tt')) {
-        return { imdbId: id, season: null, episode: null };
-    }
+// ─── Request Ids ──────────────
+// Every request gets an id that is attached to its log lines, so a /proxy-wait click and
+// the backend request it sends (even when retried from the queue later) can be followed
+// with one id. Addon URLs never carry it: stream URLs have to stay the same between
+// lookups for caching and Stremio's "continue watching".
+app.use((req, res, next) => {
+    const requestId = isValidRequestId(req.get('X-Request-Id')) ? req.get('X-Request-Id') : createRequestId();
+    res.setHeader('X-Request-Id', requestId);
+    runWithRequestId(requestId, next);
+});
 
-    if (type === 'series') {
-        if (id.includes(':')) {
-            const parts = id.split(':');
-            if (parts.length === 3) {
-                return {
-                    imdbId: parts[0],
-                    season: parseInt(parts[1]),
-                    episode: parseInt(parts[2])
-                };
-            }
-        } else if (id.startsWith('tt')) {
-            return { imdbId: id, season: null, episode: null };
-        }
-    }
+// Express 4 doesn't catch rejected promises, so async handlers go through this: a
+// failure ends up in the error handler (a 500) instead of taking the process down
+function asyncRoute(handler) {
+    return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
 
-    if (/^\d+$/.test(id)) {
-        return { tmdbId: parseInt(id), season: null, episode: null };
-    }
+// Known secrets are redacted from the logs wherever they turn up, env ones from the start
+registerSecrets([process.env.TMDB_API_KEY, process.env.OVERSEERR_API, process.env.CONFIG_SECRET], { permanent: true });
 
-    console.log(`[PARSER] Unsupported ID format: ${id}`);
-    return null;
+// API keys, tokens and webhook URLs in a config
+function getConfigSecrets(config) {
+    const notifications = config?.notifications || {};
+    return [
+        config?.tmdbKey, config?.overseerrApi, config?.radarrApi, config?.sonarrApi,
+        notifications.discordWebhook, notifications.telegramBotToken, notifications.webhookUrl
+    ];
 }
 
 // ─── Configuration Decoding ──────────────
+// Returns an error message, or null when the config is complete
+function validateConfig(config) {
+    if (!config || !config.tmdbKey) {
+        return 'Missing required configuration fields';
+    }
+    return validateBackendConfig(config);
+}
+
+// Accepts encrypted tokens as well as the original base64 JSON, and DEFAULT_CONFIG_TOKEN
 function decodeConfig(configString) {
-    try {
-        // Add padding if needed for base64
-        let paddedConfig = configString;
-        while (paddedConfig.length % 4 !== 0) {
-            paddedConfig += '=';
+    if (configString === DEFAULT_CONFIG_TOKEN) {
+        if (!DEFAULT_CONFIG) {
+            configLog.info('No default configuration - set TMDB_API_KEY and OVERSEERR_URL/OVERSEERR_API to use the addon without a personal URL');
         }
+        return DEFAULT_CONFIG;
+    }
 
-        const configJson = Buffer.from(paddedConfig, 'base64').toString('utf8');
-        const config = JSON.parse(configJson);
-
-        if (!config.tmdbKey || !config.overseerrUrl || !config.overseerrApi) {
-            throw new Error('Missing required configuration fields');
+    try {
+        const config = decodeConfigToken(configString);
+        const configError = validateConfig(config);
+        if (configError) {
+            throw new Error(configError);
         }
 
+        // Only once it's valid, so made-up tokens can't push real secrets out of the list
+        registerSecrets([configString, ...getConfigSecrets(config)]);
         return config;
     } catch (error) {
-        console.error('[CONFIG] Error decoding configuration:', error.message);
+        configLog.error(`Error decoding configuration: ${error.message}`);
         return null;
     }
 }
 
-// ─── Make Overseerr Request ────────────
-async function makeOverseerrRequest(tmdbId, type, mediaName, seasonNumber = null, requestType = 'season', userConfig = null) {
+// ─── Single-Tenant Default Config ──────────────
+// Self-hosters can skip the personal addon URL: the config built from the environment
+// serves /manifest.json and the other unconfigured routes through the same handlers as
+// /configured/<token>/. DEFAULT_CONFIG (a token copied from a generated addon URL) brings
+// every config page option; otherwise the basics come from separate variables.
+// URLs refer to it as DEFAULT_CONFIG_TOKEN, so its keys never end up in stream URLs.
+const DEFAULT_CONFIG_TOKEN = 'default';
+
+function readEnvConfig() {
+    if (process.env.DEFAULT_CONFIG) {
+        return decodeConfigToken(process.env.DEFAULT_CONFIG);
+    }
+
+    const fields = {
+        tmdbKey: process.env.TMDB_API_KEY,
+        backend: process.env.REQUEST_BACKEND,
+        overseerrUrl: process.env.OVERSEERR_URL,
+        overseerrApi: process.env.OVERSEERR_API,
+        overseerrUserId: process.env.OVERSEERR_USER_ID,
+        radarrUrl: process.env.RADARR_URL,
+        radarrApi: process.env.RADARR_API,
+        sonarrUrl: process.env.SONARR_URL,
+        sonarrApi: process.env.SONARR_API,
+        language: process.env.ADDON_LANGUAGE,
+        request4k: process.env.REQUEST_4K === 'true' || undefined
+    };
+    const config = Object.fromEntries(Object.entries(fields).filter(([, value]) => value));
+    return Object.keys(config).length ? config : null;
+}
+
+function loadDefaultConfig() {
+    let config;
     try {
-        console.log(`[OVERSEERR] Making ${requestType} request for ${type} TMDB ID: ${tmdbId} - "${mediaName}"`);
+        config = readEnvConfig();
+    } catch (error) {
+        configLog.warn(`DEFAULT_CONFIG could not be decoded: ${error.message}`);
+        return null;
+    }
+    if (!config) return null;
 
-        const requestBody = {
-            mediaId: parseInt(tmdbId),
-            mediaType: type === 'movie' ? 'movie' : 'tv'
-        };
+    registerSecrets([process.env.DEFAULT_CONFIG, ...getConfigSecrets(config)], { permanent: true });
+    const configError = validateConfig(config);
+    if (configError) {
+        configLog.warn(`Default configuration from the environment is incomplete: ${configError}`);
+        return null;
+    }
+    return config;
+}
 
-        // Series handling: support season requests and full-series requests
-        if (type === 'series') {
-            if (requestType === 'season' && seasonNumber !== null) {
-                requestBody.seasons = [seasonNumber];
-            } else if (requestType === 'series') {
-                // Full-series request: try to fetch season numbers from TMDB so Overseerr
-                // receives an explicit seasons array (avoids Overseerr server-side 500).
-                try {
-                    const tmdbKey = userConfig?.tmdbKey || process.env.TMDB_API_KEY || process.env.TMDB_KEY;
-                    if (tmdbKey) {
-                        const tmdbDetailsResp = await fetch(`https://api.themoviedb.org/3/tv/${encodeURIComponent(tmdbId)}?api_key=${encodeURIComponent(tmdbKey)}`);
-                        if (tmdbDetailsResp.ok) {
-                            const tmdbDetails = await tmdbDetailsResp.json();
-                            // Collect numeric season numbers, exclude season_number === 0 (specials)
-                            const seasons = (tmdbDetails.seasons || [])
-                                .map(s => Number(s.season_number))
-                                .filter(n => Number.isFinite(n) && n > 0);
-                            // If we found any seasons, send them; otherwise fallback to an empty array
-                            requestBody.seasons = seasons.length ? seasons : [];
-                            console.log(`[OVERSEERR] TMDB seasons resolved for ${mediaName}: [${requestBody.seasons.join(',')}]`);
-                        } else {
-                            console.warn(`[OVERSEERR] TMDB lookup failed (HTTP ${tmdbDetailsResp.status}) for TV ID ${tmdbId} - sending empty seasons array`);
-                            requestBody.seasons = [];
-                        }
-                    } else {
-                        // No TMDB key available in config or env: send empty seasons array
-                        console.warn('[OVERSEERR] No TMDB API key available; sending empty seasons array for full-series request');
-                        requestBody.seasons = [];
-                    }
-                } catch (err) {
-                    console.warn('[OVERSEERR] TMDB lookup error, sending empty seasons array', err && err.message ? err.message : err);
-                    requestBody.seasons = [];
-                }
-            }
-        }
+const DEFAULT_CONFIG = loadDefaultConfig();
 
-        const overseerrUrl = userConfig ? userConfig.overseerrUrl : process.env.OVERSEERR_URL;
-        const overseerrApi = userConfig ? userConfig.overseerrApi : process.env.OVERSEERR_API;
+// The token from the route, or the default config for the unconfigured routes
+function getConfigToken(req) {
+    return req.params.config || DEFAULT_CONFIG_TOKEN;
+}
 
-        if (!overseerrUrl || !overseerrApi) {
-            console.error(`[OVERSEERR] Missing Overseerr configuration`);
-            return { success: false, error: "Missing Overseerr configuration" };
-        }
+// ─── Media Status Helpers ────────────
+// Backends report status as { status, seasons: { [n]: status }, seasonNumbers } using MEDIA_STATUS
+function getSeasonStatus(mediaStatus, seasonNumber) {
+    return mediaStatus.seasons[seasonNumber] || MEDIA_STATUS.UNKNOWN;
+}
 
-        // Normalize URL - remove trailing slashes
-        const normalizedUrl = overseerrUrl.replace(/\/$/, '');
-        
-        console.log(`[OVERSEERR] Sending to: ${normalizedUrl}/api/v1/request`);
-        console.log(`[OVERSEERR] Request body:`, JSON.stringify(requestBody));
-
-        const response = await fetch(
-            `${normalizedUrl}/api/v1/request`,
-            {
-                method: 'POST',
-                headers: {
-                    'X-Api-Key': overseerrApi,
-                    'Content-Type': 'application/json',
-                    'User-Agent': 'Stremio-Overseerr-Addon/1.0.0'
-                },
-                body: JSON.stringify(requestBody)
-            }
-        );
-
-        console.log(`[OVERSEERR] Response status: ${response.status} ${response.statusText}`);
-
-        if (response.ok) {
-            const data = await response.json();
-            console.log(`[OVERSEERR] ✅ SUCCESS: "${mediaName}" - Request ID: ${data.id}`);
-            return { 
-                success: true, 
-                requestId: data.id, 
-                data: data,
-                message: `Request submitted successfully (ID: ${data.id})`
-            };
+// Format [1, 2, 3, 5] as "1–3, 5"
+function formatSeasonRanges(seasonNumbers) {
+    const ranges = [];
+    for (const n of seasonNumbers) {
+        const last = ranges[ranges.length - 1];
+        if (last && n === last[1] + 1) {
+            last[1] = n;
         } else {
-            const errorText = await response.text();
-            console.error(`[OVERSEERR] ❌ FAILED: "${mediaName}" - Status: ${response.status}, Error: ${errorText}`);
-            return { 
-                success: false, 
-                error: errorText,
-                status: response.status,
-                statusText: response.statusText,
-                message: `Request failed: ${response.status} ${response.statusText}`
-            };
+            ranges.push([n, n]);
         }
-    } catch (error) {
-        console.error(`[OVERSEERR] ❌ NETWORK ERROR: "${mediaName}" - ${error.message}`);
-        return { 
-            success: false, 
-            error: error.message,
-            code: error.code,
-            message: `Network error: ${error.message}`
-        };
     }
+    return ranges.map(([start, end]) => start === end ? `${start}` : `${start}–${end}`).join(', ');
+}
+
+// Short "Seasons 1–2 available" style note describing the rest of the series
+function describeSeriesStatus(mediaStatus, excludeSeason = null, locale = 'en') {
+    const available = [];
+    const requested = [];
+
+    for (const n of mediaStatus.seasonNumbers) {
+        if (n === excludeSeason) continue;
+        const seasonStatus = getSeasonStatus(mediaStatus, n);
+        if (seasonStatus === MEDIA_STATUS.AVAILABLE) {
+            available.push(n);
+        } else if (seasonStatus === MEDIA_STATUS.PENDING || seasonStatus === MEDIA_STATUS.PROCESSING || seasonStatus === MEDIA_STATUS.PARTIALLY_AVAILABLE) {
+            requested.push(n);
+        }
+    }
+
+    const parts = [];
+    if (available.length) {
+        parts.push(tn(locale, 'series.available', available.length, { seasons: formatSeasonRanges(available) }));
+    }
+    if (requested.length) {
+        parts.push(tn(locale, 'series.requested', requested.length, { seasons: formatSeasonRanges(requested) }));
+    }
+    return parts.join('; ');
+}
+
+// Regular seasons that are neither available nor requested
+function getMissingSeasons(mediaStatus) {
+    return mediaStatus.seasonNumbers.filter(n => !isKnownStatus(getSeasonStatus(mediaStatus, n)));
+}
+
+// ─── Stream Presentation ───────────────────
+// Each config can pick which request options series get and in which order, a title
+// template and the name shown in Stremio's stream column. Movies always get their one
+// request option; status entries aren't options and always come first.
+const REQUEST_STREAM_OPTIONS = ['season', 'series', 'from', 'specials'];
+const DEFAULT_STREAM_NAME = 'Overseerr';
+const MAX_STREAM_NAME_LENGTH = 40;
+const MAX_STREAM_TEMPLATE_LENGTH = 200;
+
+// { locale, name, template, options, year } for a config. Unknown options are dropped;
+// configs without streamOptions get all of them in the default order.
+function getStreamDisplay(userConfig) {
+    const options = Array.isArray(userConfig?.streamOptions)
+        ? [...new Set(userConfig.streamOptions)].filter(option => REQUEST_STREAM_OPTIONS.includes(option))
+        : REQUEST_STREAM_OPTIONS;
+    const name = typeof userConfig?.addonName === 'string' ? userConfig.addonName.trim().slice(0, MAX_STREAM_NAME_LENGTH) : '';
+    const template = typeof userConfig?.streamTemplate === 'string' ? userConfig.streamTemplate.trim().slice(0, MAX_STREAM_TEMPLATE_LENGTH) : '';
+
+    return {
+        locale: getConfigLocale(userConfig),
+        name: name || DEFAULT_STREAM_NAME,
+        template: template,
+        options: options,
+        year: null
+    };
+}
+
+// Short "Season 4" / "Complete series" label of what a request stream asks for
+function describeRequestOption(type, season, requestType, seasonList, is4k, locale) {
+    let label;
+    if (type === 'movie') {
+        label = t(locale, 'request.movie');
+    } else if (requestType === 'missing') {
+        label = tn(locale, 'seasons', seasonList.length, { seasons: formatSeasonRanges(seasonList) });
+    } else if (requestType === 'from') {
+        label = t(locale, 'request.from', { season });
+    } else if (requestType === 'specials') {
+        label = t(locale, 'request.specials');
+    } else if (season && requestType !== 'series') {
+        label = tn(locale, 'seasons', 1, { seasons: season });
+    } else {
+        label = t(locale, 'request.series');
+    }
+    return is4k ? t(locale, 'stream.in4k', { request: label }) : label;
+}
+
+// Fills {title}, {season}, {year}, {status} and {request}. Placeholders without a value
+// come out empty, and so do brackets left with nothing inside.
+function renderStreamTitle(template, values) {
+    return template
+        .replace(/\{(\w+)\}/g, (placeholder, name) => name in values ? String(values[name] ?? '') : placeholder)
+        .replace(/\(\s*\)|\[\s*\]/g, '')
+        .replace(/[ \t]{2,}/g, ' ')
+        .trim();
+}
+
+// Request streams in the config's order, without disabled or unavailable options
+function orderRequestStreams(requestStreams, options) {
+    return options.map(option => requestStreams[option]).filter(Boolean);
 }
 
 // ─── STREAM FORMAT USING YOUR WAIT.MP4 ──────────────────
-function createStreamObject(title, type, tmdbId, season = null, episode = null, config = '', requestType = 'auto') {
-    // Use YOUR wait.mp4 from the CDN
-    const waitVideoUrl = "https://cdn.jsdelivr.net/gh/ericvlog/stremio-overseerr-addon@main/public/wait.mp4";
+// Options: { title, type, tmdbId, season, episode, config, requestType, note, is4k, seasonList, display }.
+// requestType is 'movie', 'season', 'series', 'missing' (seasonList), 'from' (season and later) or 'specials'.
+// `display` comes from getStreamDisplay (plus the title's year); the default route leaves it out.
+function createStreamObject(options) {
+    const {
+        title, type, tmdbId, season = null, episode = null, config = '', requestType = 'auto',
+        note = '', is4k = false, seasonList = [], display = {}
+    } = options;
+    const { locale = 'en', name = DEFAULT_STREAM_NAME, template = '' } = display;
 
     let streamTitle;
-    if (type === 'movie') {
-        streamTitle = `🎬 Request Movie: "${title}"`;
+    if (template) {
+        streamTitle = renderStreamTitle(template, {
+            title: title,
+            season: requestType === 'missing' ? formatSeasonRanges(seasonList) : requestType === 'specials' ? '' : season,
+            year: display.year,
+            status: note,
+            request: describeRequestOption(type, season, requestType, seasonList, is4k, locale)
+        });
+    } else if (type === 'movie') {
+        streamTitle = t(locale, 'stream.movie', { title });
+    } else if (requestType === 'missing') {
+        streamTitle = tn(locale, 'stream.missing', seasonList.length, { seasons: formatSeasonRanges(seasonList), title });
+    } else if (requestType === 'from') {
+        streamTitle = t(locale, 'stream.from', { season, title });
+    } else if (requestType === 'specials') {
+        streamTitle = t(locale, 'stream.specials', { title });
     } else if (season && episode) {
         if (requestType === 'season') {
-            streamTitle = `📺 Request Season ${season} of "${title}"`;
+            streamTitle = t(locale, 'stream.season', { season, title });
         } else if (requestType === 'series') {
-            streamTitle = `🏠 Request Complete Series: "${title}" (All Seasons)`;
+            streamTitle = t(locale, 'stream.series', { title });
         } else {
-            streamTitle = `📺 Request S${season}E${episode} of "${title}"`;
+            streamTitle = t(locale, 'stream.episode', { season, episode, title });
         }
     } else if (season) {
-        streamTitle = `📺 Request Season ${season} of "${title}"`;
+        streamTitle = t(locale, 'stream.season', { season, title });
     } else {
-        streamTitle = `🏠 Request Complete Series: "${title}" (All Seasons)`;
+        streamTitle = t(locale, 'stream.series', { title });
+    }
+
+    if (is4k && !template) {
+        streamTitle = type === 'movie'
+            ? t(locale, 'stream.movie4k', { title })
+            : t(locale, 'stream.in4k', { request: streamTitle });
+    }
+
+    if (note && !template) {
+        streamTitle += ` (${note})`;
     }
 
     const params = new URLSearchParams({
@@ -202,455 +375,1912 @@ function createStreamObject(title, type, tmdbId, season = null, episode = null,
         episode: episode || '',
         requestType: requestType
     });
+    if (is4k) {
+        params.set('is4k', '1');
+    }
 
     // Point to our proxy endpoint that will handle the request
     const finalVideoUrl = `${SERVER_URL}/proxy-wait?${params.toString()}`;
 
     return {
-        name: "Overseerr",
+        name: name,
         title: streamTitle,
         url: finalVideoUrl,
+        // Subtitle track that spells out what happened to the request
+        subtitles: [{
+            id: `overseerr-outcome-${type}-${tmdbId}`,
+            url: `${SERVER_URL}/request-status.vtt?${params.toString()}`,
+            lang: 'eng'
+        }],
         behaviorHints: {
             notWebReady: false,
-            bingeGroup: `overseerr-${type}-${tmdbId}-${requestType}`
+            bingeGroup: `overseerr-${type}-${tmdbId}-${requestType}${is4k ? '-4k' : ''}`
         }
     };
 }
 
-// ─── Configured Manifest ───────────────────
-app.get("/configured/:config/manifest.json", (req, res) => {
-    const { config } = req.params;
-    console.log(`[MANIFEST] Configured manifest requested`);
-
-    res.setHeader('Content-Type', 'application/json');
-    res.setHeader('Access-Control-Allow-Origin', '*');
+// ─── STATUS STREAMS (NO REQUEST) ──────────────────
+const STATUS_LABELS = {
+    [MEDIA_STATUS.PENDING]: { icon: '⏳', key: 'status.pending' },
+    [MEDIA_STATUS.PROCESSING]: { icon: '⚙️', key: 'status.processing' },
+    [MEDIA_STATUS.PARTIALLY_AVAILABLE]: { icon: '🟡', key: 'status.partiallyAvailable' },
+    [MEDIA_STATUS.AVAILABLE]: { icon: '✅', key: 'status.available' },
+    [MEDIA_STATUS.BLACKLISTED]: { icon: '🚫', key: 'status.blacklisted' }
+};
+
+function isKnownStatus(status) {
+    return !!STATUS_LABELS[status];
+}
 
-    res.json({
-        id: "org.stremio.overseerr.configured",
-        version: "1.0.0",
-        name: "Overseerr Requests",
-        description: "Request movies and shows through Overseerr",
-        resources: ["stream"],
-        types: ["movie", "series"],
-        catalogs: [],
-        idPrefixes: ["tt"]
-    });
-});
+// "✅ Available" style label for a known status
+function getStatusLabel(status, locale) {
+    const label = STATUS_LABELS[status];
+    return `${label.icon} ${t(locale, label.key)}`;
+}
 
-// ─── Configured Stream Endpoint ───
-app.get("/configured/:config/stream/:type/:id.json", async (req, res) => {
-    const { config, type, id } = req.params;
-    console.log(`[STREAM] Configured stream requested for ${type} ID: ${id}`);
+// Informational entry that links to the title in the backend instead of submitting anything
+function createStatusStreamObject(title, type, tmdbId, status, season = null, backend = null, note = '', display = {}) {
+    const { locale = 'en', name = DEFAULT_STREAM_NAME } = display;
+    let subject = t(locale, 'status.subject', { title });
+    if (season === 0) {
+        subject = t(locale, 'status.subjectSpecials', { title });
+    } else if (season !== null) {
+        subject = t(locale, 'status.subjectSeason', { season, title });
+    }
 
-    res.setHeader('Content-Type', 'application/json');
-    res.setHeader('Access-Control-Allow-Origin', '*');
+    let streamTitle = `${getStatusLabel(status, locale)}: ${subject}`;
+    if (note) {
+        streamTitle += ` (${note})`;
+    }
 
-    try {
-        const userConfig = decodeConfig(config);
-        if (!userConfig) {
-            console.log(`[STREAM] Invalid configuration`);
-            return res.json({ streams: [] });
+    return {
+        name: name,
+        title: streamTitle,
+        externalUrl: backend ? backend.getWebUrl(type, tmdbId) : undefined,
+        behaviorHints: {
+            notWebReady: true,
+            bingeGroup: `overseerr-${type}-${tmdbId}-status`
         }
+    };
+}
 
-        const parsedId = parseStremioId(id, type);
-        if (!parsedId) {
-            console.log(`[STREAM] Unsupported ID format`);
-            return res.json({ streams: [] });
-        }
+// ─── Build Status-Aware Streams ───────────────────
+// Without a status lookup (mediaStatus === null) every request option is offered.
 
-        let tmdbId;
-        let title = `ID: ${id}`;
-        let season = parsedId.season;
-        let episode = parsedId.episode;
+// Whole-series option: all seasons while nothing is known about them, otherwise only
+// the missing ones. Null when every season is already available or requested.
+function createSeriesRequestStream(title, tmdbId, config, mediaStatus, is4k, display) {
+    const note = mediaStatus ? describeSeriesStatus(mediaStatus, null, display.locale) : '';
+    if (!mediaStatus || !mediaStatus.seasonNumbers.length) {
+        return createStreamObject({ title, type: 'series', tmdbId, config, requestType: 'series', note, is4k, display });
+    }
 
-        // Convert IMDb to TMDB if needed
-        if (parsedId.imdbId) {
-            const tmdbResponse = await fetch(
-                `https://api.themoviedb.org/3/find/${parsedId.imdbId}?api_key=${userConfig.tmdbKey}&external_source=imdb_id`
-            );
+    const missingSeasons = getMissingSeasons(mediaStatus);
+    if (!missingSeasons.length) {
+        return null;
+    }
+    if (missingSeasons.length === mediaStatus.seasonNumbers.length) {
+        return createStreamObject({ title, type: 'series', tmdbId, config, requestType: 'series', note, is4k, display });
+    }
+    return createStreamObject({ title, type: 'series', tmdbId, config, requestType: 'missing', note, is4k, seasonList: missingSeasons, display });
+}
 
-            if (tmdbResponse.ok) {
-                const tmdbData = await tmdbResponse.json();
-                const result = type === 'movie' ? tmdbData.movie_results?.[0] : tmdbData.tv_results?.[0];
+// Specials (season 0) are only offered when the series has them and they aren't requested yet
+function createSpecialsRequestStream(title, tmdbId, config, mediaStatus, is4k, display) {
+    if (!mediaStatus?.hasSpecials || isKnownStatus(getSeasonStatus(mediaStatus, 0))) {
+        return null;
+    }
+    return createStreamObject({ title, type: 'series', tmdbId, config, requestType: 'specials', is4k, display });
+}
 
-                if (result) {
-                    tmdbId = result.id;
-                    title = result.title || result.name;
-                    console.log(`[STREAM] Converted IMDb ${parsedId.imdbId} to TMDB ${tmdbId} - "${title}"`);
-                } else {
-                    console.log(`[STREAM] No TMDB result for IMDb: ${parsedId.imdbId}`);
-                    return res.json({ streams: [] });
-                }
-            } else {
-                console.log(`[STREAM] TMDB lookup failed for IMDb: ${parsedId.imdbId}`);
-                return res.json({ streams: [] });
-            }
-        } else if (parsedId.tmdbId) {
-            tmdbId = parsedId.tmdbId;
-            
-            // Get title from TMDB for better display
-            const mediaType = type === 'movie' ? 'movie' : 'tv';
-            const tmdbResponse = await fetch(
-                `https://api.themoviedb.org/3/${mediaType}/${tmdbId}?api_key=${userConfig.tmdbKey}`
-            );
-            
-            if (tmdbResponse.ok) {
-                const tmdbData = await tmdbResponse.json();
-                title = tmdbData.title || tmdbData.name || title;
-            }
-        }
+function buildStreamsForQuality(title, type, tmdbId, season, episode, config, mediaStatus, backend, is4k, display) {
+    const streams = [];
+    const requestStreams = {};
 
-        if (!tmdbId) {
-            console.log(`[STREAM] No TMDB ID found`);
-            return res.json({ streams: [] });
+    if (type === 'movie') {
+        if (mediaStatus && isKnownStatus(mediaStatus.status)) {
+            streams.push(createStatusStreamObject(title, 'movie', tmdbId, mediaStatus.status, null, backend, '', display));
+        } else {
+            streams.push(createStreamObject({ title, type: 'movie', tmdbId, config, requestType: 'movie', is4k, display }));
         }
+        return streams;
+    }
 
-        // Build streams array with your original wait.mp4
-        let streams = [];
+    if (type !== 'series') {
+        return streams;
+    }
 
-        if (type === 'movie') {
-            // Movies: Single stream
-            streams.push(createStreamObject(title, 'movie', tmdbId, null, null, config, 'movie'));
-        } else if (type === 'series') {
-            if (season !== null && episode !== null) {
-                // ✅ For specific episodes, show TWO streams
-                // Stream 1: Request this specific season
-                streams.push(createStreamObject(title, 'series', tmdbId, season, null, config, 'season'));
-                // Stream 2: Request entire series
-                streams.push(createStreamObject(title, 'series', tmdbId, null, null, config, 'series'));
-            } else if (season !== null) {
-                // For season-only IDs: Single stream for that season
-                streams.push(createStreamObject(title, 'series', tmdbId, season, null, config, 'season'));
-            } else {
-                // For series-only IDs: Single stream for entire series
-                streams.push(createStreamObject(title, 'series', tmdbId, null, null, config, 'series'));
-            }
+    if (season === 0) {
+        const specialsStatus = mediaStatus ? getSeasonStatus(mediaStatus, 0) : MEDIA_STATUS.UNKNOWN;
+        if (isKnownStatus(specialsStatus)) {
+            streams.push(createStatusStreamObject(title, 'series', tmdbId, specialsStatus, 0, backend, '', display));
+        } else {
+            requestStreams.specials = createStreamObject({ title, type: 'series', tmdbId, config, requestType: 'specials', is4k, display });
         }
+        return [...streams, ...orderRequestStreams(requestStreams, display.options)];
+    }
 
-        console.log(`[STREAM] Returning ${streams.length} stream(s) for: "${title}"`);
+    // null when the backend doesn't know the season list (lookup failed or not added yet)
+    const missingSeasons = mediaStatus && mediaStatus.seasonNumbers.length ? getMissingSeasons(mediaStatus) : null;
 
-        res.json({ streams: streams });
+    if (season !== null) {
+        const seasonStatus = mediaStatus ? getSeasonStatus(mediaStatus, season) : MEDIA_STATUS.UNKNOWN;
 
-    } catch (error) {
-        console.error('[STREAM] Error:', error.message);
-        res.json({ streams: [] });
-    }
-});
+        if (isKnownStatus(seasonStatus)) {
+            streams.push(createStatusStreamObject(title, 'series', tmdbId, seasonStatus, season, backend, '', display));
+        } else {
+            const note = mediaStatus ? describeSeriesStatus(mediaStatus, season, display.locale) : '';
+            requestStreams.season = createStreamObject({ title, type: 'series', tmdbId, season, config, requestType: 'season', note, is4k, display });
+        }
 
-// ─── Default Manifest ───────────────
-app.get("/manifest.json", (req, res) => {
-    console.log(`[MANIFEST] Default manifest requested`);
+        // For specific episodes also offer the rest of the series, unless nothing else is left to request
+        if (episode !== null) {
+            if (!missingSeasons || missingSeasons.some(n => n !== season)) {
+                requestStreams.series = createSeriesRequestStream(title, tmdbId, config, mediaStatus, is4k, display);
+            }
 
-    res.setHeader('Content-Type', 'application/json');
-    res.setHeader('Access-Control-Allow-Origin', '*');
+            // "Season N and later" when it differs from both the single season and all missing seasons
+            const laterSeasons = missingSeasons ? missingSeasons.filter(n => n >= season) : [];
+            if (laterSeasons.length > 1 && laterSeasons.length < missingSeasons.length) {
+                requestStreams.from = createStreamObject({ title, type: 'series', tmdbId, season: laterSeasons[0], config, requestType: 'from', is4k, display });
+            }
 
-    res.json({
-        id: "org.stremio.overseerr",
-        version: "1.0.0",
-        name: "Overseerr Requests",
-        description: "Request movies and shows through Overseerr - configure your instance",
-        resources: ["stream"],
-        types: ["movie", "series"],
-        catalogs: [],
-        idPrefixes: ["tt"]
-    });
-});
+            requestStreams.specials = createSpecialsRequestStream(title, tmdbId, config, mediaStatus, is4k, display);
+        }
+        return [...streams, ...orderRequestStreams(requestStreams, display.options)];
+    }
 
-// ─── Default Stream Endpoint ───────
-app.get("/stream/:type/:id.json", async (req, res) => {
-    const { type, id } = req.params;
-    console.log(`[STREAM] Default stream requested for ${type} ID: ${id}`);
+    requestStreams.series = createSeriesRequestStream(title, tmdbId, config, mediaStatus, is4k, display);
+    if (!requestStreams.series && isKnownStatus(mediaStatus.status)) {
+        streams.push(createStatusStreamObject(title, 'series', tmdbId, mediaStatus.status, null, backend, describeSeriesStatus(mediaStatus, null, display.locale), display));
+    }
+    requestStreams.specials = createSpecialsRequestStream(title, tmdbId, config, mediaStatus, is4k, display);
+    return [...streams, ...orderRequestStreams(requestStreams, display.options)];
+}
 
-    res.setHeader('Content-Type', 'application/json');
-    res.setHeader('Access-Control-Allow-Origin', '*');
+// 4K request streams go next to the standard ones when enabled in the config.
+// 4K status entries are left out to keep the list short.
+function buildStreams(title, type, tmdbId, season, episode, config, mediaStatus, backend, options = {}) {
+    const display = options.display || getStreamDisplay(null);
+    const streams = buildStreamsForQuality(title, type, tmdbId, season, episode, config, mediaStatus, backend, false, display);
 
-    try {
-        const parsedId = parseStremioId(id, type);
-        if (!parsedId) {
-            return res.json({ streams: [] });
-        }
+    if (options.request4k && backend?.supports4k) {
+        const fourKStatus = mediaStatus ? mediaStatus.fourK || null : null;
+        const fourKStreams = buildStreamsForQuality(title, type, tmdbId, season, episode, config, fourKStatus, backend, true, display);
+        streams.push(...fourKStreams.filter(stream => stream.url));
+    }
+    return streams;
+}
 
-        let tmdbId;
-        let title = `ID: ${id}`;
+// ─── Request Limits In Streams ───────────────────
+// { unit, period } labels for a quota status from getQuotaStatus
+function getQuotaLabels(quota, locale) {
+    return {
+        unit: t(locale, `quota.unit.${quota.field}`),
+        period: t(locale, `quota.period.${quota.period}`)
+    };
+}
 
-        // Convert IMDb to TMDB if needed
-        if (parsedId.imdbId && process.env.TMDB_API_KEY) {
-            const tmdbResponse = await fetch(
-                `https://api.themoviedb.org/3/find/${parsedId.imdbId}?api_key=${process.env.TMDB_API_KEY}&external_source=imdb_id`
-            );
+// On a restricted profile request streams turn into PIN entries (or are left out when
+// no PIN is set). With a quota the titles show what's left, and once it's used up a
+// single notice replaces them.
+async function applyRequestLimits(streams, userConfig, config, type, display) {
+    const { locale, name } = display;
+    const isRequestStream = stream => !!stream.url;
+    const restriction = getRestriction(userConfig, type);
+    if (restriction === 'blocked') {
+        return streams.filter(stream => !isRequestStream(stream));
+    }
 
-            if (tmdbResponse.ok) {
-                const tmdbData = await tmdbResponse.json();
-                const result = type === 'movie' ? tmdbData.movie_results?.[0] : tmdbData.tv_results?.[0];
-                if (result) {
-                    tmdbId = result.id;
-                    title = result.title || result.name;
-                }
-            }
-        } else if (parsedId.tmdbId) {
-            tmdbId = parsedId.tmdbId;
+    const quota = await getQuotaStatus(userConfig, type);
+    const quotaLabels = quota ? getQuotaLabels(quota, locale) : null;
+    if (quota && quota.left === 0) {
+        const statusStreams = streams.filter(stream => !isRequestStream(stream));
+        if (statusStreams.length === streams.length) {
+            return streams;
         }
+        return [...statusStreams, {
+            name: name,
+            title: t(locale, 'stream.quotaExhausted', { ...quotaLabels, used: quota.used, limit: quota.limit }),
+            externalUrl: isHistoryVisible(config) ? `${SERVER_URL}/configured/${config}/history` : undefined,
+            behaviorHints: {
+                notWebReady: true,
+                bingeGroup: `overseerr-${type}-quota`
+            }
+        }];
+    }
 
-        if (!tmdbId) {
-            return res.json({ streams: [] });
+    return streams.map(stream => {
+        if (!isRequestStream(stream)) {
+            return stream;
         }
 
-        let streams = [];
+        const quotaLine = quota ? `\n${t(locale, 'stream.quotaLeft', { ...quotaLabels, left: quota.left, limit: quota.limit })}` : '';
+        if (restriction !== 'pin') {
+            return { ...stream, title: stream.title + quotaLine };
+        }
 
-        if (type === 'movie') {
-            streams.push(createStreamObject(title, 'movie', tmdbId));
-        } else if (type === 'series') {
-            if (parsedId.season !== null) {
-                streams.push(createStreamObject(title, 'series', tmdbId, parsedId.season, parsedId.episode));
-            } else {
-                streams.push(createStreamObject(title, 'series', tmdbId, null, null, '', 'series'));
+        // Same parameters as the request itself; the config comes from the confirm URL
+        const params = new URL(stream.url).searchParams;
+        params.delete('config');
+        return {
+            name: stream.name,
+            title: `🔒 ${stream.title.replace(/^\p{Extended_Pictographic}\S*\s/u, '')} ${t(locale, 'stream.pinRequired')}${quotaLine}`,
+            externalUrl: `${SERVER_URL}/configured/${config}/confirm?${params.toString()}`,
+            behaviorHints: {
+                notWebReady: true,
+                bingeGroup: stream.behaviorHints.bingeGroup
             }
-        }
+        };
+    });
+}
 
-        console.log(`[STREAM] Returning ${streams.length} stream(s) for default addon`);
-        res.json({ streams: streams });
+// ─── Overseerr / TMDB Helpers For Catalogs ───────────────────
+const TMDB_IMAGE_BASE = 'https://image.tmdb.org/t/p';
+
+async function fetchOverseerrJson(path, userConfig) {
+    const normalizedUrl = userConfig.overseerrUrl.replace(/\/$/, '');
+    const response = await fetch(`${normalizedUrl}/api/v1${path}`, {
+        headers: getOverseerrHeaders(userConfig)
+    });
 
+    if (!response.ok) {
+        throw new Error(`Overseerr HTTP ${response.status} for ${path}`);
+    }
+    return response.json();
+}
+
+// TMDB details including the IMDb id (movies carry imdb_id, TV needs external_ids).
+// `language` is the config's TMDB language (getTmdbLanguage), null for TMDB's default.
+async function fetchTmdbDetails(tmdbId, mediaType, tmdbKey, language = null) {
+    try {
+        return await getDetails(tmdbKey, mediaType, tmdbId, language);
     } catch (error) {
-        console.error('[STREAM] Error:', error.message);
-        res.json({ streams: [] });
+        tmdbLog.warn(`Details lookup failed (${error.message}) for ${mediaType} ${tmdbId}`);
+        return null;
     }
-});
+}
 
-// ─── PROXY WAIT ENDPOINT (FIXED SERIES REQUESTS) ───
-app.get("/proxy-wait", async (req, res) => {
-    console.log(`[PROXY] Proxy wait video requested`);
-    console.log('[PROXY] query:', req.query);
+// Prefer IMDb ids so other stream addons still resolve; fall back to tmdb:<type>:<id>
+function getStremioIdForTmdb(details, mediaType) {
+    const imdbId = details.imdb_id || details.external_ids?.imdb_id;
+    return imdbId || `tmdb:${mediaType}:${details.id}`;
+}
 
-    const { config, type, tmdbId, title, season, episode, requestType } = req.query;
+function toMetaPreview(details, type, description = null) {
+    const mediaType = type === 'movie' ? 'movie' : 'tv';
+    const releaseDate = details.release_date || details.first_air_date || '';
 
-    // ✅ FIXED: Only trigger Overseerr on INITIAL request (not range requests)
-    const isInitialRequest = !req.headers.range || req.headers.range.startsWith('bytes=0-');
-    
-    if (isInitialRequest && config && type && tmdbId && title) {
-        const userConfig = decodeConfig(config);
-        if (userConfig) {
-            // Create request key that includes the request type
-            const requestKey = `req-${userConfig.overseerrUrl}-${userConfig.overseerrApi}-${type}-${tmdbId}-${season || ''}-${episode || ''}-${requestType || 'auto'}`;
-            
-            // Check if this request was already made (5-minute cooldown)
-            const now = Date.now();
-            const lastRequest = pendingRequests.get(requestKey);
-            const FIVE_MINUTES = 5 * 60 * 1000;
-            
-            if (!lastRequest || (now - lastRequest) > FIVE_MINUTES) {
-                console.log(`[OVERSEERR] 🚀 Making request for: "${title}" (Type: ${requestType || 'auto'})`);
-                
-                // Store the request timestamp
-                pendingRequests.set(requestKey, now);
-                
-                // Make the Overseerr request in background
-                (async () => {
-                    try {
-                        const seasonNum = season ? parseInt(season) : null;
-                        
-                        // ✅ FIXED: Determine request type for series
-                        let finalRequestType;
-                        if (type === 'movie') {
-                            finalRequestType = 'movie';
-                        } else if (type === 'series') {
-                            if (requestType === 'series') {
-                                finalRequestType = 'series'; // Entire series
-                            } else if (requestType === 'season' && seasonNum !== null) {
-                                finalRequestType = 'season'; // Specific season
-                            } else if (seasonNum !== null) {
-                                finalRequestType = 'season'; // Default to season if season specified
-                            } else {
-                                finalRequestType = 'series'; // Default to series if no season
-                            }
-                        }
-                        
-                        console.log(`[OVERSEERR] 📡 Calling API for: "${title}" - Request Type: ${finalRequestType}, Season: ${seasonNum}`);
-                        const result = await makeOverseerrRequest(tmdbId, type, title, seasonNum, finalRequestType, userConfig);
-                        
-                        if (result.success) {
-                            console.log(`[OVERSEERR] ✅ SUCCESS: "${title}" - Request ID: ${result.requestId}`);
-                        } else {
-                            console.error(`[OVERSEERR] ❌ FAILED: "${title}" - ${result.error}`);
-                        }
-                    } catch (err) {
-                        console.error(`[OVERSEERR] ❌ ERROR: "${title}" - ${err.message}`);
-                    }
-                })();
-            } else {
-                const timeSince = (now - lastRequest) / 1000;
-                console.log(`[OVERSEERR] ⏩ SKIPPING: "${title}" - Request made ${Math.floor(timeSince)}s ago`);
-            }
+    return {
+        id: getStremioIdForTmdb(details, mediaType),
+        type: type,
+        name: details.title || details.name,
+        poster: details.poster_path ? `${TMDB_IMAGE_BASE}/w500${details.poster_path}` : undefined,
+        background: details.backdrop_path ? `${TMDB_IMAGE_BASE}/original${details.backdrop_path}` : undefined,
+        description: description || details.overview || '',
+        releaseInfo: releaseDate.slice(0, 4)
+    };
+}
+
+// ─── Request Queue Catalogs ───────────────────
+const CATALOG_PAGE_SIZE = 20;
+
+// `mine` catalogs only show the configured user's requests (the API key owner's without a user)
+const REQUEST_CATALOGS = [
+    { id: 'overseerr-pending', name: 'catalog.pending', filter: 'pending', sort: 'added', mine: true },
+    { id: 'overseerr-processing', name: 'catalog.processing', filter: 'processing', sort: 'modified' },
+    { id: 'overseerr-available', name: 'catalog.available', filter: 'available', sort: 'modified' }
+];
+
+function getRequestCatalogManifest(locale) {
+    const catalogs = [];
+    for (const catalog of REQUEST_CATALOGS) {
+        for (const type of ['movie', 'series']) {
+            catalogs.push({
+                type: type,
+                id: catalog.id,
+                name: t(locale, catalog.name),
+                extra: [{ name: 'skip', isRequired: false }]
+            });
         }
-    } else if (!isInitialRequest) {
-        console.log(`[PROXY] Range request - skipping Overseerr trigger`);
     }
+    return catalogs;
+}
 
-    // ✅ Proxy your wait.mp4 directly
-    const waitUrl = "https://cdn.jsdelivr.net/gh/ericvlog/stremio-overseerr-addon@main/public/wait.mp4";
-    
-    try {
-        res.setHeader('Access-Control-Allow-Origin', '*');
-        res.setHeader('Content-Type', 'video/mp4');
+function describeRequest(request, locale) {
+    const requestedBy = request.requestedBy?.displayName || request.requestedBy?.email;
+    const requestedAt = request.createdAt ? new Date(request.createdAt).toLocaleDateString(locale) : null;
+    const seasons = (request.seasons || []).map(s => s.seasonNumber).filter(n => n > 0);
 
-        // Forward range headers if present
-        const headers = {};
-        if (req.headers.range) {
-            headers['Range'] = req.headers.range;
-        }
+    const parts = [];
+    if (seasons.length) {
+        parts.push(tn(locale, 'seasons', seasons.length, { seasons: formatSeasonRanges(seasons) }));
+    }
+    if (requestedBy) {
+        parts.push(t(locale, 'catalog.requestedBy', { user: requestedBy }));
+    }
+    if (requestedAt) {
+        parts.push(t(locale, 'catalog.requestedOn', { date: requestedAt }));
+    }
+    if (!parts.length) return '';
 
-        const response = await fetch(waitUrl, { headers });
-        
-        // Copy headers from the CDN response
-        if (response.headers.get('content-type')) {
-            res.setHeader('Content-Type', response.headers.get('content-type'));
-        }
-        if (response.headers.get('content-length')) {
-            res.setHeader('Content-Length', response.headers.get('content-length'));
-        }
-        if (response.headers.get('accept-ranges')) {
-            res.setHeader('Accept-Ranges', response.headers.get('accept-ranges'));
-        }
-        if (response.headers.get('content-range')) {
-            res.setHeader('Content-Range', response.headers.get('content-range'));
-        }
+    const text = `${parts.join(' ')}.`;
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
 
-        // Set the same status code
-        res.status(response.status);
+// Without a chosen user, "my" requests are the ones made by the owner of the API key.
+// The owner is looked up once per instance and API key (by hash), not on every page.
+const API_KEY_OWNER_TTL_MS = 60 * 60 * 1000;
+const apiKeyOwners = new Map();
 
-        // Stream the video directly to the client
-        if (response.body) {
-            response.body.pipe(res);
-        } else {
-            const buffer = await response.buffer();
-            res.send(buffer);
-        }
+async function getRequestCatalogUserId(userConfig) {
+    const userId = parseInt(userConfig.overseerrUserId);
+    if (userId) return userId;
 
-        console.log(`[PROXY] ✅ Streaming your wait.mp4 for: "${title || 'unknown'}"`);
+    const scope = crypto.createHash('sha256').update(createBackend(userConfig).key).digest('hex').slice(0, 16);
+    const cached = apiKeyOwners.get(scope);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.id;
+    }
 
-    } catch (error) {
-        console.error('[PROXY] Error:', error.message);
-        // Fallback to redirect if proxy fails
-        res.redirect(waitUrl);
+    const me = await fetchOverseerrJson('/auth/me', userConfig);
+    if (!me?.id) {
+        throw new Error('Could not determine the owner of the API key');
     }
-});
+    apiKeyOwners.set(scope, { id: me.id, expiresAt: Date.now() + API_KEY_OWNER_TTL_MS });
+    return me.id;
+}
 
-// ─── Cleanup Endpoint ───
-app.get("/cleanup", (req, res) => {
-    const beforeCount = pendingRequests.size;
-    
-    // Clean up old requests (older than 1 hour)
-    const oneHourAgo = Date.now() - (60 * 60 * 1000);
-    for (const [key, timestamp] of pendingRequests.entries()) {
-        if (timestamp < oneHourAgo) {
-            pendingRequests.delete(key);
+// Older Overseerr versions ignore mediaType and return both types, so rows are filtered
+// here as well, and a title can have several requests (e.g. one per season), of which
+// only the first is kept. Stremio's skip counts the titles it has already shown, which
+// then no longer matches Overseerr's offset, so this pages from the start until a full
+// page of new titles is collected (or Overseerr runs out of requests).
+const REQUEST_SCAN_PAGE_SIZE = 100;
+const REQUEST_SCAN_MAX_PAGES = 10;
+
+async function fetchRequestPage(catalog, mediaType, skip, userConfig) {
+    const params = new URLSearchParams({
+        take: String(REQUEST_SCAN_PAGE_SIZE),
+        filter: catalog.filter,
+        sort: catalog.sort,
+        mediaType: mediaType
+    });
+    if (catalog.mine) {
+        params.set('requestedBy', String(await getRequestCatalogUserId(userConfig)));
+    }
+
+    const requests = [];
+    const seen = new Set();
+    for (let page = 0; page < REQUEST_SCAN_MAX_PAGES && requests.length < CATALOG_PAGE_SIZE; page++) {
+        params.set('skip', String(page * REQUEST_SCAN_PAGE_SIZE));
+        const data = await fetchOverseerrJson(`/request?${params.toString()}`, userConfig);
+        const results = data.results || [];
+
+        for (const request of results) {
+            const tmdbId = request.media?.tmdbId;
+            if ((request.type || request.media?.mediaType) !== mediaType || !tmdbId || seen.has(tmdbId)) continue;
+            seen.add(tmdbId);
+            if (seen.size > skip && requests.length < CATALOG_PAGE_SIZE) {
+                requests.push(request);
+            }
         }
+        if (results.length < REQUEST_SCAN_PAGE_SIZE) break;
     }
-    
-    const afterCount = pendingRequests.size;
-    const cleaned = beforeCount - afterCount;
-    
-    res.json({
+    return requests;
+}
+
+async function getRequestCatalog(catalog, type, skip, userConfig) {
+    const mediaType = type === 'movie' ? 'movie' : 'tv';
+    const locale = getConfigLocale(userConfig);
+    const requests = await fetchRequestPage(catalog, mediaType, skip, userConfig);
+
+    const metas = await Promise.all(requests.map(async (request) => {
+        const details = await fetchTmdbDetails(request.media.tmdbId, mediaType, userConfig.tmdbKey, getTmdbLanguage(userConfig));
+        if (!details?.id) return null;
+
+        const requestInfo = describeRequest(request, locale);
+        const description = [requestInfo, details.overview].filter(Boolean).join('\n\n');
+        return toMetaPreview(details, type, description);
+    }));
+
+    return metas.filter(Boolean);
+}
+
+// Stremio passes catalog extras as "skip=20&genre=Drama" in the last path segment
+function parseCatalogExtra(extra) {
+    const params = new URLSearchParams(extra || '');
+    return {
+        skip: parseInt(params.get('skip')) || 0,
+        genre: params.get('genre') || null,
+        search: params.get('search') || null
+    };
+}
+
+// ─── Discover Catalogs ───────────────────
+// TMDB genre ids, used to translate Stremio's genre names for Overseerr's genre filter
+const TMDB_GENRES = {
+    movie: {
+        'Action': 28, 'Adventure': 12, 'Animation': 16, 'Comedy': 35, 'Crime': 80,
+        'Documentary': 99, 'Drama': 18, 'Family': 10751, 'Fantasy': 14, 'History': 36,
+        'Horror': 27, 'Music': 10402, 'Mystery': 9648, 'Romance': 10749,
+        'Science Fiction': 878, 'Thriller': 53, 'War': 10752, 'Western': 37
+    },
+    tv: {
+        'Action & Adventure': 10759, 'Animation': 16, 'Comedy': 35, 'Crime': 80,
+        'Documentary': 99, 'Drama': 18, 'Family': 10751, 'Kids': 10762, 'Mystery': 9648,
+        'Reality': 10764, 'Sci-Fi & Fantasy': 10765, 'Soap': 10766, 'War & Politics': 10768,
+        'Western': 37
+    }
+};
+
+// Each slider maps a Stremio type to an Overseerr discover path. Trending uses TMDB's
+// typed trending lists because Overseerr's /discover/trending mixes movies and TV,
+// which breaks skip-based pagination. Names with a message key are translated,
+// network names are kept as they are.
+const DISCOVER_CATALOGS = [
+    { id: 'trending', name: 'Trending', nameKey: 'catalog.trending', tmdbTrending: true, types: ['movie', 'series'] },
+    { id: 'popular', name: 'Popular', nameKey: 'catalog.popular', paths: { movie: '/discover/movies', series: '/discover/tv' }, genres: true },
+    { id: 'upcoming', name: 'Upcoming', nameKey: 'catalog.upcoming', paths: { movie: '/discover/movies/upcoming', series: '/discover/tv/upcoming' } },
+    { id: 'netflix', name: 'Netflix', paths: { series: '/discover/tv/network/213' } },
+    { id: 'hbo', name: 'HBO', paths: { series: '/discover/tv/network/49' } },
+    { id: 'disney', name: 'Disney+', paths: { series: '/discover/tv/network/2739' } },
+    { id: 'appletv', name: 'Apple TV+', paths: { series: '/discover/tv/network/2552' } },
+    { id: 'prime', name: 'Prime Video', paths: { series: '/discover/tv/network/1024' } }
+];
+
+const DISCOVER_PAGE_SIZE = 20;
+
+function getDiscoverCatalogTypes(slider) {
+    return slider.types || Object.keys(slider.paths);
+}
+
+// Only keep slider ids we know about; older configs have no discover field at all.
+// Without an Overseerr-compatible backend only the TMDB-backed trending slider works.
+function getEnabledDiscoverCatalogs(userConfig) {
+    const enabled = Array.isArray(userConfig?.discover) ? userConfig.discover : [];
+    const hasOverseerrApi = !!userConfig && supportsOverseerrApi(userConfig);
+    return DISCOVER_CATALOGS.filter(slider => enabled.includes(slider.id) && (slider.tmdbTrending || hasOverseerrApi));
+}
+
+function getDiscoverCatalogManifest(userConfig, locale) {
+    const catalogs = [];
+    for (const slider of getEnabledDiscoverCatalogs(userConfig)) {
+        for (const type of getDiscoverCatalogTypes(slider)) {
+            const extra = [{ name: 'skip', isRequired: false }];
+            if (slider.genres) {
+                extra.push({
+                    name: 'genre',
+                    isRequired: false,
+                    options: Object.keys(TMDB_GENRES[type === 'movie' ? 'movie' : 'tv'])
+                });
+            }
+
+            catalogs.push({
+                type: type,
+                id: `discover-${slider.id}`,
+                name: `${slider.nameKey ? t(locale, slider.nameKey) : slider.name} (Overseerr)`,
+                extra: extra
+            });
+        }
+    }
+    return catalogs;
+}
+
+async function getDiscoverCatalog(slider, type, skip, genre, userConfig) {
+    const mediaType = type === 'movie' ? 'movie' : 'tv';
+    const page = Math.floor(skip / DISCOVER_PAGE_SIZE) + 1;
+    const language = getTmdbLanguage(userConfig);
+
+    let results;
+    if (slider.tmdbTrending) {
+        const data = await tmdbGet(userConfig.tmdbKey, `/trending/${mediaType}/week`, { page: String(page), ...(language && { language }) });
+        results = data.results || [];
+    } else {
+        const path = slider.paths[type];
+        if (!path) return [];
+
+        const params = new URLSearchParams({ page: String(page) });
+        const genreId = slider.genres && genre ? TMDB_GENRES[mediaType][genre] : null;
+        if (genreId) {
+            params.set('genre', String(genreId));
+        }
+        results = (await fetchOverseerrJson(`${path}?${params.toString()}`, userConfig)).results || [];
+    }
+
+    const metas = await Promise.all(results.map(async (result) => {
+        const details = await fetchTmdbDetails(result.id, mediaType, userConfig.tmdbKey, language);
+        if (!details?.id) return null;
+
+        // Overseerr results carry mediaInfo, so show what's already on the server
+        const status = describeMediaStatus(result.mediaInfo?.status, getConfigLocale(userConfig));
+        const description = [status, details.overview].filter(Boolean).join('\n\n');
+        return toMetaPreview(details, type, description);
+    }));
+
+    return metas.filter(Boolean);
+}
+
+function describeMediaStatus(status, locale) {
+    return isKnownStatus(status) ? getStatusLabel(status, locale) : '';
+}
+
+// ─── Search Catalog ───────────────────
+// Overseerr search (backed by TMDB) finds titles Cinemeta doesn't know. Results use
+// tmdb:<type>:<id> ids, which our meta and stream handlers resolve without /find.
+const SEARCH_CATALOG_ID = 'overseerr-search';
+
+function getSearchCatalogManifest(locale) {
+    return ['movie', 'series'].map(type => ({
+        type: type,
+        id: SEARCH_CATALOG_ID,
+        name: t(locale, 'catalog.search'),
+        extra: [{ name: 'search', isRequired: true }]
+    }));
+}
+
+async function getSearchCatalog(type, query, userConfig) {
+    if (!query) return [];
+
+    const mediaType = type === 'movie' ? 'movie' : 'tv';
+    const locale = getConfigLocale(userConfig);
+    const params = new URLSearchParams({ query: query, page: '1' });
+    if (userConfig.language) {
+        params.set('language', locale);
+    }
+    // Overseerr expects %20 rather than + for spaces in the query
+    const data = await fetchOverseerrJson(`/search?${params.toString().replace(/\+/g, '%20')}`, userConfig);
+
+    return (data.results || [])
+        .filter(result => result.mediaType === mediaType)
+        .map(result => {
+            const releaseDate = result.releaseDate || result.firstAirDate || '';
+            return {
+                id: `tmdb:${mediaType}:${result.id}`,
+                type: type,
+                name: result.title || result.name,
+                poster: result.posterPath ? `${TMDB_IMAGE_BASE}/w500${result.posterPath}` : undefined,
+                background: result.backdropPath ? `${TMDB_IMAGE_BASE}/original${result.backdropPath}` : undefined,
+                description: [describeMediaStatus(result.mediaInfo?.status, locale), result.overview].filter(Boolean).join('\n\n'),
+                releaseInfo: releaseDate.slice(0, 4)
+            };
+        });
+}
+
+// ─── Configured Manifest ───────────────────
+// Serves /configured/<token>/manifest.json and, with the default config, /manifest.json
+function handleManifest(req, res) {
+    const isDefault = !req.params.config;
+    manifestLog.info(`${isDefault ? 'Default' : 'Configured'} manifest requested`);
+
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Access-Control-Allow-Origin', '*');
+
+    if (isDefault && !DEFAULT_CONFIG) {
+        return res.json({
+            id: "org.stremio.overseerr",
+            version: "1.0.0",
+            name: "Overseerr Requests",
+            description: "Request movies and shows through Overseerr - configure your instance",
+            resources: ["stream"],
+            types: ["movie", "series"],
+            catalogs: [],
+            idPrefixes: ID_PREFIXES
+        });
+    }
+
+    const userConfig = decodeConfig(getConfigToken(req));
+    const locale = getConfigLocale(userConfig);
+
+    res.json({
+        id: isDefault ? "org.stremio.overseerr" : "org.stremio.overseerr.configured",
+        version: "1.0.0",
+        name: "Overseerr Requests",
+        description: t(locale, 'manifest.description'),
+        resources: [
+            "catalog",
+            { name: "meta", types: ["movie", "series"], idPrefixes: ["tmdb:"] },
+            "stream"
+        ],
+        types: ["movie", "series"],
+        catalogs: userConfig && supportsOverseerrApi(userConfig)
+            ? [...getRequestCatalogManifest(locale), ...getDiscoverCatalogManifest(userConfig, locale), ...getSearchCatalogManifest(locale)]
+            : getDiscoverCatalogManifest(userConfig, locale),
+        idPrefixes: ID_PREFIXES
+    });
+}
+
+app.get("/configured/:config/manifest.json", handleManifest);
+app.get("/manifest.json", handleManifest);
+
+// ─── Stream Endpoint ───
+async function handleStream(req, res) {
+    const { type, id } = req.params;
+    const config = getConfigToken(req);
+    const route = req.params.config ? 'configured' : 'default';
+    streamLog.info(`${route === 'default' ? 'Default' : 'Configured'} stream requested for ${type} ID: ${id}`);
+
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Access-Control-Allow-Origin', '*');
+
+    const endLookup = streamLookups.startTimer();
+    const metricLabels = { route, type: getMetricType(type) };
+
+    try {
+        const userConfig = decodeConfig(config);
+        if (!userConfig) {
+            streamLog.info(`Invalid configuration`);
+            endLookup({ ...metricLabels, result: 'invalid_config' });
+            return res.json({ streams: [] });
+        }
+
+        const language = getTmdbLanguage(userConfig);
+
+        let resolved;
+        try {
+            resolved = await resolveStremioId(userConfig.tmdbKey, id, type, language);
+        } catch (error) {
+            streamLog.info(`TMDB lookup failed for ${id} (${error.message})`);
+            endLookup({ ...metricLabels, result: 'tmdb_error' });
+            return res.json({ streams: [] });
+        }
+
+        if (!resolved?.tmdbId) {
+            streamLog.info(`No TMDB ID found for ${id}`);
+            endLookup({ ...metricLabels, result: 'not_found' });
+            return res.json({ streams: [] });
+        }
+
+        const { tmdbId, season, episode } = resolved;
+        // Anime ids can resolve to a different type than Stremio asked for
+        const mediaKind = resolved.type;
+        let title = resolved.title || `ID: ${id}`;
+        let year = resolved.year;
+
+        if (!resolved.title) {
+            // Get title from TMDB for better display
+            const tmdbData = await fetchTmdbDetails(tmdbId, mediaKind === 'movie' ? 'movie' : 'tv', userConfig.tmdbKey, language);
+            if (tmdbData) {
+                title = tmdbData.title || tmdbData.name || title;
+                year = (tmdbData.release_date || tmdbData.first_air_date || '').slice(0, 4) || null;
+            }
+        }
+        streamLog.info(`Resolved ${id} to TMDB ${tmdbId} - "${title}"`);
+
+        // Check what the backend already has so we don't offer pointless requests
+        const backend = createBackend(userConfig);
+        const mediaStatus = await backend.getMediaStatus(tmdbId, mediaKind);
+
+        // Build streams array with your original wait.mp4
+        const display = { ...getStreamDisplay(userConfig), year };
+        const requestStreams = buildStreams(title, mediaKind, tmdbId, season, episode, config, mediaStatus, backend, {
+            request4k: !!userConfig.request4k,
+            display: display
+        });
+        const streams = await applyRequestLimits(requestStreams, userConfig, config, mediaKind, display);
+
+        streamLog.info(`Returning ${streams.length} stream(s) for: "${title}"`);
+        endLookup({ ...metricLabels, result: streams.length ? 'ok' : 'empty' });
+
+        res.json({ streams: streams });
+
+    } catch (error) {
+        streamLog.error(`Error: ${error.message}`);
+        endLookup({ ...metricLabels, result: 'error' });
+        res.json({ streams: [] });
+    }
+}
+
+app.get("/configured/:config/stream/:type/:id.json", asyncRoute(handleStream));
+app.get("/stream/:type/:id.json", asyncRoute(handleStream));
+
+// ─── Catalog Endpoint ───
+async function handleCatalog(req, res) {
+    const { type, id, extra } = req.params;
+    const config = getConfigToken(req);
+    catalogLog.info(`Catalog requested: ${id} (${type}) ${extra || ''}`);
+
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Access-Control-Allow-Origin', '*');
+
+    try {
+        const userConfig = decodeConfig(config);
+        if (!userConfig) {
+            catalogLog.info(`Invalid configuration`);
+            return res.json({ metas: [] });
+        }
+
+        if (type !== 'movie' && type !== 'series') {
+            return res.json({ metas: [] });
+        }
+
+        const { skip, genre, search } = parseCatalogExtra(extra);
+        const hasOverseerrApi = supportsOverseerrApi(userConfig);
+        const catalog = hasOverseerrApi ? REQUEST_CATALOGS.find(c => c.id === id) : null;
+        const slider = getEnabledDiscoverCatalogs(userConfig).find(c => `discover-${c.id}` === id);
+
+        let metas;
+        if (id === SEARCH_CATALOG_ID && hasOverseerrApi) {
+            metas = await getSearchCatalog(type, search, userConfig);
+        } else if (catalog) {
+            metas = await getRequestCatalog(catalog, type, skip, userConfig);
+        } else if (slider && getDiscoverCatalogTypes(slider).includes(type)) {
+            metas = await getDiscoverCatalog(slider, type, skip, genre, userConfig);
+        } else {
+            catalogLog.info(`Unknown catalog: ${id}`);
+            return res.json({ metas: [] });
+        }
+
+        catalogLog.info(`Returning ${metas.length} item(s) for ${id} (${type})`);
+        res.json({ metas: metas });
+
+    } catch (error) {
+        catalogLog.error(`Error: ${error.message}`);
+        res.json({ metas: [] });
+    }
+}
+
+app.get("/configured/:config/catalog/:type/:id.json", asyncRoute(handleCatalog));
+app.get("/configured/:config/catalog/:type/:id/:extra.json", asyncRoute(handleCatalog));
+app.get("/catalog/:type/:id.json", asyncRoute(handleCatalog));
+app.get("/catalog/:type/:id/:extra.json", asyncRoute(handleCatalog));
+
+// ─── Meta Endpoint ───
+async function handleMeta(req, res) {
+    const { type, id } = req.params;
+    const config = getConfigToken(req);
+    metaLog.info(`Meta requested for ${type} ID: ${id}`);
+
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Access-Control-Allow-Origin', '*');
+
+    try {
+        const userConfig = decodeConfig(config);
+        if (!userConfig) {
+            metaLog.info(`Invalid configuration`);
+            return res.json({ meta: null });
+        }
+
+        const mediaType = type === 'movie' ? 'movie' : 'tv';
+        const language = getTmdbLanguage(userConfig);
+        let tmdbId = null;
+
+        const tmdbMatch = id.match(/^tmdb:(movie|tv):(\d+)$/);
+        if (tmdbMatch) {
+            tmdbId = tmdbMatch[2];
+        } else if (id.startsWith('tt')) {
+            const result = await findByImdbId(userConfig.tmdbKey, id, type, language).catch(() => null);
+            tmdbId = result?.id || null;
+        }
+
+        if (!tmdbId) {
+            metaLog.info(`No TMDB ID found for ${id}`);
+            return res.json({ meta: null });
+        }
+
+        const details = await fetchTmdbDetails(tmdbId, mediaType, userConfig.tmdbKey, language);
+        if (!details?.id) {
+            return res.json({ meta: null });
+        }
+
+        const meta = toMetaPreview(details, type);
+        meta.id = id;
+        meta.genres = (details.genres || []).map(g => g.name);
+
+        if (type === 'series') {
+            // Episode list so the stream handler gets season:episode ids to work with
+            meta.videos = [];
+            for (const season of details.seasons || []) {
+                for (let episode = 1; episode <= (season.episode_count || 0); episode++) {
+                    meta.videos.push({
+                        id: `${id}:${season.season_number}:${episode}`,
+                        title: t(getConfigLocale(userConfig), 'meta.episode', { episode }),
+                        season: season.season_number,
+                        episode: episode
+                    });
+                }
+            }
+        }
+
+        res.json({ meta: meta });
+
+    } catch (error) {
+        metaLog.error(`Error: ${error.message}`);
+        res.json({ meta: null });
+    }
+}
+
+app.get("/configured/:config/meta/:type/:id.json", asyncRoute(handleMeta));
+app.get("/meta/:type/:id.json", asyncRoute(handleMeta));
+
+// ─── Request History ───────────────────
+// Only reachable with the config token (or at /history for the default config), and
+// scoped to its backend identity
+// History states with a label (state.<name> in the message catalog)
+const HISTORY_STATES = ['submitted', 'duplicate', 'quota', 'queued', 'blocked', 'skipped', 'failed'];
+
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function describeHistoryRequest(entry, locale = 'en') {
+    if (entry.type === 'movie') return t(locale, 'request.movie');
+    if (entry.requestType === 'specials') return t(locale, 'request.specials');
+    if (entry.seasons?.length) {
+        return tn(locale, 'seasons', entry.seasons.length, { seasons: formatSeasonRanges(entry.seasons) });
+    }
+    if (entry.requestType === 'season' && entry.season !== null) return tn(locale, 'seasons', 1, { seasons: entry.season });
+    return t(locale, 'request.series');
+}
+
+// The default config is reachable without a token, so its history (titles, requesting
+// users) is only shown when the self-hoster opts in
+const DEFAULT_HISTORY_PUBLIC = process.env.DEFAULT_HISTORY_PUBLIC === 'true';
+
+function isHistoryVisible(token) {
+    return token !== DEFAULT_CONFIG_TOKEN || DEFAULT_HISTORY_PUBLIC;
+}
+
+// Resolves with { userConfig, entries }, or { status, error } (a history.* message key)
+async function loadRequestHistory(req) {
+    const token = getConfigToken(req);
+    if (!isHistoryVisible(token)) {
+        return { status: 403, error: 'history.private' };
+    }
+
+    const userConfig = decodeConfig(token);
+    if (!userConfig) {
+        return { status: 400, error: 'history.invalid' };
+    }
+    return { userConfig, entries: await getHistory(getHistoryScope(createBackend(userConfig).key)) };
+}
+
+async function handleHistoryJson(req, res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Cache-Control', 'no-store');
+
+    const { entries, status, error } = await loadRequestHistory(req);
+    if (error) {
+        return res.status(status).json({ error: t(DEFAULT_LOCALE, error) });
+    }
+
+    res.json({
+        count: entries.length,
+        requests: entries.map(entry => ({
+            ...entry,
+            requestedAt: new Date(entry.at).toISOString()
+        }))
+    });
+}
+
+app.get("/configured/:config/history.json", asyncRoute(handleHistoryJson));
+app.get("/history.json", asyncRoute(handleHistoryJson));
+
+function sendHistoryPage(res, locale, content) {
+    res.setHeader('Cache-Control', 'no-store');
+    res.send(`
+    <!DOCTYPE html>
+    <html lang="${locale}">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <meta name="robots" content="noindex">
+        <title>${t(locale, 'history.title')} - Stremio Overseerr Addon</title>
+        <style>
+            * { box-sizing: border-box; margin: 0; padding: 0; }
+            body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #0f0f0f; color: #fff; line-height: 1.6; padding: 20px; max-width: 1000px; margin: 0 auto; }
+            .container { background: #1a1a1a; border-radius: 12px; padding: 30px; margin: 20px 0; border: 1px solid #333; overflow-x: auto; }
+            h1 { color: #8ef; margin-bottom: 10px; }
+            p { color: #888; margin-bottom: 20px; }
+            a { color: #8ef; }
+            table { width: 100%; border-collapse: collapse; font-size: 14px; }
+            th, td { text-align: left; padding: 10px 8px; border-bottom: 1px solid #333; }
+            th { color: #ccc; }
+            .tag { background: #1e3a5f; color: #dbeafe; border-radius: 4px; padding: 1px 6px; font-size: 11px; }
+            .state-submitted { color: #9f9; }
+            .state-failed, .state-quota, .state-blocked { color: #f88; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <h1>📜 ${t(locale, 'history.title')}</h1>
+            ${content}
+        </div>
+    </body>
+    </html>
+    `);
+}
+
+async function handleHistoryPage(req, res) {
+    const { userConfig, entries, status, error } = await loadRequestHistory(req);
+    if (error) {
+        // No usable config to take the language from, so the browser's is used
+        const locale = getRequestLocale(req);
+        return sendHistoryPage(res.status(status), locale, `<p>${t(locale, error)}</p>`);
+    }
+
+    const locale = getConfigLocale(userConfig);
+    const rows = entries.map(entry => `
+                <tr>
+                    <td>${escapeHtml(new Date(entry.at).toLocaleString(locale))}</td>
+                    <td>${escapeHtml(entry.title)}${entry.is4k ? ' <span class="tag">4K</span>' : ''}</td>
+                    <td>${escapeHtml(describeHistoryRequest(entry, locale))}</td>
+                    <td>${entry.requestId ? `#${escapeHtml(entry.requestId)}` : '–'}</td>
+                    <td class="state-${escapeHtml(entry.state)}" title="${escapeHtml(entry.message)}">${escapeHtml(HISTORY_STATES.includes(entry.state) ? t(locale, `state.${entry.state}`) : entry.state)}</td>
+                </tr>`).join('');
+
+    sendHistoryPage(res, locale, `
+            <p>${t(locale, 'history.intro')} <a href="history.json">JSON</a></p>
+            ${entries.length ? `
+            <table>
+                <thead>
+                    <tr><th>${t(locale, 'history.requested')}</th><th>${t(locale, 'history.name')}</th><th>${t(locale, 'history.what')}</th><th>${t(locale, 'history.request')}</th><th>${t(locale, 'history.result')}</th></tr>
+                </thead>
+                <tbody>${rows}
+                </tbody>
+            </table>` : `<p>${t(locale, 'history.empty')}</p>`}`);
+}
+
+app.get("/configured/:config/history", asyncRoute(handleHistoryPage));
+app.get("/history", asyncRoute(handleHistoryPage));
+
+// ─── PIN Confirmation ───────────────────
+// Restricted profiles link their request streams here (Stremio opens it in the browser)
+// so a parent can enter the PIN and send the request on the spot.
+function sendConfirmPage(res, locale, subject, message, showForm) {
+    res.setHeader('Cache-Control', 'no-store');
+    res.send(`
+    <!DOCTYPE html>
+    <html lang="${locale}">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <meta name="robots" content="noindex">
+        <title>${t(locale, 'confirm.title')} - Stremio Overseerr Addon</title>
+        <style>
+            * { box-sizing: border-box; margin: 0; padding: 0; }
+            body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #0f0f0f; color: #fff; line-height: 1.6; padding: 20px; max-width: 480px; margin: 0 auto; }
+            .container { background: #1a1a1a; border-radius: 12px; padding: 30px; margin: 20px 0; border: 1px solid #333; }
+            h1 { color: #8ef; margin-bottom: 10px; font-size: 24px; }
+            p { color: #ccc; margin-bottom: 20px; }
+            input { width: 100%; padding: 12px; border: 1px solid #444; border-radius: 6px; background: #2a2a2a; color: #fff; font-size: 20px; letter-spacing: 6px; text-align: center; margin-bottom: 15px; }
+            .btn { width: 100%; background: #8ef; color: #000; padding: 12px; border: none; border-radius: 6px; font-size: 16px; font-weight: bold; cursor: pointer; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <h1>🔒 ${escapeHtml(subject)}</h1>
+            <p>${escapeHtml(message)}</p>
+            ${showForm ? `
+            <form method="POST">
+                <input type="password" name="pin" inputmode="numeric" autocomplete="off" placeholder="${t(locale, 'confirm.placeholder')}" required autofocus>
+                <button type="submit" class="btn">${t(locale, 'confirm.send')}</button>
+            </form>` : ''}
+        </div>
+    </body>
+    </html>
+    `);
+}
+
+app.get("/configured/:config/confirm", (req, res) => {
+    const userConfig = decodeConfig(req.params.config);
+    if (!userConfig) {
+        return res.status(400).send('Invalid configuration');
+    }
+
+    const { title, season, requestType } = req.query;
+    const locale = getConfigLocale(userConfig);
+    sendConfirmPage(res, locale, getRequestSubject(title, season, requestType, locale), t(locale, 'confirm.prompt'), true);
+});
+
+app.post("/configured/:config/confirm", express.urlencoded({ extended: false }), asyncRoute(async (req, res) => {
+    const { config } = req.params;
+    const userConfig = decodeConfig(config);
+    const { type, tmdbId, title, season, requestType } = req.query;
+    if (!userConfig || !type || !tmdbId || !title) {
+        return res.status(400).send('Invalid request');
+    }
+
+    const locale = getConfigLocale(userConfig);
+    const subject = getRequestSubject(title, season, requestType, locale);
+    const { ok, locked } = await verifyPin(userConfig, req.body?.pin || '');
+    if (!ok) {
+        confirmLog.info(`Wrong PIN for "${title}"${locked ? ' - locked' : ''}`);
+        return locked
+            ? sendConfirmPage(res.status(429), locale, subject, t(locale, 'confirm.locked'), false)
+            : sendConfirmPage(res.status(403), locale, subject, t(locale, 'confirm.wrongPin'), true);
+    }
+
+    const backend = createBackend(userConfig);
+    const query = { ...req.query, config };
+    const requestKey = getRequestKey(backend, query);
+
+    if (!await pendingRequests.get(requestKey)) {
+        await pendingRequests.set(requestKey, Date.now(), REQUEST_COOLDOWN_MS);
+        if (await checkRateLimit(userConfig, requestKey, title)) {
+            confirmLog.info(`🚀 PIN accepted, making request for: "${title}" (Type: ${requestType || 'auto'})`);
+            submitRequest(backend, userConfig, requestKey, query, { confirmed: true });
+        }
+    } else {
+        cooldownSuppressions.inc({ route: 'confirm' });
+    }
+
+    const outcome = await waitForOutcome(requestKey);
+    sendConfirmPage(res, locale, subject, describeOutcome(outcome, locale), false);
+}));
+
+// ─── Season Resolution For Series Requests ───────────────────
+// Works out the exact seasons to submit when the request is made, diffing TMDB's
+// season list against what the backend already has. Returns null to let the backend
+// decide (single seasons, or when neither TMDB nor the backend could be reached).
+async function resolveRequestSeasons(backend, userConfig, tmdbId, requestType, seasonNumber, is4k) {
+    if (requestType === 'specials') return [0];
+    if (requestType === 'season') return null;
+
+    const [details, mediaStatus] = await Promise.all([
+        userConfig.tmdbKey ? fetchTmdbDetails(tmdbId, 'tv', userConfig.tmdbKey) : null,
+        backend.getMediaStatus(tmdbId, 'series')
+    ]);
+    const qualityStatus = is4k ? mediaStatus?.fourK : mediaStatus;
+
+    let allSeasons = (details?.seasons || [])
+        .map(s => Number(s.season_number))
+        .filter(n => Number.isFinite(n) && n > 0);
+    if (!allSeasons.length) {
+        allSeasons = qualityStatus?.seasonNumbers || [];
+    }
+    if (!allSeasons.length) {
+        return null;
+    }
+
+    let seasons = qualityStatus
+        ? allSeasons.filter(n => !isKnownStatus(getSeasonStatus(qualityStatus, n)))
+        : allSeasons;
+    if (requestType === 'from' && seasonNumber !== null) {
+        seasons = seasons.filter(n => n >= seasonNumber);
+    }
+    return seasons.sort((a, b) => a - b);
+}
+
+// ─── Request Outcomes ───────────────────
+// The request runs in the background while the wait video plays. Its outcome is kept
+// for the cooldown period so the subtitle track (and repeat clicks) can report it.
+const OUTCOME_LABELS = {
+    submitted: '✅',
+    duplicate: 'ℹ️',
+    quota: '🚫',
+    skipped: 'ℹ️',
+    queued: '🔁',
+    blocked: '🔒',
+    failed: '❌'
+};
+
+// Outcomes of requests still being submitted, by request key
+const inFlightOutcomes = new Map();
+
+// Notification event for each outcome state (queued requests notify once they finish)
+const OUTCOME_EVENTS = {
+    submitted: 'submitted',
+    duplicate: 'duplicate',
+    skipped: 'duplicate',
+    quota: 'failed',
+    blocked: 'failed',
+    failed: 'failed'
+};
+
+// Overseerr returns the request with its requester; otherwise name the configured user
+function getRequesterName(userConfig, requestData) {
+    const requestedBy = requestData?.requestedBy;
+    if (requestedBy?.displayName || requestedBy?.email) {
+        return requestedBy.displayName || requestedBy.email;
+    }
+    const userId = parseInt(userConfig.overseerrUserId);
+    return userId ? `User #${userId}` : 'API key owner';
+}
+
+// Fire and forget: a slow or broken target must never hold up the request
+function notifyRequest(userConfig, backend, event, entry, requestData = null) {
+    if (!event || !hasNotificationTargets(userConfig)) return;
+
+    sendNotifications(userConfig, {
+        event: event,
+        title: entry.title,
+        type: entry.type,
+        seasons: entry.type === 'series' ? describeHistoryRequest(entry) : '',
+        user: getRequesterName(userConfig, requestData),
+        message: entry.message,
+        requestId: entry.requestId || '',
+        tmdbId: entry.tmdbId,
+        url: backend.getWebUrl(entry.type, entry.tmdbId)
+    });
+}
+
+// The backend key holds URLs and API keys, so only a hash of it goes into the store
+function getRequestKey(backend, query) {
+    const { type, tmdbId, season, episode, requestType } = query;
+    const scope = crypto.createHash('sha256').update(backend.key).digest('hex').slice(0, 16);
+    return `req-${scope}-${type}-${tmdbId}-${season || ''}-${episode || ''}-${requestType || 'auto'}${query.is4k === '1' ? '-4k' : ''}`;
+}
+
+function getRequestSubject(title, season, requestType, locale = 'en') {
+    title = title || t(locale, 'subject.unknown');
+    if (requestType === 'specials') return t(locale, 'subject.specials', { title });
+    if (season && requestType === 'from') return t(locale, 'subject.from', { title, season });
+    if (season && requestType !== 'series' && requestType !== 'missing') return t(locale, 'subject.season', { title, season });
+    return title;
+}
+
+// Pull a readable message out of an Overseerr ({ message }) or *arr ([{ errorMessage }]) error body
+function getErrorMessage(result) {
+    const raw = result.error;
+    if (!raw) return result.message || 'Unknown error';
+
+    try {
+        const body = JSON.parse(raw);
+        const message = body.message || body.error || (Array.isArray(body) ? body[0]?.errorMessage : null);
+        if (message) return String(message);
+    } catch {
+        // Not JSON, use the text as is
+    }
+    return String(raw).slice(0, 200);
+}
+
+function toOutcome(result, locale) {
+    if (result.success) {
+        const id = result.requestId ? ` #${result.requestId}` : '';
+        return {
+            state: 'submitted',
+            requestId: result.requestId || null,
+            data: result.data,
+            message: t(locale, result.approved ? 'outcome.approved' : 'outcome.submitted', { id })
+        };
+    }
+
+    const error = getErrorMessage(result);
+    if (result.status === 409) {
+        return { state: 'duplicate', message: t(locale, 'outcome.duplicate', { error }) };
+    }
+    if (result.status === 403 && /quota/i.test(error)) {
+        return { state: 'quota', message: t(locale, 'outcome.quota', { error }) };
+    }
+    return {
+        state: 'failed',
+        message: result.status
+            ? t(locale, 'outcome.failedHttp', { status: result.status, error })
+            : t(locale, 'outcome.failed', { error })
+    };
+}
+
+// Resolves once the outcome is known, or with null after OUTCOME_WAIT_MS.
+// Polls because the subtitle track can be fetched before the video starts the request.
+async function waitForOutcome(requestKey) {
+    const deadline = Date.now() + OUTCOME_WAIT_MS;
+
+    while (true) {
+        const pending = inFlightOutcomes.get(requestKey);
+        if (pending) {
+            const timeout = new Promise(resolve => setTimeout(() => resolve(null), Math.max(deadline - Date.now(), 0)));
+            return Promise.race([pending, timeout]);
+        }
+
+        const outcome = await requestOutcomes.get(requestKey);
+        if (outcome || Date.now() >= deadline) {
+            return outcome || null;
+        }
+        await new Promise(resolve => setTimeout(resolve, 250));
+    }
+}
+
+// Network errors, 5xx and 429 are worth another try; anything else won't change by itself
+function isRetryableFailure(result) {
+    if (result.success) return false;
+    if (result.status) return result.status === 429 || result.status >= 500;
+    return !!result.code;
+}
+
+// One attempt at sending the request. options.confirmed is set once the profile's PIN
+// was entered; it never comes from the query string.
+// Resolves with { outcome, retryable, sent: { requestType, seasons } }.
+async function attemptRequest(backend, userConfig, query, options = {}) {
+    const { type, tmdbId, title, season, requestType } = query;
+    const is4k = query.is4k === '1';
+    const seasonNum = season ? parseInt(season) : null;
+    const locale = getConfigLocale(userConfig);
+
+    // What was actually sent, for the request history
+    const sent = { requestType: requestType || 'auto', seasons: null };
+
+    const restriction = options.confirmed ? null : getRestriction(userConfig, type);
+    if (restriction) {
+        overseerrLog.info(`🔒 BLOCKED: "${title}" - ${type} requests are restricted on this profile`);
+        return {
+            sent,
+            retryable: false,
+            outcome: {
+                state: 'blocked',
+                message: t(locale, restriction === 'pin'
+                    ? 'outcome.pinRequired'
+                    : type === 'movie' ? 'outcome.blockedMovies' : 'outcome.blockedSeries')
+            }
+        };
+    }
+
+    // Quota units taken for this attempt; handed back unless the request was submitted
+    let reservedUnits = 0;
+    let submitted = false;
+    try {
+        // ✅ FIXED: Determine request type for series
+        let finalRequestType;
+        if (type === 'movie') {
+            finalRequestType = 'movie';
+        } else if (type === 'series') {
+            if (requestType === 'series') {
+                finalRequestType = 'series'; // Entire series
+            } else if (['missing', 'from', 'specials'].includes(requestType)) {
+                finalRequestType = requestType; // Missing seasons, season range or specials
+            } else if (requestType === 'season' && seasonNum !== null) {
+                finalRequestType = 'season'; // Specific season
+            } else if (seasonNum !== null) {
+                finalRequestType = 'season'; // Default to season if season specified
+            } else {
+                finalRequestType = 'series'; // Default to series if no season
+            }
+        }
+        sent.requestType = finalRequestType || sent.requestType;
+
+        const seasons = type === 'series'
+            ? await resolveRequestSeasons(backend, userConfig, tmdbId, finalRequestType, seasonNum, is4k)
+            : null;
+        sent.seasons = seasons;
+        if (seasons && seasons.length === 0) {
+            overseerrLog.info(`⏩ SKIPPING: "${title}" - no missing seasons left to request`);
+            return { sent, retryable: false, outcome: { state: 'skipped', message: t(locale, 'outcome.skipped') } };
+        }
+
+        // Reserved before anything is sent so a used-up quota never reaches the backend,
+        // and handed back below when the request doesn't go through
+        const units = getQuotaUnits(type, seasons);
+        const { reserved, quota } = await reserveQuota(userConfig, type, units);
+        if (quota && !reserved) {
+            overseerrLog.info(`🚫 LIMIT: "${title}" - ${quota.used} of ${quota.limit} ${quota.field} used this ${quota.period}`);
+            const params = { ...getQuotaLabels(quota, locale), units, used: quota.used, left: quota.left, limit: quota.limit };
+            const message = t(locale, quota.left > 0 ? 'outcome.limitNeeds' : 'outcome.limitReached', params);
+            return { sent, retryable: false, outcome: { state: 'quota', message } };
+        }
+
+        if (reserved) reservedUnits = units;
+
+        overseerrLog.info(`📡 Calling API for: "${title}" - Request Type: ${finalRequestType}, Season: ${seasonNum}${seasons ? `, Seasons: [${seasons.join(',')}]` : ''}`);
+        const result = await backend.request(tmdbId, type, title, seasonNum, finalRequestType, { is4k, seasons });
+        
+        if (result.success) {
+            overseerrLog.info(`✅ SUCCESS: "${title}" - Request ID: ${result.requestId}`);
+        } else {
+            overseerrLog.error(`❌ FAILED: "${title}" - ${result.error}`);
+        }
+        const outcome = toOutcome(result, locale);
+        backendSubmissions.inc({ backend: backend.id, outcome: outcome.state, status: getSubmissionStatus(result) });
+        submitted = outcome.state === 'submitted';
+        return { sent, retryable: isRetryableFailure(result), outcome };
+    } catch (err) {
+        overseerrLog.error(`❌ ERROR: "${title}" - ${err.message}`);
+        return { sent, retryable: true, outcome: { state: 'failed', message: t(locale, 'outcome.failed', { error: err.message }) } };
+    } finally {
+        if (reservedUnits && !submitted) {
+            await releaseQuota(userConfig, type, reservedUnits).catch(err => {
+                overseerrLog.error(`Could not release the quota reserved for "${title}": ${err.message}`);
+            });
+        }
+    }
+}
+
+// Records an outcome: subtitle/outcome store, cooldown, history and notifications
+async function recordOutcome(backend, userConfig, requestKey, query, sent, { data, ...outcome }) {
+    const cooldownMs = {
+        queued: QUEUED_REQUEST_COOLDOWN_MS,
+        failed: FAILED_REQUEST_COOLDOWN_MS,
+        quota: FAILED_REQUEST_COOLDOWN_MS,
+        blocked: FAILED_REQUEST_COOLDOWN_MS
+    }[outcome.state] || REQUEST_COOLDOWN_MS;
+
+    // The cooldown follows the real result rather than the click
+    await pendingRequests.set(requestKey, Date.now(), cooldownMs);
+    await requestOutcomes.set(requestKey, { ...outcome, at: Date.now() }, cooldownMs);
+
+    const entry = {
+        title: query.title,
+        type: query.type,
+        tmdbId: query.tmdbId,
+        requestType: sent.requestType,
+        season: query.season ? parseInt(query.season) : null,
+        seasons: sent.seasons,
+        is4k: query.is4k === '1',
+        backend: backend.name,
+        requestId: outcome.requestId || null,
+        state: outcome.state,
+        message: outcome.message
+    };
+    await addHistoryEntry(getHistoryScope(backend.key), entry);
+    requestOutcomesTotal.inc({ backend: backend.id, outcome: outcome.state });
+    notifyRequest(userConfig, backend, OUTCOME_EVENTS[outcome.state], entry, data);
+    return outcome;
+}
+
+// ─── Retry Queue ───────────────────
+// Retryable failures are queued with the (encrypted) config token rather than the
+// decoded config, so API keys aren't written to disk in plain text.
+const REQUEST_RETRY_MAX_ATTEMPTS = parseInt(process.env.REQUEST_RETRY_MAX_ATTEMPTS) || 5;
+
+function describeRetry(outcome, attempt, locale) {
+    return t(locale, 'outcome.retrying', { message: outcome.message, attempt: attempt + 1, maxAttempts: REQUEST_RETRY_MAX_ATTEMPTS });
+}
+
+async function retryQueuedRequest(job, { attempt, isLastAttempt }) {
+    const userConfig = decodeConfig(job.config);
+    if (!userConfig) {
+        queueLog.error('Dropping queued request: its configuration can no longer be decoded');
+        return { retry: false };
+    }
+
+    const backend = createBackend(userConfig);
+    const locale = getConfigLocale(userConfig);
+    const requestKey = getRequestKey(backend, job.query);
+    const { outcome, retryable, sent } = await attemptRequest(backend, userConfig, job.query, { confirmed: !!job.confirmed });
+
+    if (retryable && !isLastAttempt) {
+        await requestOutcomes.set(requestKey, { state: 'queued', message: describeRetry(outcome, attempt, locale), at: Date.now() }, QUEUED_REQUEST_COOLDOWN_MS);
+        return { retry: true, error: outcome.message };
+    }
+
+    const finalOutcome = retryable
+        ? { ...outcome, message: t(locale, 'outcome.gaveUp', { message: outcome.message, attempts: attempt }) }
+        : outcome;
+    await recordOutcome(backend, userConfig, requestKey, job.query, sent, finalOutcome);
+    return { retry: false };
+}
+
+// Retries log under the request id of the click that queued them
+const requestQueue = createRetryQueue('request-queue', (job, info) => {
+    return runWithRequestId(isValidRequestId(job.requestId) ? job.requestId : createRequestId(), () => retryQueuedRequest(job, info));
+}, {
+    maxAttempts: REQUEST_RETRY_MAX_ATTEMPTS,
+    baseDelayMs: (parseFloat(process.env.REQUEST_RETRY_BASE_SECONDS) || 30) * 1000
+});
+
+// Submits the request in the background; returns the promise of its outcome
+function submitRequest(backend, userConfig, requestKey, query, options = {}) {
+    const outcome = attemptRequest(backend, userConfig, query, options).then(async ({ outcome, retryable, sent }) => {
+        if (!retryable) {
+            return recordOutcome(backend, userConfig, requestKey, query, sent, outcome);
+        }
+
+        const { type, tmdbId, title, season, episode, requestType, is4k } = query;
+        const job = { config: query.config, query: { type, tmdbId, title, season, episode, requestType, is4k }, requestId: getRequestId() };
+        if (options.confirmed) {
+            job.confirmed = true;
+        }
+        await requestQueue.enqueue(job, 1, outcome.message);
+        const message = describeRetry(outcome, 1, getConfigLocale(userConfig));
+        return recordOutcome(backend, userConfig, requestKey, query, sent, { state: 'queued', message });
+    }).finally(() => {
+        inFlightOutcomes.delete(requestKey);
+    });
+
+    inFlightOutcomes.set(requestKey, outcome);
+    return outcome;
+}
+
+function escapeVtt(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// "✅ Request #12 submitted..." line for an outcome, or the waiting text before there is one
+function describeOutcome(outcome, locale) {
+    return outcome
+        ? `${OUTCOME_LABELS[outcome.state] || ''} ${outcome.message}`.trim()
+        : t(locale, 'outcome.waiting');
+}
+
+// One cue covering the whole wait video
+function buildOutcomeVtt(subject, outcome, locale) {
+    const line = describeOutcome(outcome, locale);
+
+    return `WEBVTT\n\n00:00:00.000 --> 01:00:00.000\n${escapeVtt(line)}\n${escapeVtt(subject)}\n`;
+}
+
+// ─── Request Status Subtitles ───
+app.get("/request-status.vtt", asyncRoute(async (req, res) => {
+    const { config, title, season, requestType } = req.query;
+    const userConfig = config ? decodeConfig(config) : null;
+
+    const locale = getConfigLocale(userConfig);
+
+    let outcome = null;
+    if (userConfig) {
+        outcome = await waitForOutcome(getRequestKey(createBackend(userConfig), req.query));
+    }
+
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Cache-Control', 'no-store');
+    res.type('text/vtt; charset=utf-8');
+    res.send(buildOutcomeVtt(getRequestSubject(title, season, requestType, locale), outcome, locale));
+}));
+
+// ─── Wait Video ───────────────────
+// The bundled clip is streamed from disk, so LAN installs don't need internet access.
+// WAIT_VIDEO_URL swaps in another clip or CDN copy for everyone (proxied with Range
+// support); a config's waitVideoUrl only affects that user and is served by redirect.
+const WAIT_VIDEO_PATH = fileURLToPath(new URL('./public/wait.mp4', import.meta.url));
+const WAIT_VIDEO_URL = process.env.WAIT_VIDEO_URL || '';
+
+function isHttpUrl(value) {
+    return typeof value === 'string' && /^https?:\/\/\S+$/i.test(value);
+}
+
+// For /health and the startup log
+function describeWaitVideo() {
+    return isHttpUrl(WAIT_VIDEO_URL)
+        ? 'WAIT_VIDEO_URL, proxied with Range support (bundled public/wait.mp4 as fallback)'
+        : 'Bundled public/wait.mp4, streamed locally with Range, HEAD and ETag support';
+}
+
+// express's sendFile answers Range (206 + Content-Range, 416), HEAD and
+// If-None-Match / If-Modified-Since (304) from the file's ETag and mtime
+function sendLocalWaitVideo(req, res) {
+    res.sendFile(WAIT_VIDEO_PATH, { headers: { 'Cache-Control': 'public, max-age=86400' } }, (error) => {
+        if (error && !res.headersSent) {
+            proxyLog.error(`Could not send ${WAIT_VIDEO_PATH}: ${error.message}`);
+            res.status(error.status || 500).end();
+        }
+    });
+}
+
+async function proxyWaitVideo(req, res, url) {
+    const headers = {};
+    for (const name of ['range', 'if-range', 'if-none-match', 'if-modified-since']) {
+        if (req.headers[name]) {
+            headers[name] = req.headers[name];
+        }
+    }
+
+    try {
+        const response = await fetch(url, { method: req.method === 'HEAD' ? 'HEAD' : 'GET', headers });
+
+        for (const name of ['content-type', 'content-length', 'accept-ranges', 'content-range', 'etag', 'last-modified', 'cache-control']) {
+            const value = response.headers.get(name);
+            if (value) {
+                res.setHeader(name, value);
+            }
+        }
+        res.status(response.status);
+
+        if (req.method === 'HEAD' || !response.body) {
+            res.end();
+        } else {
+            response.body.pipe(res);
+        }
+    } catch (error) {
+        proxyLog.error(`Error fetching ${url}: ${error.message} - serving the bundled clip`);
+        sendLocalWaitVideo(req, res);
+    }
+}
+
+// Counts the body bytes as they are written, so playback that is stopped early
+// only counts what actually went out
+function countWaitVideoBytes(res, source) {
+    const { write, end } = res;
+    const count = (chunk) => {
+        if (chunk && typeof chunk !== 'function') {
+            proxyWaitBytes.inc({ source }, Buffer.byteLength(chunk));
+        }
+    };
+
+    res.write = function (chunk, ...args) {
+        count(chunk);
+        return write.call(this, chunk, ...args);
+    };
+    res.end = function (chunk, ...args) {
+        count(chunk);
+        return end.call(this, chunk, ...args);
+    };
+}
+
+// kind is 'initial', 'range' or 'head', for the metrics
+function sendWaitVideo(req, res, userConfig, kind) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+
+    if (isHttpUrl(userConfig?.waitVideoUrl)) {
+        proxyWaitRequests.inc({ kind, source: 'redirect' });
+        return res.redirect(302, userConfig.waitVideoUrl);
+    }
+
+    const source = isHttpUrl(WAIT_VIDEO_URL) ? 'remote' : 'local';
+    proxyWaitRequests.inc({ kind, source });
+    countWaitVideoBytes(res, source);
+
+    return source === 'remote' ? proxyWaitVideo(req, res, WAIT_VIDEO_URL) : sendLocalWaitVideo(req, res);
+}
+
+// Counts the attempt against the per-config rate limit. When it's exceeded the outcome is
+// set directly, without history entries or notifications, so a flood can't fill those either.
+async function checkRateLimit(userConfig, requestKey, title) {
+    const { allowed, retryInMs } = await takeRateLimit(userConfig);
+    if (allowed) return true;
+
+    rateLimited.inc();
+    overseerrLog.info(`🚫 RATE LIMITED: "${title}" - too many requests from this configuration`);
+    const outcome = {
+        state: 'quota',
+        message: t(getConfigLocale(userConfig), 'outcome.rateLimited', { minutes: Math.ceil(retryInMs / 60000) }),
+        at: Date.now()
+    };
+    await pendingRequests.set(requestKey, Date.now(), FAILED_REQUEST_COOLDOWN_MS);
+    await requestOutcomes.set(requestKey, outcome, FAILED_REQUEST_COOLDOWN_MS);
+    return false;
+}
+
+// ─── PROXY WAIT ENDPOINT (FIXED SERIES REQUESTS) ───
+// Express also routes HEAD here; only a GET for the start of the file submits the request.
+app.get("/proxy-wait", asyncRoute(async (req, res) => {
+    proxyLog.info(`Proxy wait video requested`);
+    proxyLog.debug(`Query: ${new URLSearchParams(req.query)}`);
+
+    const { config, type, tmdbId, title, requestType } = req.query;
+    const userConfig = config ? decodeConfig(config) : null;
+
+    // ✅ FIXED: Only trigger Overseerr on INITIAL request (not range requests)
+    const isInitialRequest = req.method === 'GET' && (!req.headers.range || req.headers.range.startsWith('bytes=0-'));
+    
+    if (isInitialRequest && config && type && tmdbId && title) {
+        if (userConfig) {
+            // Create request key that includes the request type
+            const backend = createBackend(userConfig);
+            const requestKey = getRequestKey(backend, req.query);
+            
+            // Check if this request was already made (cooldown entries expire on their own)
+            const now = Date.now();
+            const lastRequest = await pendingRequests.get(requestKey);
+            
+            if (!lastRequest) {
+                // Store the request timestamp
+                await pendingRequests.set(requestKey, now, REQUEST_COOLDOWN_MS);
+
+                if (await checkRateLimit(userConfig, requestKey, title)) {
+                    overseerrLog.info(`🚀 Making request for: "${title}" (Type: ${requestType || 'auto'})`);
+                    submitRequest(backend, userConfig, requestKey, req.query);
+                }
+            } else {
+                const timeSince = (now - lastRequest) / 1000;
+                overseerrLog.info(`⏩ SKIPPING: "${title}" - Request made ${Math.floor(timeSince)}s ago`);
+                cooldownSuppressions.inc({ route: 'proxy' });
+
+                // Players fetch the video more than once, so only report the first repeat
+                const notifiedKey = `${requestKey}-duplicate-notified`;
+                if (!await requestOutcomes.get(notifiedKey)) {
+                    await requestOutcomes.set(notifiedKey, now, REQUEST_COOLDOWN_MS);
+                    notifyRequest(userConfig, backend, 'duplicate', {
+                        title: title,
+                        type: type,
+                        tmdbId: tmdbId,
+                        requestType: requestType || 'auto',
+                        season: req.query.season ? parseInt(req.query.season) : null,
+                        seasons: null,
+                        message: t(getConfigLocale(userConfig), 'outcome.repeated', { seconds: Math.floor(timeSince), backend: backend.name })
+                    });
+                }
+            }
+
+            // Give the request a moment to finish so the status subtitle is ready when playback starts
+            const outcome = await waitForOutcome(requestKey);
+            if (outcome) {
+                res.setHeader('X-Request-Outcome', outcome.state);
+            }
+        }
+    } else if (!isInitialRequest) {
+        proxyLog.info(`${req.method === 'HEAD' ? 'HEAD' : 'Range'} request - skipping Overseerr trigger`);
+    }
+
+    sendWaitVideo(req, res, userConfig, req.method === 'HEAD' ? 'head' : isInitialRequest ? 'initial' : 'range');
+    proxyLog.info(`✅ Serving wait video for: "${title || 'unknown'}"`);
+}));
+
+// ─── Cleanup Endpoint ───
+// Expired cooldowns are swept automatically; this just forces a sweep now.
+app.get("/cleanup", asyncRoute(async (req, res) => {
+    const cleaned = await pendingRequests.prune();
+    const afterCount = await pendingRequests.size();
+    
+    res.json({
         cleaned: cleaned,
         remaining: afterCount,
         message: `Cleaned ${cleaned} old requests, ${afterCount} remaining`
     });
-});
+}));
 
 // ─── Health Check ──────────────────
-app.get("/health", (req, res) => {
-    const pendingCount = pendingRequests.size;
+app.get("/health", asyncRoute(async (req, res) => {
+    const pendingCount = await pendingRequests.size();
     
     res.json({
         status: 'ok',
         timestamp: new Date().toISOString(),
         server: 'Ready',
-        video: 'Using your wait.mp4 with direct proxy',
-        behavior: 'ONE REQUEST PER CLICK - 5-minute cooldown ✅',
+        video: describeWaitVideo(),
+        behavior: `ONE REQUEST PER CLICK - ${REQUEST_COOLDOWN_MS / 60000}-minute cooldown ✅`,
+        store: pendingRequests.driver,
+        store_persistent: isPersistentStore(pendingRequests),
+        default_config: !!DEFAULT_CONFIG,
         series_handling: 'Two streams for episodes: Season + Entire Series ✅',
         series_fix: 'Fixed entire series requests ✅',
-        pending_requests: pendingCount
+        pending_requests: pendingCount,
+        request_queue: await requestQueue.getState(),
+        tmdb_cache: getCacheStats(),
+        id_mapping: getIdMappingStats()
     });
-});
+}));
+
+// ─── Metrics ──────────────────
+// Prometheus text format. Set METRICS_TOKEN to require "Authorization: Bearer <token>".
+app.get("/metrics", asyncRoute(async (req, res) => {
+    if (METRICS_TOKEN && req.headers.authorization !== `Bearer ${METRICS_TOKEN}`) {
+        return res.status(401).type('text/plain').send('Unauthorized');
+    }
+
+    res.setHeader('Cache-Control', 'no-store');
+    res.type(METRICS_CONTENT_TYPE);
+    res.send(await renderMetrics());
+}));
+
+// ─── Editing Existing Configurations ─────────────────
+// The config page can load an addon URL back into its form. API keys, tokens and the PIN
+// hash never go back to the browser, so whoever holds an addon URL (a household member,
+// a shared TV) can't read the backend's keys out of it. The form leaves those fields
+// empty and sends the URL it was loaded from as baseToken; the saved values are taken
+// over from there when the new token is made.
+
+// Saved keys and the URL each one is sent to: a key is only kept while that URL stays
+// the same, so an edited config can't send someone's key to another server
+const SAVED_SECRETS = { tmdbKey: null, overseerrApi: 'overseerrUrl', radarrApi: 'radarrUrl', sonarrApi: 'sonarrUrl' };
+const SAVED_NOTIFICATION_SECRETS = ['discordWebhook', 'telegramBotToken', 'webhookUrl'];
+
+// The token out of an https:// or stremio:// addon URL, or a pasted bare token
+function extractConfigToken(input) {
+    const text = String(input || '').trim();
+    const match = text.match(/\/configured\/([^/?#\s]+)/);
+    return match ? match[1] : text;
+}
+
+// Returns { token, config } or { status, error }. A PIN-protected config needs its PIN,
+// otherwise anyone holding the URL could lift its restrictions and keep its keys.
+async function loadBaseConfig(input, pin) {
+    const token = extractConfigToken(input);
+    const config = token && token !== DEFAULT_CONFIG_TOKEN ? decodeConfig(token) : null;
+    if (!config) {
+        return { status: 400, error: 'Not a valid addon URL for this server' };
+    }
+
+    if (config.pinHash) {
+        const pinError = { status: 403, error: 'This addon URL is PIN protected, enter its PIN' };
+        // A missing PIN is a prompt, not a wrong guess that counts towards the lockout
+        if (!pin) {
+            return pinError;
+        }
+        const { ok, locked } = await verifyPin(config, pin);
+        if (!ok) {
+            configLog.info(`Wrong PIN for editing a configuration${locked ? ' - locked' : ''}`);
+            return locked ? { status: 429, error: 'Too many wrong PINs, try again in 15 minutes' } : pinError;
+        }
+    }
+    return { token, config };
+}
+
+// The config without its secrets, and the names of the fields that have one saved
+function toEditableConfig(config) {
+    const { pinHash, profileId, notifications, ...editable } = structuredClone(config);
+    const saved = Object.keys(SAVED_SECRETS).filter(field => editable[field]);
+    saved.forEach(field => delete editable[field]);
+
+    if (notifications) {
+        SAVED_NOTIFICATION_SECRETS.filter(field => notifications[field]).forEach(field => {
+            saved.push(field);
+            delete notifications[field];
+        });
+        editable.notifications = notifications;
+    }
+    if (pinHash) {
+        saved.push('pin');
+    }
+    return { config: editable, saved };
+}
+
+// Fills the secrets an edited config left empty from the config it was loaded from
+function mergeSavedSecrets(config, baseConfig) {
+    const merged = { ...config };
+    for (const [field, urlField] of Object.entries(SAVED_SECRETS)) {
+        if (merged[field] || !baseConfig[field]) continue;
+        if (urlField && merged[urlField] !== baseConfig[urlField]) continue;
+        merged[field] = baseConfig[field];
+    }
+
+    if (merged.notifications && baseConfig.notifications) {
+        const notifications = { ...merged.notifications };
+        for (const field of SAVED_NOTIFICATION_SECRETS) {
+            if (!notifications[field] && baseConfig.notifications[field]) {
+                notifications[field] = baseConfig.notifications[field];
+            }
+        }
+        merged.notifications = notifications;
+    }
+
+    // A restriction without a new PIN keeps the old one
+    if (merged.restrict && merged.pin === undefined && baseConfig.pinHash) {
+        merged.pinHash = baseConfig.pinHash;
+    }
+    return merged;
+}
+
+// The config sent by the page, with the saved secrets and profile id (see limits.js) of
+// the addon URL it was loaded from (baseToken, basePin). Returns { config } or { status, error }.
+async function readSubmittedConfig(body) {
+    const { baseToken, basePin, pinHash, profileId, ...config } = body || {};
+    if (!baseToken) {
+        return { config };
+    }
+
+    const base = await loadBaseConfig(baseToken, basePin);
+    if (base.error) {
+        return base;
+    }
+    const merged = mergeSavedSecrets(config, base.config);
+    if (base.config.profileId) {
+        merged.profileId = base.config.profileId;
+    }
+    return { config: merged };
+}
 
 // ─── Configuration Testing Endpoint (UPDATED FOR LOCAL IPs) ─────────────────
-app.post("/api/test-configuration", express.json(), async (req, res) => {
+app.post("/api/test-configuration", express.json(), asyncRoute(async (req, res) => {
     try {
-        const { tmdbKey, overseerrUrl, overseerrApi } = req.body;
+        const { config, error } = await readSubmittedConfig(req.body);
+        if (error) {
+            return res.json({ success: false, error });
+        }
+        const { tmdbKey } = config;
+        registerSecrets(getConfigSecrets(config));
 
-        if (!tmdbKey || !overseerrUrl || !overseerrApi) {
+        if (!tmdbKey) {
             return res.json({ success: false, error: 'Missing required fields' });
         }
 
+        const backendError = validateBackendConfig(config);
+        if (backendError) {
+            return res.json({ success: false, error: backendError });
+        }
+
         const results = [];
+        // Checklist from the backends (permissions, quotas, profiles...) for services that connected
+        const diagnostics = [];
 
-        // Test TMDB API
+        // Test TMDB API (uncached, we want to know about the key right now)
         try {
-            const tmdbResponse = await fetch(`https://api.themoviedb.org/3/movie/550?api_key=${tmdbKey}`);
-            if (tmdbResponse.ok) {
-                results.push({ service: 'TMDB', status: 'success', message: 'API key is valid' });
+            await tmdbGet(tmdbKey, '/movie/550', {}, { cache: false });
+            results.push({ service: 'TMDB', status: 'success', message: 'API key is valid' });
+        } catch (error) {
+            if (error.status) {
+                results.push({ service: 'TMDB', status: 'error', message: `API key invalid (HTTP ${error.status})` });
             } else {
-                results.push({ service: 'TMDB', status: 'error', message: `API key invalid (HTTP ${tmdbResponse.status})` });
+                results.push({ service: 'TMDB', status: 'error', message: `Connection failed: ${error.message}` });
             }
-        } catch (error) {
-            results.push({ service: 'TMDB', status: 'error', message: `Connection failed: ${error.message}` });
         }
 
-        // Test Overseerr API - with special handling for local IPs
-        try {
-            // Normalize the URL - remove trailing slashes
-            const normalizedUrl = overseerrUrl.replace(/\/$/, '');
-            const urlObj = new URL(normalizedUrl);
-            const hostname = urlObj.hostname;
-            
-            // Check if it's a local IP address
-            const isLocalIP = hostname === 'localhost' || 
-                             hostname.startsWith('192.168.') ||
-                             hostname.startsWith('10.') ||
-                             hostname.startsWith('172.') ||
-                             hostname.startsWith('127.') ||
-                             hostname.startsWith('169.254.');
-            
-            if (isLocalIP) {
-                // For local IPs, we can't test from Vercel, but the addon will work when used locally
-                results.push({ 
-                    service: 'Overseerr', 
-                    status: 'warning', 
-                    message: 'Local IP detected - cannot test from server, but will work when you use Stremio on the same network' 
-                });
-            } else {
-                // For public domains, test normally
-                const overseerrResponse = await fetch(`${normalizedUrl}/api/v1/user`, {
-                    headers: { 'X-Api-Key': overseerrApi }
-                });
-
-                if (overseerrResponse.ok) {
-                    results.push({ service: 'Overseerr', status: 'success', message: 'URL and API key are valid' });
+        // Test each backend service (Overseerr, or Radarr and Sonarr) - with special handling for local IPs
+        const backend = createBackend(config);
+        for (const service of backend.services) {
+            try {
+                const urlObj = new URL(service.url);
+                const hostname = urlObj.hostname;
+                
+                // Check if it's a local IP address
+                const isLocalIP = hostname === 'localhost' || 
+                                 hostname.startsWith('192.168.') ||
+                                 hostname.startsWith('10.') ||
+                                 hostname.startsWith('172.') ||
+                                 hostname.startsWith('127.') ||
+                                 hostname.startsWith('169.254.');
+                
+                if (isLocalIP) {
+                    // For local IPs, we can't test from Vercel, but the addon will work when used locally
+                    results.push({ 
+                        service: service.name, 
+                        status: 'warning', 
+                        message: 'Local IP detected - cannot test from server, but will work when you use Stremio on the same network' 
+                    });
+                } else {
+                    // For public domains, test normally
+                    const result = await backend.testService(service.name);
+                    results.push(result);
+                    if (result.status === 'success' && backend.diagnose) {
+                        const checks = await backend.diagnose(service.name);
+                        diagnostics.push(...checks.map(check => ({ service: service.name, ...check })));
+                    }
+                }
+            } catch (error) {
+                // If URL parsing fails, it might be a local hostname
+                if (service.url.includes('localhost') || service.url.includes('192.168.') || service.url.includes('.local')) {
+                    results.push({ 
+                        service: service.name, 
+                        status: 'warning', 
+                        message: 'Local network detected - cannot test from server, but will work when you use Stremio on the same network' 
+                    });
                 } else {
-                    results.push({ service: 'Overseerr', status: 'error', message: `Connection failed (HTTP ${overseerrResponse.status})` });
+                    results.push({ service: service.name, status: 'error', message: `Connection failed: ${error.message}` });
                 }
             }
-        } catch (error) {
-            // If URL parsing fails, it might be a local hostname
-            if (overseerrUrl.includes('localhost') || overseerrUrl.includes('192.168.') || overseerrUrl.includes('.local')) {
-                results.push({ 
-                    service: 'Overseerr', 
-                    status: 'warning', 
-                    message: 'Local network detected - cannot test from server, but will work when you use Stremio on the same network' 
+        }
+
+        // Send a test message to every notification target
+        if (hasNotificationTargets(config)) {
+            const deliveries = await sendNotifications(config, {
+                event: 'submitted',
+                test: true,
+                title: 'Test notification',
+                type: 'movie',
+                seasons: '',
+                user: getRequesterName(config),
+                message: 'Notifications from your Stremio Overseerr addon are working',
+                requestId: '',
+                tmdbId: '',
+                url: ''
+            });
+            for (const delivery of deliveries) {
+                results.push({
+                    service: `${delivery.target} notification`,
+                    status: delivery.status,
+                    message: delivery.status === 'success' ? 'Test message sent' : delivery.message
                 });
-            } else {
-                results.push({ service: 'Overseerr', status: 'error', message: `Connection failed: ${error.message}` });
             }
         }
 
-        // Consider it successful if TMDB works and Overseerr is either successful or a local IP warning
+        // Consider it successful if TMDB works, every backend service is either successful or a local IP warning,
+        // and no diagnostic found something that makes requests fail
         const tmdbSuccess = results.find(r => r.service === 'TMDB' && r.status === 'success');
-        const overseerrOk = results.find(r => r.service === 'Overseerr' && (r.status === 'success' || r.status === 'warning'));
-        
-        const overallSuccess = !!(tmdbSuccess && overseerrOk);
+        const backendOk = results
+            .filter(r => r.service !== 'TMDB')
+            .every(r => r.status === 'success' || r.status === 'warning');
+        const diagnosticsOk = diagnostics.every(d => d.status !== 'error');
+
+        const overallSuccess = !!(tmdbSuccess && backendOk && diagnosticsOk);
+
+        // Offer the user and server lists so the config page can fill its pickers
+        let users;
+        let servers;
+        if (results.some(r => r.service !== 'TMDB' && r.status === 'success')) {
+            if (backend.listUsers) {
+                try {
+                    users = await backend.listUsers();
+                } catch (error) {
+                    testLog.warn(`Could not list users: ${error.message}`);
+                }
+            }
+            if (backend.listServers) {
+                try {
+                    servers = await backend.listServers();
+                } catch (error) {
+                    testLog.warn(`Could not list servers: ${error.message}`);
+                }
+            }
+        }
 
         res.json({
             success: overallSuccess,
-            results: results
+            results: results,
+            diagnostics: diagnostics,
+            users: users,
+            servers: servers
         });
 
     } catch (error) {
@@ -659,6 +2289,88 @@ app.post("/api/test-configuration", express.json(), async (req, res) => {
             error: `Server error: ${error.message}`
         });
     }
+}));
+
+// ─── Configuration Encoding Endpoint ─────────────────
+// The config page asks the server for the token so it can be encrypted with the server secret
+app.post("/api/encode-config", express.json(), asyncRoute(async (req, res) => {
+    try {
+        const { config, status, error } = await readSubmittedConfig(req.body);
+        if (error) {
+            return res.status(status).json({ success: false, error });
+        }
+        const configError = validateConfig(config);
+        if (configError) {
+            return res.status(400).json({ success: false, error: configError });
+        }
+        registerSecrets(getConfigSecrets(config));
+
+        if (hasLimits(config) && !canEnforceLimits()) {
+            return res.status(400).json({
+                success: false,
+                error: 'This server can\'t enforce request limits, restrictions or PINs (it needs CONFIG_SECRET and a persistent store), so they can\'t be saved. Remove them to generate the addon URL'
+            });
+        }
+
+        // Only a hash of the PIN goes into the token
+        if (config.pin !== undefined) {
+            if (!/^\d{4,8}$/.test(String(config.pin))) {
+                return res.status(400).json({ success: false, error: 'The PIN must be 4 to 8 digits' });
+            }
+            config.pinHash = hashPin(config.pin);
+            delete config.pin;
+        }
+        // Edited configs keep theirs, so their quota and PIN lockout carry over
+        config.profileId = config.profileId || createProfileId();
+
+        res.json({
+            success: true,
+            token: encodeConfigToken(config),
+            encrypted: isEncryptionEnabled()
+        });
+
+    } catch (error) {
+        configLog.error(`Error encoding configuration: ${error.message}`);
+        res.status(500).json({ success: false, error: `Server error: ${error.message}` });
+    }
+}));
+
+// ─── Configuration Decoding Endpoint ─────────────────
+// Loads an addon URL back into the config page, without its secrets (see toEditableConfig)
+app.post("/api/decode-config", express.json(), asyncRoute(async (req, res) => {
+    try {
+        const { token, config, status, error } = await loadBaseConfig(req.body?.url, req.body?.pin);
+        if (error) {
+            return res.status(status).json({ success: false, error });
+        }
+
+        res.setHeader('Cache-Control', 'no-store');
+        res.json({ success: true, token, ...toEditableConfig(config) });
+
+    } catch (error) {
+        configLog.error(`Error decoding configuration: ${error.message}`);
+        res.status(500).json({ success: false, error: `Server error: ${error.message}` });
+    }
+}));
+
+// ─── Install QR Code ─────────────────
+// The stremio:// install link as an SVG QR code, so TVs can be set up by scanning it with
+// a phone signed in to the same Stremio account. Drawn here instead of by a QR service,
+// which would get to see the addon URL.
+app.post("/api/qr-code", express.json(), (req, res) => {
+    const text = String(req.body?.text || '');
+    if (!text.startsWith('stremio://')) {
+        return res.status(400).json({ success: false, error: 'Only stremio:// install links are drawn' });
+    }
+
+    let svg;
+    try {
+        svg = renderQrSvg(text);
+    } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+    res.setHeader('Cache-Control', 'no-store');
+    res.type('image/svg+xml').send(svg);
 });
 
 // Handle CORS preflight requests
@@ -671,9 +2383,10 @@ app.options('*', (req, res) => {
 
 // ─── UPDATED CONFIGURATION PAGE ────────────────────
 app.get("/", (req, res) => {
+    const locale = getRequestLocale(req);
     const html = `
     <!DOCTYPE html>
-    <html lang="en">
+    <html lang="${locale}">
     <head>
         <meta charset="UTF-8">
         <meta name="viewport" content="width=device-width, initial-scale=1.0">
@@ -687,8 +2400,8 @@ app.get("/", (req, res) => {
             h3 { color: #8ef; margin: 20px 0 10px 0; }
             .form-group { margin-bottom: 20px; }
             label { display: block; margin-bottom: 8px; font-weight: 600; color: #ccc; }
-            input, textarea { width: 100%; padding: 12px; background: #2a2a2a; border: 1px solid #444; border-radius: 6px; color: #fff; font-size: 14px; }
-            input:focus, textarea:focus { outline: none; border-color: #8ef; }
+            input, textarea, select { width: 100%; padding: 12px; background: #2a2a2a; border: 1px solid #444; border-radius: 6px; color: #fff; font-size: 14px; }
+            input:focus, textarea:focus, select:focus { outline: none; border-color: #8ef; }
             .btn { background: #28a745; color: white; border: none; padding: 12px 24px; border-radius: 6px; cursor: pointer; font-size: 16px; font-weight: 600; margin-right: 10px; margin-bottom: 10px; }
             .btn:hover { background: #34d058; }
             .btn:disabled { background: #6c757d; cursor: not-allowed; }
@@ -708,130 +2421,643 @@ app.get("/", (req, res) => {
             .test-error { background: #721c24; color: #f8d7da; }
             .test-warning { background: #856404; color: #fff3cd; padding: 10px; border-radius: 4px; margin: 10px 0; }
             .loading { color: #17a2b8; }
+            .checkbox-group { display: grid; grid-template-columns: repeat(auto-fill, minmax(180px, 1fr)); gap: 8px; }
+            .checkbox-group label { display: flex; align-items: center; font-weight: normal; margin-bottom: 0; cursor: pointer; }
+            .checkbox-group input { width: auto; margin-right: 8px; }
+            .languages { color: #888; font-size: 13px; margin-bottom: 10px; }
+            .languages a { color: #8ef; text-decoration: none; }
+            .languages a.current { color: #fff; font-weight: 600; }
+            .stream-option { display: flex; align-items: center; justify-content: space-between; background: #2a2a2a; border-radius: 6px; padding: 6px 12px; margin-bottom: 6px; }
+            .stream-option label { display: flex; align-items: center; font-weight: normal; margin-bottom: 0; cursor: pointer; }
+            .stream-option input { width: auto; margin-right: 8px; }
+            .move-up { background: none; border: 1px solid #444; color: #ccc; border-radius: 4px; padding: 2px 8px; cursor: pointer; }
+            a.btn { display: inline-block; text-decoration: none; }
+            .checklist { list-style: none; margin: 10px 0; }
+            .checklist li { background: #2a2a2a; border-left: 4px solid #6c757d; border-radius: 4px; padding: 8px 12px; margin-bottom: 6px; }
+            .checklist li.check-success { border-left-color: #28a745; }
+            .checklist li.check-warning { border-left-color: #ffc107; }
+            .checklist li.check-error { border-left-color: #dc3545; }
+            .qr-code svg { display: block; max-width: 100%; height: auto; border-radius: 6px; margin: 10px 0; }
         </style>
     </head>
     <body>
         <div class="container">
             <h1>🎬 Stremio Overseerr Addon</h1>
-            <p>Configure your personal addon instance below. Your settings are encoded in the addon URL - no data is stored on the server.</p>
+            <div class="languages">🌐 ${Object.entries(LOCALES).map(([code, { name }]) => `<a href="?lang=${code}"${code === locale ? ' class="current"' : ''}>${name}</a>`).join(' · ')}</div>
+            <p>${t(locale, 'page.intro')}</p>
 
             <div class="success">
-                <strong>✅ COMPLETE: Movies, seasons, and entire series requests all working!</strong>
+                <strong>${t(locale, 'page.banner')}</strong>
             </div>
 
             <div class="info-box">
-                <h3>🔐 Your Data Stays With You</h3>
-                <p><strong>No data is stored on our server</strong> - your API keys and URLs are encoded directly into your personal addon URL.</p>
-                <p><strong>Works with any Overseerr instance</strong> - <strong>public domains work from remote hosting</strong>. <em>Local IPs/hostnames (e.g. <code>192.168.x.x</code>, <code>localhost</code>, <code>.local</code>) will only work if you self-host this addon on the same network as your Overseerr instance.</em></p>
+                <h3>${t(locale, 'page.privacyTitle')}</h3>
+                <p>${t(locale, 'page.privacyStored')}</p>
+                <p>${t(locale, 'page.privacyInstances')}</p>
+            </div>
+
+            <div class="test-section">
+                <h3>${t(locale, 'page.editHeading')}</h3>
+                <p>${t(locale, 'page.editIntro')}</p>
+                <input type="text" id="editUrl" placeholder="https://.../configured/.../manifest.json" style="margin-top: 8px;">
+                <input type="password" id="editPin" inputmode="numeric" autocomplete="off" placeholder="${escapeHtml(t(locale, 'page.editPinPlaceholder'))}" style="margin-top: 8px;">
+                <button type="button" class="btn btn-test" style="margin-top: 10px;" onclick="loadExistingConfig()">${t(locale, 'page.editLoad')}</button>
+                <div id="editResult"></div>
             </div>
 
             <form id="configForm">
-                <h2>🔑 Your API Configuration</h2>
+                <h2>${t(locale, 'page.apiHeading')}</h2>
 
                 <div class="form-group">
-                    <label for="tmdbKey">Your TMDB API Key *</label>
-                    <input type="text" id="tmdbKey" name="tmdbKey" required placeholder="Enter your personal TMDB API key">
-                    <div class="help-text">Get your free API key from: https://www.themoviedb.org/settings/api</div>
+                    <label for="tmdbKey">${t(locale, 'page.tmdbKey')}</label>
+                    <input type="text" id="tmdbKey" name="tmdbKey" required placeholder="${escapeHtml(t(locale, 'page.tmdbKeyPlaceholder'))}">
+                    <div class="help-text">${t(locale, 'page.tmdbKeyHelp')}</div>
                 </div>
 
                 <div class="form-group">
-                    <label for="overseerrUrl">Your Overseerr URL *</label>
-                    <input type="text" id="overseerrUrl" name="overseerrUrl" required placeholder="https://overseerr.example.com or http://192.168.1.100:5055">
-                    <div class="help-text">
-                        Your personal Overseerr instance URL<br>
-                        • <strong>Public domain</strong>: https://overseerr.yourdomain.com<br>
-                        • <strong>Local network</strong>: http://192.168.1.100:5055<br>
-                        • <strong>Include http:// or https://</strong>
-                    </div>
+                    <label for="language">${t(locale, 'page.language')}</label>
+                    <select id="language" name="language">
+                        ${Object.entries(LOCALES).map(([code, { name }]) => `
+                        <option value="${code}"${code === locale ? ' selected' : ''}>${name}</option>`).join('')}
+                    </select>
+                    <div class="help-text">${t(locale, 'page.languageHelp')}</div>
+                </div>
+
+                <div class="form-group">
+                    <label for="backend">${t(locale, 'page.backend')}</label>
+                    <select id="backend" name="backend" onchange="updateBackendFields()">
+                        ${Object.entries(BACKENDS).map(([id, backend]) => `
+                        <option value="${id}">${backend.label}</option>`).join('')}
+                    </select>
+                    <div class="help-text">${t(locale, 'page.backendHelp')}</div>
+                </div>
+
+                <div id="overseerrFields">
+                <div class="form-group">
+                    <label for="overseerrUrl">${t(locale, 'page.backendUrl')}</label>
+                    <input type="text" id="overseerrUrl" name="overseerrUrl" placeholder="https://overseerr.example.com or http://192.168.1.100:5055">
+                    <div class="help-text">${t(locale, 'page.backendUrlHelp')}</div>
 
                     <!-- Static banner: clarify that local IPs require self-hosting -->
                     <div class="test-warning" style="margin-top:10px; padding:10px; border-radius:6px;">
-                        <strong>⚠️ Note:</strong> Local IPs/hostnames (e.g. <code>192.168.x.x</code>, <code>localhost</code>, <code>.local</code>) will only work if you self-host this addon on the same network as your Overseerr instance.
+                        ${t(locale, 'page.localNote')}
+                    </div>
+                </div>
+
+                <div class="form-group">
+                    <label for="overseerrApi">${t(locale, 'page.backendApi')}</label>
+                    <input type="text" id="overseerrApi" name="overseerrApi" placeholder="${escapeHtml(t(locale, 'page.backendApiPlaceholder'))}">
+                    <div class="help-text">${t(locale, 'page.backendApiHelp')}</div>
+                </div>
+
+                <div class="form-group">
+                    <label for="overseerrUserId">${t(locale, 'page.user')}</label>
+                    <select id="overseerrUserSelect" style="display: none; margin-bottom: 8px;" onchange="document.getElementById('overseerrUserId').value = this.value"></select>
+                    <input type="text" id="overseerrUserId" name="overseerrUserId" placeholder="${escapeHtml(t(locale, 'page.userPlaceholder'))}">
+                    <div class="help-text">${t(locale, 'page.userHelp')}</div>
+                </div>
+
+                <div class="form-group">
+                    <label>${t(locale, 'page.servers')}</label>
+                    <div class="checkbox-group">
+                        <label><input type="checkbox" id="request4k" name="request4k" value="1"> ${t(locale, 'page.request4k')}</label>
+                    </div>
+                    <div id="serverOptions" style="margin-top: 10px;"></div>
+                    <div class="help-text">${t(locale, 'page.serversHelp')}</div>
+                </div>
+                </div>
+
+                <div id="arrFields" style="display: none;">
+                    <h3>${t(locale, 'page.radarrHeading')}</h3>
+                    <div class="form-group">
+                        <label for="radarrUrl">Radarr URL</label>
+                        <input type="text" id="radarrUrl" name="radarrUrl" placeholder="http://192.168.1.100:7878">
+                    </div>
+                    <div class="form-group">
+                        <label for="radarrApi">Radarr API Key</label>
+                        <input type="text" id="radarrApi" name="radarrApi" placeholder="Radarr: Settings → General → API Key">
+                    </div>
+                    <div class="form-group">
+                        <label for="radarrProfileId">${t(locale, 'page.profileFolder')}</label>
+                        <input type="text" id="radarrProfileId" name="radarrProfileId" placeholder="${escapeHtml(t(locale, 'page.profilePlaceholder', { example: '4' }))}">
+                        <input type="text" id="radarrRootFolder" name="radarrRootFolder" placeholder="${escapeHtml(t(locale, 'page.folderPlaceholder', { example: '/movies' }))}" style="margin-top: 8px;">
+                    </div>
+
+                    <h3>${t(locale, 'page.sonarrHeading')}</h3>
+                    <div class="form-group">
+                        <label for="sonarrUrl">Sonarr URL</label>
+                        <input type="text" id="sonarrUrl" name="sonarrUrl" placeholder="http://192.168.1.100:8989">
+                    </div>
+                    <div class="form-group">
+                        <label for="sonarrApi">Sonarr API Key</label>
+                        <input type="text" id="sonarrApi" name="sonarrApi" placeholder="Sonarr: Settings → General → API Key">
+                    </div>
+                    <div class="form-group">
+                        <label for="sonarrProfileId">${t(locale, 'page.profileFolder')}</label>
+                        <input type="text" id="sonarrProfileId" name="sonarrProfileId" placeholder="${escapeHtml(t(locale, 'page.profilePlaceholder', { example: '6' }))}">
+                        <input type="text" id="sonarrRootFolder" name="sonarrRootFolder" placeholder="${escapeHtml(t(locale, 'page.folderPlaceholder', { example: '/tv' }))}" style="margin-top: 8px;">
+                    </div>
+                    <div class="help-text">${t(locale, 'page.arrHelp')}</div>
+                </div>
+
+                <h2>${t(locale, 'page.discoverHeading')}</h2>
+
+                <div class="form-group">
+                    <label>${t(locale, 'page.discoverLabel')}</label>
+                    <div class="checkbox-group">
+                        ${DISCOVER_CATALOGS.map(slider => `
+                        <label><input type="checkbox" name="discover" value="${slider.id}"> ${slider.nameKey ? t(locale, slider.nameKey) : slider.name}</label>`).join('')}
+                    </div>
+                    <div class="help-text">${t(locale, 'page.discoverHelp')}</div>
+                </div>
+
+                <h2>${t(locale, 'page.notificationsHeading')}</h2>
+
+                <div class="form-group">
+                    <label for="discordWebhook">${t(locale, 'page.discordWebhook')}</label>
+                    <input type="url" id="discordWebhook" name="discordWebhook" placeholder="https://discord.com/api/webhooks/...">
+                </div>
+
+                <div class="form-group">
+                    <label for="telegramBotToken">${t(locale, 'page.telegram')}</label>
+                    <input type="text" id="telegramBotToken" name="telegramBotToken" placeholder="123456:ABC-DEF...">
+                    <input type="text" id="telegramChatId" name="telegramChatId" placeholder="${escapeHtml(t(locale, 'page.telegramChatPlaceholder'))}" style="margin-top: 8px;">
+                </div>
+
+                <div class="form-group">
+                    <label for="webhookUrl">${t(locale, 'page.webhookUrl')}</label>
+                    <input type="url" id="webhookUrl" name="webhookUrl" placeholder="https://example.com/hooks/stremio">
+                    <textarea id="webhookTemplate" name="webhookTemplate" rows="3" placeholder="${escapeHtml(t(locale, 'page.webhookTemplatePlaceholder'))}" style="margin-top: 8px;"></textarea>
+                    <div class="help-text">${t(locale, 'page.webhookHelp')}</div>
+                </div>
+
+                <div class="form-group">
+                    <label>${t(locale, 'page.notifyWhen')}</label>
+                    <div class="checkbox-group">
+                        ${Object.keys(NOTIFICATION_EVENTS).map(event => `
+                        <label><input type="checkbox" name="notifyEvents" value="${event}" checked> ${t(locale, `page.notify.${event}`)}</label>`).join('')}
+                    </div>
+                    <div class="help-text">${t(locale, 'page.notifyHelp')}</div>
+                </div>
+
+                <h2>${t(locale, 'page.waitVideoHeading')}</h2>
+
+                <div class="form-group">
+                    <label for="waitVideoUrl">${t(locale, 'page.waitVideoUrl')}</label>
+                    <input type="url" id="waitVideoUrl" name="waitVideoUrl" placeholder="https://example.com/my-clip.mp4">
+                    <div class="help-text">${t(locale, 'page.waitVideoHelp')}</div>
+                </div>
+
+                <h2>${t(locale, 'page.streamsHeading')}</h2>
+
+                <div class="form-group">
+                    <label>${t(locale, 'page.streamOptions')}</label>
+                    <div id="streamOptions">
+                        ${REQUEST_STREAM_OPTIONS.map(option => `
+                        <div class="stream-option">
+                            <label><input type="checkbox" name="streamOptions" value="${option}" checked> ${t(locale, `page.streamOption.${option}`)}</label>
+                            <button type="button" class="move-up" title="${escapeHtml(t(locale, 'page.moveUp'))}" onclick="moveStreamOptionUp(this)">▲</button>
+                        </div>`).join('')}
                     </div>
+                    <div class="help-text">${t(locale, 'page.streamOptionsHelp')}</div>
                 </div>
 
                 <div class="form-group">
-                    <label for="overseerrApi">Your Overseerr API Key *</label>
-                    <input type="text" id="overseerrApi" name="overseerrApi" required placeholder="Enter your personal Overseerr API key">
-                    <div class="help-text">Get from Overseerr: Settings → API Keys → Generate New API Key</div>
+                    <label for="streamTemplate">${t(locale, 'page.streamTemplate')}</label>
+                    <input type="text" id="streamTemplate" name="streamTemplate" maxlength="${MAX_STREAM_TEMPLATE_LENGTH}" placeholder="${escapeHtml(t(locale, 'page.streamTemplatePlaceholder'))}">
+                    <div class="help-text">${t(locale, 'page.streamTemplateHelp')}</div>
                 </div>
 
-                <button type="button" class="btn" onclick="generateAddon()">Generate My Personal Addon URL</button>
-                <button type="button" class="btn btn-test" onclick="testConfiguration()">Test My Configuration</button>
+                <div class="form-group">
+                    <label for="addonName">${t(locale, 'page.addonName')}</label>
+                    <input type="text" id="addonName" name="addonName" maxlength="${MAX_STREAM_NAME_LENGTH}" placeholder="${DEFAULT_STREAM_NAME}">
+                    <div class="help-text">${t(locale, 'page.addonNameHelp')}</div>
+                </div>
+
+                <h2>${t(locale, 'page.limitsHeading')}</h2>
+                ${canEnforceLimits() ? '' : `<div class="info-box">⚠️ ${t(locale, 'page.limitsUnavailable')}</div>`}
+
+                <div class="form-group">
+                    <label>${t(locale, 'page.quota')}</label>
+                    <div style="display: flex; gap: 8px;">
+                        <input type="number" id="quotaMovies" name="quotaMovies" min="0" placeholder="${escapeHtml(t(locale, 'page.quotaMovies'))}">
+                        <input type="number" id="quotaSeasons" name="quotaSeasons" min="0" placeholder="${escapeHtml(t(locale, 'page.quotaSeasons'))}">
+                        <select id="quotaPeriod" name="quotaPeriod">
+                            <option value="week">${t(locale, 'page.perWeek')}</option>
+                            <option value="day">${t(locale, 'page.perDay')}</option>
+                        </select>
+                    </div>
+                    <div class="help-text">${t(locale, 'page.quotaHelp')}</div>
+                </div>
+
+                <div class="form-group">
+                    <label for="restrict">${t(locale, 'page.restrict')}</label>
+                    <select id="restrict" name="restrict">
+                        <option value="">${t(locale, 'page.restrictNone')}</option>
+                        <option value="movies">${t(locale, 'page.restrictMovies')}</option>
+                        <option value="all">${t(locale, 'page.restrictAll')}</option>
+                    </select>
+                    <input type="password" id="pin" name="pin" inputmode="numeric" autocomplete="new-password" placeholder="${escapeHtml(t(locale, 'page.pinPlaceholder'))}" style="margin-top: 8px;">
+                    <div class="help-text">${t(locale, 'page.restrictHelp')}</div>
+                </div>
+
+                <button type="button" class="btn" onclick="generateAddon()">${t(locale, 'page.generate')}</button>
+                <button type="button" class="btn btn-test" onclick="testConfiguration()">${t(locale, 'page.test')}</button>
             </form>
 
             <div id="result" style="display: none;">
-                <h2>📦 Your Personal Addon URL</h2>
+                <h2>${t(locale, 'page.resultHeading')}</h2>
                 <div class="addon-url" id="addonUrl"></div>
                 
                 <div class="info-box">
-                    <h3>🚀 Ready to Install!</h3>
-                    <p>This URL contains <strong>your personal configuration</strong> and can be installed in Stremio:</p>
+                    <h3>${t(locale, 'page.readyHeading')}</h3>
+                    <p>${t(locale, 'page.readyIntro')}</p>
                     <ol>
-                        <li>Open Stremio</li>
-                        <li>Click the puzzle piece icon (Addons)</li>
-                        <li>Click "Community Addons"</li>
-                        <li>Paste this URL and click "Install"</li>
+                        <li>${t(locale, 'page.readyStep1')}</li>
+                        <li>${t(locale, 'page.readyStep2')}</li>
+                        <li>${t(locale, 'page.readyStep3')}</li>
+                        <li>${t(locale, 'page.readyStep4')}</li>
                     </ol>
                 </div>
 
-                <button class="btn" onclick="installInStremio()">Install in Stremio</button>
-                <button class="btn btn-test" onclick="copyToClipboard()">Copy My Addon URL</button>
+                <a class="btn" id="installLink" href="#">${t(locale, 'page.install')}</a>
+                <button class="btn btn-test" onclick="copyToClipboard()">${t(locale, 'page.copy')}</button>
+                <p class="help-text">${t(locale, 'page.historyLink')}</p>
+
+                <div class="info-box qr-code" id="installQr" style="display: none;">
+                    <h3>${t(locale, 'page.qrHeading')}</h3>
+                    <p id="installQrHelp">${t(locale, 'page.qrHelp')}</p>
+                    <div id="installQrCode"></div>
+                    <p class="help-text" id="installQrError" style="display: none;"></p>
+                </div>
             </div>
 
             <div class="test-section">
-                <h3>🧪 Test Your Configuration</h3>
-                <p>Test if your API keys and URLs are working correctly:</p>
-                <button class="btn btn-test" onclick="testConfiguration()">Test My Configuration</button>
+                <h3>${t(locale, 'page.testHeading')}</h3>
+                <p>${t(locale, 'page.testIntro')}</p>
+                <button class="btn btn-test" onclick="testConfiguration()">${t(locale, 'page.test')}</button>
                 <div id="testResults" style="margin-top: 10px;"></div>
             </div>
 
             <div class="info-box">
-                <h3>🔧 How It Works</h3>
-                <p><strong>For Each User:</strong></p>
+                <h3>${t(locale, 'page.howHeading')}</h3>
+                <p><strong>${t(locale, 'page.howForEach')}</strong></p>
                 <ul>
-                    <li>You enter <strong>your own</strong> TMDB API key</li>
-                    <li>You enter <strong>your own</strong> Overseerr URL (public or local)</li>
-                    <li>You enter <strong>your own</strong> Overseerr API key</li>
-                    <li>We generate a <strong>personal addon URL</strong> with your config encoded</li>
-                    <li>Stremio uses your personal URL to make requests through our server</li>
+                    <li>${t(locale, 'page.howStep1')}</li>
+                    <li>${t(locale, 'page.howStep2')}</li>
+                    <li>${t(locale, 'page.howStep3')}</li>
+                    <li>${t(locale, 'page.howStep4')}</li>
+                    <li>${t(locale, 'page.howStep5')}</li>
                 </ul>
-                <p><strong>Your data is safe</strong> - we never store your API keys or URLs.</p>
+                <p>${t(locale, 'page.howSafe')}</p>
             </div>
 
             <div class="links">
-                <h3>🔗 Quick Links</h3>
-                <a href="https://github.com/ericvlog/stremio-overseerr-addon" target="_blank">📚 GitHub Repository</a>
+                <h3>${t(locale, 'page.linksHeading')}</h3>
+                <a href="https://github.com/ericvlog/stremio-overseerr-addon" target="_blank">${t(locale, 'page.github')}</a>
             </div>
         </div>
 
         <script>
-            async function testConfiguration() {
+            // Messages for this page's language (lib/locales, client.* keys)
+            const MESSAGES = ${JSON.stringify(getMessages(locale, 'client.')).replace(/</g, '\\u003c')};
+
+            function t(key, params) {
+                return (MESSAGES[key] || key).replace(/\\{(\\w+)\\}/g, (match, name) => params && params[name] !== undefined ? params[name] : match);
+            }
+
+            const ARR_FIELDS = ['radarrUrl', 'radarrApi', 'radarrProfileId', 'radarrRootFolder', 'sonarrUrl', 'sonarrApi', 'sonarrProfileId', 'sonarrRootFolder'];
+            const NOTIFICATION_FIELDS = ['discordWebhook', 'telegramBotToken', 'telegramChatId', 'webhookUrl', 'webhookTemplate'];
+            const DEFAULT_STREAM_OPTIONS = ${JSON.stringify(REQUEST_STREAM_OPTIONS)};
+            // Fields the server keeps to itself when an addon URL is loaded for editing
+            const SECRET_FIELDS = ['tmdbKey', 'overseerrApi', 'radarrApi', 'sonarrApi', 'discordWebhook', 'telegramBotToken', 'webhookUrl', 'pin'];
+
+            // { token, pin, config, saved } while the form holds settings loaded from an addon URL
+            let editing = null;
+
+            // Whether an empty secret field keeps the loaded URL's value; keys only stay
+            // while the URL they are sent to is unchanged (same rule as the server)
+            function keepsSavedSecret(config, field, urlField) {
+                if (!editing || !editing.saved.includes(field)) return false;
+                return !urlField || config[urlField] === editing.config[urlField];
+            }
+
+            function updateBackendFields() {
+                const backend = document.getElementById('backend').value;
+                const label = backend === 'jellyseerr' ? 'Jellyseerr' : 'Overseerr';
+                document.getElementById('overseerrFields').style.display = backend === 'arr' ? 'none' : 'block';
+                document.getElementById('arrFields').style.display = backend === 'arr' ? 'block' : 'none';
+                document.querySelectorAll('.backend-label').forEach(el => { el.textContent = label; });
+            }
+
+            function moveStreamOptionUp(button) {
+                const row = button.parentElement;
+                if (row.previousElementSibling) {
+                    row.parentElement.insertBefore(row, row.previousElementSibling);
+                }
+            }
+
+            function readConfigForm() {
                 const form = document.getElementById('configForm');
                 const formData = new FormData(form);
 
                 const config = {
                     tmdbKey: formData.get('tmdbKey'),
-                    overseerrUrl: formData.get('overseerrUrl'),
-                    overseerrApi: formData.get('overseerrApi')
+                    language: formData.get('language'),
+                    backend: formData.get('backend'),
+                    discover: formData.getAll('discover')
                 };
+                if (formData.get('waitVideoUrl')) config.waitVideoUrl = formData.get('waitVideoUrl');
+
+                // Checked options in the order they are listed; the default order isn't stored
+                const streamOptions = formData.getAll('streamOptions');
+                if (streamOptions.join() !== DEFAULT_STREAM_OPTIONS.join()) config.streamOptions = streamOptions;
+                if (formData.get('streamTemplate').trim()) config.streamTemplate = formData.get('streamTemplate').trim();
+                if (formData.get('addonName').trim()) config.addonName = formData.get('addonName').trim();
+
+                if (formData.get('quotaMovies') || formData.get('quotaSeasons')) {
+                    config.quota = {
+                        movies: parseInt(formData.get('quotaMovies')) || 0,
+                        seasons: parseInt(formData.get('quotaSeasons')) || 0,
+                        period: formData.get('quotaPeriod')
+                    };
+                }
+                if (formData.get('restrict')) {
+                    config.restrict = formData.get('restrict');
+                    if (formData.get('pin')) config.pin = formData.get('pin');
+                }
 
-                if (!config.tmdbKey || !config.overseerrUrl || !config.overseerrApi) {
-                    document.getElementById('testResults').innerHTML = '<div class="error">Please fill in all fields first</div>';
-                    return;
+                const notifications = {};
+                NOTIFICATION_FIELDS.forEach(field => {
+                    if (formData.get(field)) notifications[field] = formData.get(field).trim();
+                });
+                const keepsNotifications = editing && editing.saved.some(field => NOTIFICATION_FIELDS.includes(field));
+                if (Object.keys(notifications).length || keepsNotifications) {
+                    notifications.events = formData.getAll('notifyEvents');
+                    config.notifications = notifications;
+                }
+
+                if (config.backend === 'arr') {
+                    ARR_FIELDS.forEach(field => {
+                        if (formData.get(field)) config[field] = formData.get(field);
+                    });
+                } else {
+                    config.overseerrUrl = formData.get('overseerrUrl');
+                    config.overseerrApi = formData.get('overseerrApi');
+                    if (formData.get('overseerrUserId')) config.overseerrUserId = formData.get('overseerrUserId');
+                    if (formData.get('request4k')) config.request4k = true;
+
+                    const servers = {};
+                    SERVER_KINDS.forEach(([kind]) => {
+                        const serverSelect = document.getElementById('server-' + kind);
+                        if (!serverSelect || serverSelect.value === '') return;
+                        servers[kind] = {
+                            serverId: serverSelect.value,
+                            profileId: document.getElementById('profile-' + kind).value,
+                            rootFolder: document.getElementById('root-' + kind).value
+                        };
+                    });
+                    if (Object.keys(servers).length) {
+                        config.overseerrServers = servers;
+                    } else if (editing && editing.config.overseerrServers && !document.getElementById('serverOptions').children.length) {
+                        // Server pickers only appear after a test; keep the loaded choice until then
+                        config.overseerrServers = editing.config.overseerrServers;
+                    }
+                }
+
+                if (editing) {
+                    config.baseToken = editing.token;
+                    if (editing.pin) config.basePin = editing.pin;
+                }
+                return config;
+            }
+
+            // Returns an error message or null
+            function validateConfigForm(config) {
+                if (!config.tmdbKey && !keepsSavedSecret(config, 'tmdbKey')) {
+                    return t('requiredFields');
+                }
+
+                const urls = [];
+                if (config.backend === 'arr') {
+                    const hasRadarr = config.radarrUrl && (config.radarrApi || keepsSavedSecret(config, 'radarrApi', 'radarrUrl'));
+                    const hasSonarr = config.sonarrUrl && (config.sonarrApi || keepsSavedSecret(config, 'sonarrApi', 'sonarrUrl'));
+                    if (!hasRadarr && !hasSonarr) {
+                        return t('arrRequired');
+                    }
+                    if (config.radarrUrl) urls.push(['Radarr', config.radarrUrl]);
+                    if (config.sonarrUrl) urls.push(['Sonarr', config.sonarrUrl]);
+                } else {
+                    if (!config.overseerrUrl || !(config.overseerrApi || keepsSavedSecret(config, 'overseerrApi', 'overseerrUrl'))) {
+                        return t('requiredFields');
+                    }
+                    urls.push([config.backend === 'jellyseerr' ? 'Jellyseerr' : 'Overseerr', config.overseerrUrl]);
+                }
+
+                if (config.pin && !/^\\d{4,8}$/.test(config.pin)) {
+                    return t('pinFormat');
                 }
 
                 // Validate URL format
-                if (!config.overseerrUrl.startsWith('http://') && !config.overseerrUrl.startsWith('https://')) {
-                    document.getElementById('testResults').innerHTML = '<div class="error">Overseerr URL must start with http:// or https://</div>';
+                for (const [name, url] of urls) {
+                    if (!url.startsWith('http://') && !url.startsWith('https://')) {
+                        return t('urlScheme', { name: name });
+                    }
+                }
+                return null;
+            }
+
+            // [config key, label, Overseerr service type, 4K servers?]
+            const SERVER_KINDS = [
+                ['movie', t('movies'), 'radarr', false],
+                ['movie4k', t('movies4k'), 'radarr', true],
+                ['tv', t('series'), 'sonarr', false],
+                ['tv4k', t('series4k'), 'sonarr', true]
+            ];
+            let availableServers = {};
+
+            function fillSelect(select, options, defaultLabel) {
+                select.innerHTML = '<option value="">' + defaultLabel + '</option>';
+                options.forEach(([value, text]) => {
+                    const option = document.createElement('option');
+                    option.value = value;
+                    option.textContent = text;
+                    select.appendChild(option);
+                });
+            }
+
+            function updateServerDetails(kind, serviceType) {
+                const serverId = document.getElementById('server-' + kind).value;
+                const server = (availableServers[serviceType] || []).find(s => String(s.id) === serverId);
+                fillSelect(document.getElementById('profile-' + kind), server ? server.profiles.map(p => [p.id, p.name]) : [], t('serverDefault'));
+                fillSelect(document.getElementById('root-' + kind), server ? server.rootFolders.map(f => [f, f]) : [], t('serverDefault'));
+            }
+
+            function showServers(servers) {
+                const container = document.getElementById('serverOptions');
+                container.innerHTML = '';
+                if (!servers) return;
+                availableServers = servers;
+
+                SERVER_KINDS.forEach(([kind, label, serviceType, is4k]) => {
+                    const matching = (servers[serviceType] || []).filter(s => s.is4k === is4k);
+                    if (!matching.length) return;
+
+                    const row = document.createElement('div');
+                    row.className = 'test-section';
+                    row.innerHTML = '<strong>' + label + '</strong>' +
+                        '<select id="server-' + kind + '" style="margin-top: 8px;"></select>' +
+                        '<select id="profile-' + kind + '" style="margin-top: 8px;"></select>' +
+                        '<select id="root-' + kind + '" style="margin-top: 8px;"></select>';
+                    container.appendChild(row);
+
+                    const serverSelect = document.getElementById('server-' + kind);
+                    fillSelect(serverSelect, matching.map(s => [s.id, s.name + (s.isDefault ? t('defaultSuffix') : '')]), t('serverDefault'));
+                    serverSelect.onchange = () => updateServerDetails(kind, serviceType);
+
+                    // Preselect what a loaded addon URL had picked
+                    const loaded = editing && editing.config.overseerrServers && editing.config.overseerrServers[kind];
+                    if (loaded) serverSelect.value = loaded.serverId;
+                    updateServerDetails(kind, serviceType);
+                    if (loaded) {
+                        document.getElementById('profile-' + kind).value = loaded.profileId;
+                        document.getElementById('root-' + kind).value = loaded.rootFolder;
+                    }
+                });
+            }
+
+            function showUsers(users) {
+                const select = document.getElementById('overseerrUserSelect');
+                if (!users || !users.length) {
+                    select.style.display = 'none';
+                    return;
+                }
+
+                const current = document.getElementById('overseerrUserId').value;
+                select.innerHTML = '<option value="">' + t('apiKeyOwner') + '</option>';
+                users.forEach(user => {
+                    const option = document.createElement('option');
+                    option.value = user.id;
+                    option.textContent = user.name + ' (ID ' + user.id + ')';
+                    option.selected = String(user.id) === current;
+                    select.appendChild(option);
+                });
+                select.style.display = 'block';
+            }
+
+            function setChecked(name, values) {
+                document.querySelectorAll('input[name="' + name + '"]').forEach(box => {
+                    box.checked = values.includes(box.value);
+                });
+            }
+
+            // Puts a config from /api/decode-config into the form; secrets stay empty
+            function fillConfigForm(config, saved) {
+                const form = document.getElementById('configForm');
+                form.reset();
+                document.getElementById('serverOptions').innerHTML = '';
+
+                const fields = ['tmdbKey', 'overseerrUrl', 'overseerrApi', 'overseerrUserId', 'waitVideoUrl', 'streamTemplate', 'addonName', 'restrict', ...ARR_FIELDS];
+                fields.forEach(field => {
+                    if (config[field] !== undefined) document.getElementById(field).value = config[field];
+                });
+                if (config.language) document.getElementById('language').value = config.language;
+                document.getElementById('backend').value = config.backend || 'overseerr';
+                document.getElementById('request4k').checked = !!config.request4k;
+                setChecked('discover', config.discover || []);
+                updateBackendFields();
+
+                const notifications = config.notifications || {};
+                NOTIFICATION_FIELDS.forEach(field => {
+                    if (notifications[field]) document.getElementById(field).value = notifications[field];
+                });
+                if (notifications.events) setChecked('notifyEvents', notifications.events);
+
+                // Listed options first, in their order, then the unchecked ones
+                const order = config.streamOptions || DEFAULT_STREAM_OPTIONS;
+                const rank = option => order.includes(option) ? order.indexOf(option) : order.length + DEFAULT_STREAM_OPTIONS.indexOf(option);
+                const container = document.getElementById('streamOptions');
+                [...container.children]
+                    .sort((a, b) => rank(a.querySelector('input').value) - rank(b.querySelector('input').value))
+                    .forEach(row => container.appendChild(row));
+                setChecked('streamOptions', order);
+
+                if (config.quota) {
+                    document.getElementById('quotaMovies').value = config.quota.movies || '';
+                    document.getElementById('quotaSeasons').value = config.quota.seasons || '';
+                    document.getElementById('quotaPeriod').value = config.quota.period || 'week';
+                }
+
+                SECRET_FIELDS.forEach(field => {
+                    const input = document.getElementById(field);
+                    if (input.dataset.placeholder === undefined) input.dataset.placeholder = input.placeholder;
+                    input.placeholder = saved.includes(field) ? t('savedSecret') : input.dataset.placeholder;
+                });
+            }
+
+            async function loadExistingConfig() {
+                const output = document.getElementById('editResult');
+                const url = document.getElementById('editUrl').value.trim();
+                const pin = document.getElementById('editPin').value;
+                if (!url) return;
+
+                let result;
+                try {
+                    const response = await fetch('/api/decode-config', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ url: url, pin: pin })
+                    });
+                    result = await response.json();
+                } catch (error) {
+                    result = { error: error.message };
+                }
+
+                if (!result.success) {
+                    output.innerHTML = '<div class="error">' + t('editFailed', { error: escapeHtml(result.error) }) + '</div>';
+                    return;
+                }
+
+                editing = { token: result.token, pin: pin, config: result.config, saved: result.saved };
+                fillConfigForm(result.config, result.saved);
+                document.getElementById('result').style.display = 'none';
+                output.innerHTML = '<div class="success">' + t('editLoaded') + '</div>';
+            }
+
+            const CHECK_ICONS = { success: '✅', warning: '⚠️', error: '❌' };
+
+            // Error texts and test results carry text from remote servers (messages, user names)
+            function escapeHtml(text) {
+                const div = document.createElement('div');
+                div.textContent = text;
+                return div.innerHTML;
+            }
+
+            // Backend checklist from /api/test-configuration, with a fix hint under each problem
+            function renderDiagnostics(diagnostics) {
+                if (!diagnostics.length) return '';
+                const items = diagnostics.map(item => '<li class="check-' + item.status + '">' +
+                    (CHECK_ICONS[item.status] || '') + ' <strong>' + escapeHtml(item.service + ' · ' + item.check) + ':</strong> ' + escapeHtml(item.message) +
+                    (item.hint ? '<div class="help-text">💡 ' + escapeHtml(item.hint) + '</div>' : '') +
+                    '</li>');
+                return '<h3>' + t('diagnosticsHeading') + '</h3><ul class="checklist">' + items.join('') + '</ul>';
+            }
+
+            async function testConfiguration() {
+                const config = readConfigForm();
+
+                const validationError = validateConfigForm(config);
+                if (validationError) {
+                    document.getElementById('testResults').innerHTML = '<div class="error">' + escapeHtml(validationError) + '</div>';
                     return;
                 }
 
-                document.getElementById('testResults').innerHTML = '<div class="loading">Testing your configuration... (this may take a few seconds)</div>';
+                document.getElementById('testResults').innerHTML = '<div class="loading">' + t('testing') + '</div>';
 
                 const testButton = document.querySelector('.test-section .btn');
+                const buttonLabel = testButton.textContent;
                 testButton.disabled = true;
-                testButton.textContent = 'Testing...';
+                testButton.textContent = t('testingButton');
 
                 try {
                     const response = await fetch('/api/test-configuration', {
@@ -845,13 +3071,15 @@ app.get("/", (req, res) => {
                     const result = await response.json();
 
                     let html = '';
-                    if (result.success) {
-                        html += '<div class="success">✅ All tests passed! Your configuration is working correctly.</div>';
+                    if (result.error) {
+                        html += '<div class="error">❌ ' + escapeHtml(result.error) + '</div>';
+                    } else if (result.success) {
+                        html += '<div class="success">' + t('allPassed') + '</div>';
                     } else {
-                        html += '<div class="error">❌ Some tests failed. Please check your configuration.</div>';
+                        html += '<div class="error">' + t('someFailed') + '</div>';
                     }
 
-                    result.results.forEach(test => {
+                    (result.results || []).forEach(test => {
                         let icon, className;
                         if (test.status === 'success') {
                             icon = '✅';
@@ -863,68 +3091,102 @@ app.get("/", (req, res) => {
                             icon = '❌';
                             className = 'test-error';
                         }
-                        html += '<div class="test-result ' + className + '">' + icon + ' <strong>' + test.service + ':</strong> ' + test.message + '</div>';
+                        html += '<div class="test-result ' + className + '">' + icon + ' <strong>' + escapeHtml(test.service) + ':</strong> ' + escapeHtml(test.message) + '</div>';
                     });
 
+                    html += renderDiagnostics(result.diagnostics || []);
+
                     document.getElementById('testResults').innerHTML = html;
+                    showUsers(result.users);
+                    showServers(result.servers);
 
                 } catch (error) {
-                    document.getElementById('testResults').innerHTML = '<div class="error">❌ Test failed: ' + error.message + '</div>';
+                    document.getElementById('testResults').innerHTML = '<div class="error">' + t('testFailed', { error: escapeHtml(error.message) }) + '</div>';
                 } finally {
                     testButton.disabled = false;
-                    testButton.textContent = 'Test My Configuration';
+                    testButton.textContent = buttonLabel;
                 }
             }
 
-            function generateAddon() {
-                const form = document.getElementById('configForm');
-                const formData = new FormData(form);
-
-                const config = {
-                    tmdbKey: formData.get('tmdbKey'),
-                    overseerrUrl: formData.get('overseerrUrl'),
-                    overseerrApi: formData.get('overseerrApi')
-                };
+            async function generateAddon() {
+                const config = readConfigForm();
 
                 // Basic validation
-                if (!config.tmdbKey || !config.overseerrUrl || !config.overseerrApi) {
-                    alert('Please fill in all required fields');
+                const validationError = validateConfigForm(config);
+                if (validationError) {
+                    alert(validationError);
                     return;
                 }
 
-                // Validate URL format
-                if (!config.overseerrUrl.startsWith('http://') && !config.overseerrUrl.startsWith('https://')) {
-                    alert('Overseerr URL must start with http:// or https://');
+                // Let the server encrypt the configuration
+                let result;
+                try {
+                    const response = await fetch('/api/encode-config', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify(config)
+                    });
+                    result = await response.json();
+                } catch (error) {
+                    alert(t('generateFailed', { error: error.message }));
                     return;
                 }
 
-                // Encode configuration to base64
-                const configJson = JSON.stringify(config);
-                const configBase64 = btoa(configJson);
+                if (!result.success) {
+                    alert(t('generateFailed', { error: result.error }));
+                    return;
+                }
 
                 // Generate addon URL
-                const addonUrl = window.location.origin + '/configured/' + configBase64 + '/manifest.json';
+                const addonUrl = window.location.origin + '/configured/' + result.token + '/manifest.json';
 
                 // Display result
                 document.getElementById('addonUrl').textContent = addonUrl;
+                document.getElementById('historyLink').href = '/configured/' + result.token + '/history';
                 document.getElementById('result').style.display = 'block';
 
                 // Store for installation
                 window.generatedAddonUrl = addonUrl;
+
+                // Use stremio protocol to install directly
+                const stremioUrl = 'stremio://' + addonUrl.replace(/^https?:\\/\\//, '');
+                document.getElementById('installLink').href = stremioUrl;
+                showInstallQr(stremioUrl);
             }
 
-            function installInStremio() {
-                if (window.generatedAddonUrl) {
-                    // Use stremio protocol to install directly
-                    const stremioUrl = 'stremio://' + window.generatedAddonUrl.replace(/^https?:\\/\\//, '');
-                    window.location.href = stremioUrl;
+            // QR code of the install link for TVs, drawn by this server. When it can't be
+            // loaded the box says so instead, since the buttons above still work.
+            async function showInstallQr(stremioUrl) {
+                const box = document.getElementById('installQr');
+                const code = document.getElementById('installQrCode');
+                const help = document.getElementById('installQrHelp');
+                const failure = document.getElementById('installQrError');
+                box.style.display = 'none';
+                code.innerHTML = '';
+                try {
+                    const response = await fetch('/api/qr-code', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ text: stremioUrl })
+                    });
+                    if (!response.ok) {
+                        throw new Error('HTTP ' + response.status);
+                    }
+                    code.innerHTML = await response.text();
+                    help.style.display = 'block';
+                    failure.style.display = 'none';
+                } catch (error) {
+                    help.style.display = 'none';
+                    failure.textContent = t('qrFailed', { error: error.message });
+                    failure.style.display = 'block';
                 }
+                box.style.display = 'block';
             }
 
             function copyToClipboard() {
                 if (window.generatedAddonUrl) {
                     navigator.clipboard.writeText(window.generatedAddonUrl).then(function() {
-                        alert('Your personal addon URL copied to clipboard!');
+                        alert(t('copied'));
                     }, function(err) {
                         console.error('Could not copy text: ', err);
                     });
@@ -943,19 +3205,49 @@ app.get("/", (req, res) => {
     res.send(html);
 });
 
+// ─── Error Handling ───────────────────
+// Last stop for anything a handler threw: logged with its stack, but the response
+// only says something went wrong
+app.use((err, req, res, next) => {
+    serverLog.error(`${req.method} ${req.path} failed: ${err.stack || err.message}`);
+    if (res.headersSent) return next(err);
+    res.status(500).json({ error: 'Internal server error' });
+});
+
 // ─── Start Server ───────────────────────────────
-app.listen(PORT, '0.0.0.0', () => {
-    console.log(`✅ Stremio Overseerr Addon running at: ${SERVER_URL}`);
-    console.log(`🎬 Configuration page: ${SERVER_URL}/`);
-    console.log(`📋 Default addon: ${SERVER_URL}/manifest.json`);
-    console.log(`📋 User-specific addons: ${SERVER_URL}/configured/{config}/manifest.json`);
-    console.log(`🎬 Proxy video: ${SERVER_URL}/proxy-wait`);
-    console.log(`🎬 Test movie stream: ${SERVER_URL}/stream/movie/tt0133093.json`);
-    console.log(`📺 Test TV stream: ${SERVER_URL}/stream/series/tt0944947:1:1.json`);
-    console.log(`🧪 Configuration testing: ${SERVER_URL}/api/test-configuration`);
-    console.log(`❤️  Health: ${SERVER_URL}/health`);
-    console.log(`🧹 Cleanup: ${SERVER_URL}/cleanup`);
-    console.log(`🎯 Using YOUR wait.mp4 with direct proxy`);
-    console.log(`🚀 FIXED: Entire series requests now working!`);
-    console.log(`📺 SERIES: For episodes, shows "Request Season X" AND "Request Entire Series"`);
+const server = app.listen(PORT, '0.0.0.0', () => {
+    serverLog.info(`✅ Stremio Overseerr Addon running at: ${SERVER_URL}`);
+    serverLog.info(`🎬 Configuration page: ${SERVER_URL}/`);
+    serverLog.info(`📋 Default addon: ${SERVER_URL}/manifest.json${DEFAULT_CONFIG ? ' (configured from the environment)' : ''}`);
+    serverLog.info(`📋 User-specific addons: ${SERVER_URL}/configured/{config}/manifest.json`);
+    serverLog.info(`🎬 Proxy video: ${SERVER_URL}/proxy-wait`);
+    serverLog.info(`🎬 Test movie stream: ${SERVER_URL}/stream/movie/tt0133093.json`);
+    serverLog.info(`📺 Test TV stream: ${SERVER_URL}/stream/series/tt0944947:1:1.json`);
+    serverLog.info(`🧪 Configuration testing: ${SERVER_URL}/api/test-configuration`);
+    serverLog.info(`❤️  Health: ${SERVER_URL}/health`);
+    serverLog.info(`📈 Metrics: ${SERVER_URL}/metrics`);
+    serverLog.info(`🧹 Cleanup: ${SERVER_URL}/cleanup`);
+    serverLog.info(`🎯 Wait video: ${describeWaitVideo()}`);
+    serverLog.info(`📺 SERIES: For episodes, shows "Request Season X" AND "Request Entire Series"`);
 });
+
+// ─── Graceful Shutdown ───────────────────
+// Stop taking connections, let requests that are being sent finish, then flush the
+// stores. Anything still waiting in the retry queue is picked up after the restart.
+const SHUTDOWN_TIMEOUT_MS = 10 * 1000;
+
+async function shutdown(signal) {
+    shutdownLog.info(`${signal} received - finishing ${inFlightOutcomes.size} in-flight request(s)`);
+    server.close();
+
+    const timeout = new Promise(resolve => setTimeout(resolve, SHUTDOWN_TIMEOUT_MS));
+    await Promise.race([Promise.allSettled([...inFlightOutcomes.values()]), timeout]);
+    await requestQueue.drain(SHUTDOWN_TIMEOUT_MS);
+    await Promise.all([pendingRequests.close(), requestOutcomes.close(), closeHistory(), closeLimits()]);
+
+    shutdownLog.info('Done');
+    process.exit(0);
+}
+
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+process.once('SIGINT', () => shutdown('SIGINT'));
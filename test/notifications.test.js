@@ -0,0 +1,124 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+
+// ─── Local HTTP Stand-In ───────────────────
+// Plays Discord, the Telegram Bot API and a generic webhook receiver. Paths starting
+// with /fail answer HTTP 500, everything else 200.
+
+let server;
+let baseUrl;
+let received = [];
+let notifications;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            received.push({ method: req.method, url: req.url, body: body });
+            res.writeHead(req.url.startsWith('/fail') ? 500 : 200, { 'Content-Type': 'application/json' });
+            res.end(req.url.startsWith('/fail') ? '{"message":"boom"}' : '{"ok":true}');
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    // Read when the module loads
+    process.env.TELEGRAM_API_URL = `${baseUrl}/telegram`;
+    process.env.LOG_LEVEL = 'silent';
+    notifications = await import("../lib/notifications.js");
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+    received = [];
+});
+
+const notification = {
+    event: 'submitted',
+    title: 'He said "hi"\\ </b>\nbye',
+    type: 'movie',
+    seasons: '',
+    user: 'Kid & <co>',
+    message: 'Request submitted',
+    requestId: 123,
+    tmdbId: 550,
+    url: 'https://overseerr.example/movie/550'
+};
+
+// ─── Webhook Templates ───────────────────
+
+test('renderWebhookTemplate escapes values so the body stays valid JSON', () => {
+    const { renderWebhookTemplate } = notifications;
+    const body = JSON.parse(renderWebhookTemplate('{"text": "{{title}} by {{ user }}", "missing": "{{nope}}"}', notification));
+
+    assert.equal(body.text, `${notification.title} by ${notification.user}`);
+    assert.equal(body.missing, '');
+});
+
+test('renderWebhookTemplate uses the default template without one', () => {
+    const { renderWebhookTemplate } = notifications;
+    const body = JSON.parse(renderWebhookTemplate('', notification));
+
+    assert.equal(body.event, 'submitted');
+    assert.equal(body.title, notification.title);
+    assert.equal(body.requestId, '123');
+    assert.ok(!Number.isNaN(Date.parse(body.timestamp)));
+});
+
+test('sendWebhook rejects a template that is not valid JSON without posting it', async () => {
+    const { sendWebhook } = notifications;
+
+    await assert.rejects(
+        sendWebhook(`${baseUrl}/webhook`, '{"text": {{title}}}', notification),
+        /does not produce valid JSON/
+    );
+    assert.equal(received.length, 0);
+});
+
+// ─── Dispatch ───────────────────
+
+test('sendNotifications isolates a failing target from the others', async () => {
+    const { sendNotifications } = notifications;
+    const results = await sendNotifications({
+        notifications: {
+            discordWebhook: `${baseUrl}/fail/discord`,
+            telegramBotToken: 'token',
+            telegramChatId: '42',
+            webhookUrl: `${baseUrl}/webhook`,
+            webhookTemplate: '{"text": "{{title}}"}'
+        }
+    }, notification);
+
+    assert.deepEqual(results.map(r => [r.target, r.status]), [
+        ['Discord', 'error'],
+        ['Telegram', 'success'],
+        ['Webhook', 'success']
+    ]);
+    assert.match(results[0].message, /Discord HTTP 500/);
+
+    const discord = JSON.parse(received.find(r => r.url === '/fail/discord').body);
+    assert.equal(discord.embeds[0].title, `✅ Request submitted: ${notification.title}`);
+    assert.deepEqual(discord.embeds[0].fields.map(f => f.value), [notification.user, '#123']);
+
+    const telegram = JSON.parse(received.find(r => r.url === '/telegram/bottoken/sendMessage').body);
+    assert.equal(telegram.chat_id, '42');
+    assert.match(telegram.text, /Requested by Kid &amp; &lt;co&gt;/);
+    assert.match(telegram.text, /&lt;\/b&gt;/);
+
+    const webhook = JSON.parse(received.find(r => r.url === '/webhook').body);
+    assert.equal(webhook.text, notification.title);
+});
+
+test('sendNotifications skips events the config did not subscribe to', async () => {
+    const { sendNotifications } = notifications;
+    const userConfig = { notifications: { webhookUrl: `${baseUrl}/webhook`, events: ['failed'] } };
+
+    assert.deepEqual(await sendNotifications(userConfig, notification), []);
+    assert.equal(received.length, 0);
+
+    const results = await sendNotifications(userConfig, { ...notification, test: true });
+    assert.deepEqual(results.map(r => r.status), ['success']);
+});